@@ -0,0 +1,66 @@
+/**
+ * Column Type Map
+ * Output column -> value type used when writing the merged PO data.
+ * Column names are matched case-insensitively, ignoring extra spaces.
+ * Columns not listed here are written as they appear in the PO files.
+ *
+ * Types: date, integer, decimal, text
+ */
+
+import fs from 'fs';
+
+export const COLUMN_TYPES = ['date', 'integer', 'decimal', 'text'];
+
+export const DEFAULT_COLUMN_TYPES = {
+  // PO header fields
+  PO_Number: 'text',
+  Order_Date: 'date',
+  PO_Expiry: 'date',
+  Supplier_GSTIN: 'text',
+  Billing_GSTIN: 'text',
+  Shipping_GSTIN: 'text',
+  Contact_Phone: 'text',
+
+  // PO summary totals
+  PO_Total_Quantity: 'integer',
+  PO_Taxable_Value: 'decimal',
+  PO_Tax_Amount: 'decimal',
+  PO_Grand_Total: 'decimal',
+
+  // Line items
+  'S. no.': 'integer',
+  'FSN/ISBN13': 'text',
+  'SKU Id': 'text',
+  'HSN/SA Code': 'text',
+  'Quantity': 'integer',
+  'Qty': 'integer',
+  'Pending Quantity': 'integer',
+  'MRP': 'decimal',
+  'Supplier Price': 'decimal',
+  'Taxable Value': 'decimal',
+  'Tax Amount': 'decimal',
+  'Total Amount': 'decimal'
+};
+
+/**
+ * Load the column type map, applying overrides from a JSON file if given
+ * The file holds an object of { "Column Name": "type" }.
+ * @param {string} [overridePath] - Path to a JSON override file
+ * @returns {Object} Column type map
+ */
+export function loadColumnTypes(overridePath) {
+  if (!overridePath) return DEFAULT_COLUMN_TYPES;
+
+  if (!fs.existsSync(overridePath)) {
+    throw new Error(`Column type map not found: ${overridePath}`);
+  }
+
+  const overrides = JSON.parse(fs.readFileSync(overridePath, 'utf8'));
+  for (const [column, type] of Object.entries(overrides)) {
+    if (!COLUMN_TYPES.includes(type)) {
+      throw new Error(`Invalid type "${type}" for column "${column}" (supported: ${COLUMN_TYPES.join(', ')})`);
+    }
+  }
+
+  return { ...DEFAULT_COLUMN_TYPES, ...overrides };
+}
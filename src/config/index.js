@@ -3,17 +3,120 @@
  */
 
 import dotenv from 'dotenv';
+import path from 'path';
 dotenv.config();
 
+const downloadPath = process.env.DOWNLOAD_PATH || './downloads/flipkart';
+
+export const DEFAULT_VENDOR_HUB_URL = 'https://vendorhub.flipkart.com';
+
+// PO statuses available in the Vendor Hub PO list
+export const PO_STATUSES = ['open', 'closed', 'expired', 'cancelled', 'partially_fulfilled'];
+
+/**
+ * Parse a comma separated list (e.g. "open,closed") into a trimmed array
+ * @param {string} value - Comma separated string
+ * @returns {string[]}
+ */
+export function parseList(value) {
+  if (!value) return [];
+  return value.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a number that must not be negative (e.g. "1.5")
+ * Unset, empty, non-numeric and negative values give the default
+ * @param {string} value - Environment value
+ * @param {number} defaultValue - Used when the value is missing or invalid
+ * @param {Object} [options]
+ * @param {boolean} [options.integer] - Only accept whole numbers
+ * @returns {number}
+ */
+export function parseNonNegative(value, defaultValue, { integer = false } = {}) {
+  if (value === undefined || value.trim() === '') return defaultValue;
+  const number = Number(value);
+  const valid = Number.isFinite(number) && number >= 0 && (!integer || Number.isInteger(number));
+  return valid ? number : defaultValue;
+}
+
 export const config = {
   flipkart: {
     email: process.env.FLIPKART_EMAIL,
     password: process.env.FLIPKART_PASSWORD,
     companyName: process.env.COMPANY_NAME || '',
-    downloadPath: process.env.DOWNLOAD_PATH || './downloads/flipkart',
-    maxOrders: parseInt(process.env.MAX_ORDERS) || 0 // 0 = all orders
+    baseUrl: (process.env.VENDOR_HUB_URL || DEFAULT_VENDOR_HUB_URL).replace(/\/+$/, ''), // e.g. a local mock Vendor Hub
+    downloadPath,
+    ledgerPath: process.env.LEDGER_PATH || path.join(downloadPath, 'po-ledger.json'),
+    poFieldMapPath: process.env.PO_FIELD_MAP || '', // JSON overrides for config/po-fields.js
+    selectorsPath: process.env.SELECTORS_PATH || '', // JSON overrides for config/selectors.js
+    reconcileTolerance: parseNonNegative(process.env.RECONCILE_TOLERANCE, 1),
+    sessionPath: process.env.SESSION_PATH || './.session/flipkart-state.json',
+    profilesPath: process.env.PROFILES_PATH || '', // JSON list of accounts and companies (see config/profiles.js)
+    maxOrders: parseInt(process.env.MAX_ORDERS) || 0, // 0 = all orders
+    downloadRetries: parseNonNegative(process.env.PO_DOWNLOAD_RETRIES, 2, { integer: true }), // extra attempts per PO
+    downloadRetryDelayMs: parseInt(process.env.PO_RETRY_DELAY_MS) || 2000, // doubled after each attempt
+    retryFailed: process.env.RETRY_FAILED_POS !== 'false', // retry pass over failed POs before merging
+    statuses: parseList(process.env.PO_STATUSES).length > 0 ? parseList(process.env.PO_STATUSES) : ['open']
+  },
+  output: {
+    formats: parseList(process.env.OUTPUT_FORMATS).length > 0 ? parseList(process.env.OUTPUT_FORMATS) : ['xlsx'],
+    csvBom: process.env.CSV_BOM === 'true',
+    normalized: process.env.NORMALIZED_WORKBOOK === 'true',
+    columnTypesPath: process.env.COLUMN_TYPES || '', // JSON overrides for config/column-types.js
+    lineItemAliasesPath: process.env.LINE_ITEM_ALIASES || '', // JSON overrides for config/line-item-columns.js
+    tallyMappingPath: process.env.TALLY_MAPPING || '', // JSON mapping for the tally format (see config/tally-mapping.js)
+    changeReport: process.env.CHANGE_REPORT !== 'false', // compare each run with the previous one (Changes sheet)
+    refreshKnown: process.env.CHANGE_REPORT === 'full' // also download the POs already in the ledger again, to report their line changes
+  },
+  database: {
+    path: process.env.PO_DATABASE || '' // SQLite history of POs and line items, empty = off
+  },
+  server: {
+    host: process.env.SERVER_HOST || '127.0.0.1', // local only by default
+    port: parseInt(process.env.SERVER_PORT) || 3030,
+    token: process.env.SERVER_TOKEN || '', // if set, API requests need "Authorization: Bearer <token>"
+    historyPath: process.env.SERVER_HISTORY_PATH || path.join(downloadPath, 'server-runs.json')
+  },
+  notify: {
+    on: parseList(process.env.NOTIFY_ON), // success, incomplete, failure (default: all)
+    webhooks: parseList(process.env.NOTIFY_WEBHOOK_URLS), // POST a JSON summary to each
+    email: {
+      to: parseList(process.env.NOTIFY_EMAIL_TO),
+      from: process.env.NOTIFY_EMAIL_FROM || '',
+      attachOutputs: process.env.NOTIFY_ATTACH_OUTPUTS !== 'false', // attach the combined files
+      maxAttachmentMb: parseFloat(process.env.NOTIFY_MAX_ATTACHMENT_MB) || 10
+    },
+    smtp: {
+      host: process.env.SMTP_HOST || '',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true', // true for port 465
+      user: process.env.SMTP_USER || '',
+      password: process.env.SMTP_PASSWORD || ''
+    }
+  },
+  archive: {
+    enabled: process.env.ARCHIVE_RAW_FILES !== 'false', // keep raw PO files instead of deleting them
+    path: process.env.ARCHIVE_PATH || '', // defaults to <download folder>/archive
+    keepDays: parseNonNegative(process.env.ARCHIVE_KEEP_DAYS, 30, { integer: true }), // 0 = no limit
+    keepRuns: parseNonNegative(process.env.ARCHIVE_KEEP_RUNS, 0, { integer: true }), // 0 = no limit
+    zip: process.env.ARCHIVE_ZIP === 'true' // one zip per run
   },
   browser: {
     headless: process.env.HEADLESS !== 'false'
+  },
+  logging: {
+    level: process.env.LOG_LEVEL || 'info', // debug, info, warn, error
+    format: process.env.LOG_FORMAT || 'text', // text or json (one JSON object per line)
+    file: process.env.LOG_FILE || '', // append all runs to this file
+    dir: process.env.LOG_DIR || '' // or write one log file per run into this folder
+  },
+  schedule: {
+    // Semicolon separated, since cron expressions contain commas ("0 9,15 * * 1-6;30 18 * * *")
+    crons: (process.env.SCHEDULE_CRON || '').split(';').map(c => c.trim()).filter(Boolean),
+    timezone: process.env.SCHEDULE_TIMEZONE || 'Asia/Kolkata',
+    retries: parseNonNegative(process.env.SCHEDULE_RETRIES, 2, { integer: true }),
+    retryDelayMinutes: parseFloat(process.env.SCHEDULE_RETRY_DELAY_MINUTES) || 5, // doubled after each retry
+    lockPath: process.env.LOCK_PATH || path.join(downloadPath, 'download-po.lock'),
+    historyPath: process.env.SCHEDULE_HISTORY_PATH || path.join(downloadPath, 'schedule-history.json')
   }
 };
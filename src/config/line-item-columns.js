@@ -0,0 +1,76 @@
+/**
+ * Line Item Column Aliases
+ * Canonical line item columns, in output order, with the header variants used
+ * by different PO template versions. Headers are matched ignoring case,
+ * whitespace and punctuation ("Qty ", "QTY." and "qty" are the same).
+ *
+ * Headers that match no entry are kept under their own name, after the
+ * canonical columns, and listed in the run output so the table can be extended.
+ */
+
+import fs from 'fs';
+
+export const LINE_ITEM_COLUMNS = [
+  { column: 'S. no.', aliases: ['S.no.', 'Sno', 'S No', 'Sr No', 'Serial No'] },
+  { column: 'FSN/ISBN13', aliases: ['FSN', 'ISBN13', 'FSN/ISBN'] },
+  { column: 'SKU Id', aliases: ['SKU', 'Seller SKU', 'Seller SKU Id'] },
+  { column: 'Title', aliases: ['Product Title', 'Product Name', 'Item Description', 'Description'] },
+  { column: 'HSN/SA Code', aliases: ['HSN', 'HSN Code', 'HSN/SAC'] },
+  { column: 'Quantity', aliases: ['Qty', 'Ordered Quantity', 'Order Qty', 'PO Quantity'] },
+  { column: 'Pending Quantity', aliases: ['Pending Qty'] },
+  { column: 'MRP', aliases: ['Max Retail Price'] },
+  { column: 'Supplier Price', aliases: ['Unit Price', 'Rate', 'Price'] },
+  { column: 'Taxable Value', aliases: ['Taxable Amount'] },
+  { column: 'IGST Rate', aliases: [] },
+  { column: 'IGST Amount', aliases: [] },
+  { column: 'CGST Rate', aliases: [] },
+  { column: 'CGST Amount', aliases: [] },
+  { column: 'SGST/UTGST Rate', aliases: ['SGST Rate', 'UTGST Rate'] },
+  { column: 'SGST/UTGST Amount', aliases: ['SGST Amount', 'UTGST Amount'] },
+  { column: 'Cess Rate', aliases: [] },
+  { column: 'Cess Amount', aliases: [] },
+  { column: 'Tax Amount', aliases: ['Total Tax', 'Tax'] },
+  { column: 'Total Amount', aliases: ['Amount', 'Line Total'] }
+];
+
+/**
+ * Normalize a header for alias matching: lowercase, letters and digits only
+ * ("S. no." -> "sno", "Qty " -> "qty")
+ * @param {*} header
+ * @returns {string}
+ */
+export function normalizeHeaderKey(header) {
+  return String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Load the line item columns, applying overrides from a JSON file if given
+ * The file holds an object of { "Canonical Column": ["Alias", ...] }; aliases
+ * are added to existing columns, new columns are appended.
+ * @param {string} [overridePath] - Path to a JSON override file
+ * @returns {Object[]} Line item columns
+ */
+export function loadLineItemColumns(overridePath) {
+  if (!overridePath) return LINE_ITEM_COLUMNS;
+
+  if (!fs.existsSync(overridePath)) {
+    throw new Error(`Line item alias table not found: ${overridePath}`);
+  }
+
+  const overrides = JSON.parse(fs.readFileSync(overridePath, 'utf8'));
+  const columns = LINE_ITEM_COLUMNS.map(entry => ({ ...entry, aliases: [...entry.aliases] }));
+
+  for (const [column, aliases] of Object.entries(overrides)) {
+    if (!Array.isArray(aliases)) {
+      throw new Error(`Aliases for "${column}" must be an array`);
+    }
+    const entry = columns.find(c => c.column === column);
+    if (entry) {
+      entry.aliases.push(...aliases);
+    } else {
+      columns.push({ column, aliases });
+    }
+  }
+
+  return columns;
+}
@@ -0,0 +1,88 @@
+/**
+ * PO Header Field Map
+ * Maps the labels found in the header block of a PO sheet (above the "S. no." row)
+ * to output columns. Labels are matched case-insensitively, ignoring extra spaces
+ * and a trailing colon.
+ *
+ * Required fields are always written as columns and a warning is logged when a
+ * PO file doesn't have them. Other fields are written when found in any file.
+ */
+
+import fs from 'fs';
+
+export const DEFAULT_PO_FIELDS = [
+  { column: 'PO_Number', labels: ['PO#', 'PO NO', 'PO NO.', 'PO NUMBER'], required: true },
+  { column: 'Category', labels: ['CATEGORY'], required: true },
+  { column: 'Order_Date', labels: ['ORDER DATE', 'PO DATE'], required: true },
+  { column: 'PO_Expiry', labels: ['PO EXPIRY', 'PO EXPIRY DATE', 'EXPIRY DATE'], required: true },
+  { column: 'Supplier_Name', labels: ['SUPPLIER NAME', 'VENDOR NAME'], required: true },
+  { column: 'Payment_Term', labels: ['CREDIT TERM', 'PAYMENT TERM', 'PAYMENT TERMS'], required: true },
+  { column: 'Nature_Of_Supply', labels: ['NATURE OF SUPPLY'] },
+  { column: 'Supplier_Address', labels: ['SUPPLIER ADDRESS', 'VENDOR ADDRESS'] },
+  { column: 'Supplier_GSTIN', labels: ['SUPPLIER GSTIN', 'VENDOR GSTIN'] },
+  { column: 'Billing_Address', labels: ['BILLING ADDRESS', 'BILL TO ADDRESS'] },
+  { column: 'Billing_GSTIN', labels: ['BILLING GSTIN', 'BILL TO GSTIN', 'BUYER GSTIN'] },
+  { column: 'Shipping_Address', labels: ['SHIPPING ADDRESS', 'SHIP TO ADDRESS', 'DELIVERY ADDRESS'] },
+  { column: 'Shipping_GSTIN', labels: ['SHIPPING GSTIN', 'SHIP TO GSTIN'] },
+  { column: 'Warehouse', labels: ['WAREHOUSE', 'WAREHOUSE NAME', 'WAREHOUSE ID'] },
+  { column: 'Contact_Person', labels: ['CONTACT PERSON', 'CONTACT NAME'] },
+  { column: 'Contact_Phone', labels: ['PHONE', 'PHONE NO', 'CONTACT NUMBER', 'MOBILE'] },
+  { column: 'Contact_Email', labels: ['EMAIL', 'EMAIL ID'] }
+];
+
+/**
+ * PO summary totals found below the line items
+ * Read either from label/value pairs ("GRAND TOTAL", 1234) or from the "Total"
+ * row, where each value sits under its line item column (lineItemHeaders).
+ * The same line item columns are summed to reconcile the PO.
+ */
+export const PO_SUMMARY_FIELDS = [
+  { column: 'PO_Total_Quantity', labels: ['TOTAL QUANTITY', 'TOTAL QTY'], lineItemHeaders: ['QUANTITY', 'QTY'] },
+  { column: 'PO_Taxable_Value', labels: ['TAXABLE VALUE', 'TOTAL TAXABLE VALUE'], lineItemHeaders: ['TAXABLE VALUE'] },
+  { column: 'PO_Tax_Amount', labels: ['TAX', 'TOTAL TAX', 'TAX AMOUNT', 'TOTAL TAX AMOUNT'], lineItemHeaders: ['TAX AMOUNT', 'TOTAL TAX'] },
+  { column: 'PO_Grand_Total', labels: ['GRAND TOTAL', 'TOTAL AMOUNT', 'NET AMOUNT'], lineItemHeaders: ['TOTAL AMOUNT', 'AMOUNT'] }
+];
+
+/**
+ * Normalize a header label for matching ("PO Expiry :" -> "PO EXPIRY")
+ * @param {*} label
+ * @returns {string}
+ */
+export function normalizeLabel(label) {
+  return String(label).toUpperCase().replace(/\s+/g, ' ').replace(/\s*:\s*$/, '').trim();
+}
+
+/**
+ * Load the PO field map, applying overrides from a JSON file if given
+ * The file holds an array of { column, labels, required } entries; entries with
+ * an existing column replace the default, new columns are appended.
+ * @param {string} [overridePath] - Path to a JSON override file
+ * @returns {Object[]} Field map
+ */
+export function loadPoFieldMap(overridePath) {
+  if (!overridePath) return DEFAULT_PO_FIELDS;
+
+  if (!fs.existsSync(overridePath)) {
+    throw new Error(`PO field map not found: ${overridePath}`);
+  }
+
+  const overrides = JSON.parse(fs.readFileSync(overridePath, 'utf8'));
+  if (!Array.isArray(overrides)) {
+    throw new Error(`PO field map must be an array of { column, labels, required }: ${overridePath}`);
+  }
+
+  const fields = DEFAULT_PO_FIELDS.map(field => ({ ...field }));
+  for (const override of overrides) {
+    if (!override.column || !Array.isArray(override.labels)) {
+      throw new Error(`Invalid PO field map entry: ${JSON.stringify(override)}`);
+    }
+    const idx = fields.findIndex(f => f.column === override.column);
+    if (idx === -1) {
+      fields.push(override);
+    } else {
+      fields[idx] = { ...fields[idx], ...override };
+    }
+  }
+
+  return fields;
+}
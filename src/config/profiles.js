@@ -0,0 +1,91 @@
+/**
+ * Account Profiles
+ * Lists the Vendor Hub logins to process and, for each, the companies to
+ * download POs for. Companies sharing a login are listed under one profile so
+ * the session is reused and only the company is switched.
+ *
+ * Without a profiles file, a single profile is built from FLIPKART_EMAIL,
+ * FLIPKART_PASSWORD and COMPANY_NAME.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from './index.js';
+
+/**
+ * Turn a profile or company name into a file name friendly slug
+ * ("ACME Retail Pvt. Ltd." -> "acme-retail-pvt-ltd")
+ * @param {string} name
+ * @returns {string}
+ */
+export function toSlug(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Build the default profile from the environment
+ * @returns {Object} Profile
+ */
+function defaultProfile() {
+  return {
+    name: 'default',
+    email: config.flipkart.email,
+    password: config.flipkart.password,
+    sessionPath: config.flipkart.sessionPath,
+    companies: [config.flipkart.companyName]
+  };
+}
+
+/**
+ * Load account profiles
+ * The file holds an array of { name, email, password | passwordEnv, companies, sessionPath }.
+ * passwordEnv names an environment variable holding the password, so the file
+ * can be shared without secrets. Each profile gets its own session file unless
+ * sessionPath is given.
+ * @param {string} [profilesPath] - Path to the profiles JSON file
+ * @returns {Object[]} Profiles with { name, email, password, sessionPath, companies }
+ */
+export function loadProfiles(profilesPath) {
+  if (!profilesPath) return [defaultProfile()];
+
+  if (!fs.existsSync(profilesPath)) {
+    throw new Error(`Profiles file not found: ${profilesPath}`);
+  }
+
+  const entries = JSON.parse(fs.readFileSync(profilesPath, 'utf8'));
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`Profiles file must be a non-empty array of { name, email, password, companies }: ${profilesPath}`);
+  }
+
+  const sessionDir = path.dirname(config.flipkart.sessionPath);
+  const names = new Set();
+
+  return entries.map(entry => {
+    if (!entry.name || !entry.email) {
+      throw new Error(`Profile needs a name and an email: ${JSON.stringify({ ...entry, password: undefined })}`);
+    }
+    if (names.has(entry.name)) {
+      throw new Error(`Duplicate profile name: ${entry.name}`);
+    }
+    names.add(entry.name);
+
+    const password = entry.passwordEnv ? process.env[entry.passwordEnv] : entry.password;
+    if (!password) {
+      throw new Error(`No password for profile "${entry.name}"${entry.passwordEnv ? ` (${entry.passwordEnv} is not set)` : ''}`);
+    }
+
+    const companies = entry.companies || [];
+    if (!Array.isArray(companies)) {
+      throw new Error(`Companies of profile "${entry.name}" must be an array`);
+    }
+
+    return {
+      name: entry.name,
+      email: entry.email,
+      password,
+      sessionPath: entry.sessionPath || path.join(sessionDir, `flipkart-state-${toSlug(entry.name)}.json`),
+      // No companies = keep whatever company the login lands on
+      companies: companies.length > 0 ? companies : ['']
+    };
+  });
+}
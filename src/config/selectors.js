@@ -0,0 +1,158 @@
+/**
+ * Vendor Hub Selector Registry
+ * Page elements the bot looks for, each with named strategies (Playwright
+ * selectors) in priority order. The first strategy is the primary one; the rest
+ * are fallbacks for older or changed markup. Which strategy matched is recorded
+ * per run (see core/SelectorRegistry.js), and a warning is logged as soon as a
+ * fallback is needed, so markup changes get fixed before the fallbacks run out.
+ *
+ * SELECTORS_VERSION changes when keys are added, renamed or removed, so an
+ * override file written for another version is rejected instead of silently
+ * missing keys.
+ */
+
+import fs from 'fs';
+
+export const SELECTORS_VERSION = 2;
+
+export const DEFAULT_SELECTORS = {
+  // Login page
+  'login.email': [
+    { name: 'email-type', selector: 'input[type="email"]' },
+    { name: 'email-name', selector: 'input[name="email"]' },
+    { name: 'email-placeholder', selector: 'input[placeholder*="email" i]' },
+    { name: 'email-id', selector: 'input[id*="email" i]' },
+    { name: 'first-text-input', selector: 'input[type="text"]' }
+  ],
+  'login.password': [
+    { name: 'password-type', selector: 'input[type="password"]' },
+    { name: 'password-name', selector: 'input[name="password"]' },
+    { name: 'password-placeholder', selector: 'input[placeholder*="password" i]' },
+    { name: 'password-id', selector: 'input[id*="password" i]' }
+  ],
+  'login.submit': [
+    { name: 'login-text', selector: 'button:has-text("Login")' },
+    { name: 'log-in-text', selector: 'button:has-text("Log In")' },
+    { name: 'sign-in-text', selector: 'button:has-text("Sign In")' },
+    { name: 'submit-text', selector: 'button:has-text("Submit")' },
+    { name: 'submit-type', selector: 'button[type="submit"]' }
+  ],
+
+  // PO list: rows and per-row Download button
+  'poList.rows': [
+    { name: 'aria-row', selector: 'div[role="row"]' },
+    { name: 'table-row', selector: 'table tbody tr' },
+    { name: 'class-row', selector: '[class*="table"] [class*="row"]' }
+  ],
+  'poList.rowDownload': [
+    { name: 'button-text', selector: 'button:has-text("Download")' },
+    { name: 'link-text', selector: 'a:has-text("Download")' },
+    { name: 'role-button-text', selector: '[role="button"]:has-text("Download")' },
+    { name: 'any-text', selector: 'text=Download' },
+    { name: 'span-text', selector: 'span:has-text("Download")' },
+    { name: 'div-text', selector: 'div:has-text("Download")' },
+    { name: 'button-title', selector: 'button[title*="download" i]' },
+    { name: 'link-title', selector: 'a[title*="download" i]' },
+    { name: 'download-class', selector: '[class*="download" i]' }
+  ],
+
+  // PO list: page size dropdown and its "50" option
+  'poList.pageSize': [
+    { name: 'select-with-50', selector: 'select:has(option[value="50"])' },
+    { name: 'combobox', selector: '[role="combobox"]' },
+    { name: 'any-select', selector: 'select' },
+    { name: 'button-10', selector: 'button:has-text("10")' },
+    { name: 'pagination-select', selector: '[class*="pagination"] select' },
+    { name: 'page-size-class', selector: '[class*="page-size"]' }
+  ],
+  'poList.pageSizeOption': [
+    { name: 'option-50', selector: 'li:has-text("50"), option:has-text("50"), div:has-text("50")' }
+  ],
+
+  // PO list: "Showing 1-10 of 234"
+  'poList.pageInfo': [
+    { name: 'showing-text', selector: 'text=/Showing \\d+-\\d+ of \\d+/i' },
+    { name: 'range-text', selector: 'text=/\\d+-\\d+ of \\d+/' },
+    { name: 'page-info-class', selector: '[class*="page-info"]' },
+    { name: 'pagination-info-class', selector: '[class*="pagination-info"]' },
+    { name: 'showing-class', selector: '[class*="showing"]' }
+  ],
+
+  // PO list: the ">" arrow of the pager, clicked first to go to the next page
+  'poList.nextArrow': [
+    { name: 'button-arrow', selector: 'button:has-text(">")' },
+    { name: 'span-arrow', selector: 'span:text-is(">")' },
+    { name: 'div-arrow', selector: 'div:text-is(">")' },
+    { name: 'role-button-arrow', selector: '[role="button"]:has-text(">")' },
+    { name: 'button-arrow-child', selector: 'button >> text=">"' }
+  ],
+
+  // PO list: other next page controls, used to tell whether there is a next page
+  // when the page count text is missing (not clicked, see poList.nextClick)
+  'poList.nextButton': [
+    { name: 'next-text', selector: 'button:has-text("Next")' },
+    { name: 'aria-next', selector: '[aria-label="Next page"]' },
+    { name: 'aria-next-lower', selector: '[aria-label="next page"]' },
+    { name: 'aria-go-next', selector: '[aria-label="Go to next page"]' },
+    { name: 'pagination-next-class', selector: '[class*="pagination"] [class*="next"]:not([disabled])' },
+    { name: 'button-next-class', selector: 'button[class*="next"]:not([disabled])' },
+    { name: 'page-next-class', selector: '[class*="page-next"]:not([disabled])' },
+    { name: 'link-next-text', selector: 'a:has-text("Next")' },
+    { name: 'list-next', selector: 'li.next:not(.disabled) a' },
+    { name: 'pagination-arrow', selector: '[class*="pagination"] button:has-text(">")' },
+    { name: 'button-arrow', selector: 'button:has-text(">")' },
+    { name: 'button-double-arrow', selector: 'button:has-text(">>")' },
+    { name: 'button-right-arrow', selector: 'button:has-text("→")' },
+    { name: 'chevron-class', selector: '[class*="chevron-right"]' },
+    { name: 'arrow-class', selector: '[class*="arrow-right"]' },
+    { name: 'svg-right', selector: 'svg[class*="right"]' },
+    { name: 'svg-testid-right', selector: 'button svg[data-testid*="right"]' },
+    { name: 'testid-next', selector: '[data-testid*="next"]' },
+    { name: 'pagination-last-button', selector: '[data-testid*="pagination"] button:last-child' },
+    { name: 'pagination-last-of-type', selector: '[class*="pagination"] button:last-of-type' },
+    { name: 'pager-last-of-type', selector: '[class*="pager"] button:last-of-type' }
+  ],
+
+  // PO list: next page controls clicked when neither the ">" arrow nor the pager icons are found
+  'poList.nextClick': [
+    { name: 'next-text', selector: 'button:has-text("Next")' },
+    { name: 'aria-next', selector: '[aria-label="Next page"]' },
+    { name: 'aria-next-lower', selector: '[aria-label="next page"]' },
+    { name: 'aria-go-next', selector: '[aria-label="Go to next page"]' },
+    { name: 'pagination-last-of-type', selector: '[class*="pagination"] button:last-of-type' },
+    { name: 'pager-last-of-type', selector: '[class*="pager"] button:last-of-type' }
+  ]
+};
+
+/**
+ * Load the selector registry, applying overrides from a JSON file if given
+ * The file holds { "version": 2, "selectors": { "<key>": [{ "name", "selector" }, ...] } };
+ * the strategies listed for a key replace its defaults (copy the defaults to keep them as fallbacks).
+ * @param {string} [overridePath] - Path to a JSON override file
+ * @returns {Object} Key -> strategies in priority order
+ */
+export function loadSelectors(overridePath) {
+  if (!overridePath) return DEFAULT_SELECTORS;
+
+  if (!fs.existsSync(overridePath)) {
+    throw new Error(`Selector file not found: ${overridePath}`);
+  }
+
+  const overrides = JSON.parse(fs.readFileSync(overridePath, 'utf8'));
+  if (overrides.version !== SELECTORS_VERSION) {
+    throw new Error(`Selector file ${overridePath} is for registry version ${overrides.version ?? 'unknown'}, this bot uses version ${SELECTORS_VERSION} (see src/config/selectors.js)`);
+  }
+
+  const selectors = { ...DEFAULT_SELECTORS };
+  for (const [key, strategies] of Object.entries(overrides.selectors || {})) {
+    if (!DEFAULT_SELECTORS[key]) {
+      throw new Error(`Unknown selector key "${key}" (known: ${Object.keys(DEFAULT_SELECTORS).join(', ')})`);
+    }
+    if (!Array.isArray(strategies) || strategies.length === 0 || strategies.some(s => !s || !s.name || !s.selector)) {
+      throw new Error(`Selectors for "${key}" must be a non-empty array of { name, selector }`);
+    }
+    selectors[key] = strategies;
+  }
+
+  return selectors;
+}
@@ -0,0 +1,77 @@
+/**
+ * Tally Mapping
+ * Maps PO data to the masters of a Tally company for the Tally XML export:
+ * the party ledger, stock items, sales and GST ledgers. Names must match the
+ * Tally masters exactly.
+ *
+ * The mapping is a JSON file (TALLY_MAPPING), e.g.:
+ * {
+ *   "company": "Filflo Retail Pvt Ltd",
+ *   "party": { "default": "Flipkart India Pvt Ltd", "byGstin": { "29AACCF0683K1ZD": "Flipkart India - KA" } },
+ *   "salesLedger": "Sales - Flipkart",
+ *   "gstLedgers": { "IGST": "Output IGST", "CGST": "Output CGST", "SGST": "Output SGST" },
+ *   "items": { "SKU-RED-M": "Red T-Shirt M", "SKU-BLU-L": { "name": "Blue T-Shirt L", "unit": "Pcs" } }
+ * }
+ */
+
+import fs from 'fs';
+
+// GST components: Tally ledger key -> line item amount column
+export const GST_COMPONENTS = {
+  IGST: 'IGST Amount',
+  CGST: 'CGST Amount',
+  SGST: 'SGST/UTGST Amount',
+  Cess: 'Cess Amount'
+};
+
+export const DEFAULT_TALLY_MAPPING = {
+  company: '', // SVCURRENTCOMPANY; empty = the company open in Tally
+  voucherType: 'Sales Order',
+  party: { default: '', byGstin: {} }, // party ledger, by the PO's Billing_GSTIN
+  salesLedger: '',
+  gstLedgers: { IGST: '', CGST: '', SGST: '', Cess: '' },
+  itemColumns: ['SKU Id', 'FSN/ISBN13'], // line item columns looked up in items, first match wins
+  items: {}, // value -> stock item name, or { name, unit }
+  unit: 'Nos', // default unit of measure
+  godown: '' // empty = Tally's default godown
+};
+
+/**
+ * Load the Tally mapping from a JSON file, filling in defaults
+ * @param {string} mappingPath - Path to the JSON mapping file
+ * @returns {Object} Tally mapping
+ */
+export function loadTallyMapping(mappingPath) {
+  if (!mappingPath) {
+    throw new Error('The tally format needs a mapping of Tally ledgers and stock items (set TALLY_MAPPING)');
+  }
+  if (!fs.existsSync(mappingPath)) {
+    throw new Error(`Tally mapping not found: ${mappingPath}`);
+  }
+
+  const overrides = JSON.parse(fs.readFileSync(mappingPath, 'utf8'));
+  const mapping = {
+    ...DEFAULT_TALLY_MAPPING,
+    ...overrides,
+    party: { ...DEFAULT_TALLY_MAPPING.party, ...overrides.party },
+    gstLedgers: { ...DEFAULT_TALLY_MAPPING.gstLedgers, ...overrides.gstLedgers }
+  };
+
+  if (!mapping.salesLedger) {
+    throw new Error(`Tally mapping ${mappingPath} has no salesLedger`);
+  }
+  if (!mapping.party.default && Object.keys(mapping.party.byGstin).length === 0) {
+    throw new Error(`Tally mapping ${mappingPath} has no party ledger (party.default or party.byGstin)`);
+  }
+  const unknownComponents = Object.keys(mapping.gstLedgers).filter(key => !GST_COMPONENTS[key]);
+  if (unknownComponents.length > 0) {
+    throw new Error(`Unknown GST ledger key(s) in ${mappingPath}: ${unknownComponents.join(', ')} (supported: ${Object.keys(GST_COMPONENTS).join(', ')})`);
+  }
+  for (const [key, item] of Object.entries(mapping.items)) {
+    if (typeof item !== 'string' && !item?.name) {
+      throw new Error(`Stock item for "${key}" in ${mappingPath} needs a name`);
+    }
+  }
+
+  return mapping;
+}
@@ -4,7 +4,11 @@
  */
 
 import { chromium } from 'playwright';
+import path from 'path';
+import fs from 'fs';
 import { config } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+import { SelectorRegistry } from './SelectorRegistry.js';
 
 export class BaseTask {
   constructor(config = {}) {
@@ -13,18 +17,21 @@ export class BaseTask {
     this.context = null;
     this.page = null;
     this.taskName = this.constructor.name;
+    this.log = createLogger({ task: this.taskName });
+    this.notifier = config.notifier || null; // Notifier told when execute() finishes or fails
+    this.notifyFailure = config.notifyFailure ?? true; // false for attempts the scheduler will retry
+    // Page element selectors; tasks sharing a browser pass the same registry (selectorRegistry)
+    this.selectors = config.selectorRegistry || new SelectorRegistry(config.selectors);
   }
 
   /**
    * Initialize browser and create new page
    */
   async initialize() {
-    console.log(`🚀 Initializing ${this.taskName}...`);
+    this.log.info(`🚀 Initializing ${this.taskName}...`);
     
     // Use headless mode from config (defaults to true in production)
-    const headlessMode = this.config.headless !== undefined 
-      ? this.config.headless 
-      : config.browser.headless;
+    const headlessMode = this.isHeadless();
     
     this.browser = await chromium.launch({
       headless: headlessMode,
@@ -33,14 +40,58 @@ export class BaseTask {
         : ['--start-maximized']
     });
 
-    this.context = await this.browser.newContext({
+    await this.newContext(this.config.sessionPath);
+    
+    this.log.info('✅ Browser initialized');
+  }
+
+  /**
+   * Open a fresh browser context and page, closing the current context
+   * Used to switch between accounts, which need separate cookies
+   * @param {string} [sessionPath] - Storage state file to restore, if it exists
+   */
+  async newContext(sessionPath) {
+    if (this.context) {
+      await this.context.close();
+    }
+
+    const contextOptions = {
       viewport: null,
       userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-    });
+    };
+
+    // Restore cookies + local storage from a previous run if available
+    if (sessionPath && fs.existsSync(sessionPath)) {
+      contextOptions.storageState = sessionPath;
+      this.log.info(`🍪 Restoring saved session from ${sessionPath}`);
+    }
+
+    this.context = await this.browser.newContext(contextOptions);
 
     this.page = await this.context.newPage();
-    
-    console.log('✅ Browser initialized');
+  }
+
+  /**
+   * Whether the browser runs headless (task config overrides global config)
+   * @returns {boolean}
+   */
+  isHeadless() {
+    return this.config.headless !== undefined
+      ? this.config.headless
+      : config.browser.headless;
+  }
+
+  /**
+   * Save cookies + local storage of the current context to disk
+   * @param {string} filePath - Path of the storage state JSON file
+   */
+  async saveStorageState(filePath) {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    await this.context.storageState({ path: filePath });
+    this.log.info(`💾 Session saved: ${filePath}`);
   }
 
   /**
@@ -50,30 +101,30 @@ export class BaseTask {
     this.browser = browser;
     this.context = context;
     this.page = page;
-    console.log(`✅ Using shared browser context for ${this.taskName}`);
+    this.log.debug(`✅ Using shared browser context for ${this.taskName}`);
   }
 
   /**
    * Navigate to a URL
    */
   async navigateTo(url) {
-    console.log(`🌐 Navigating to ${url}...`);
+    this.log.info(`🌐 Navigating to ${url}...`);
     try {
       // Use 'load' instead of 'networkidle' to avoid timeouts on pages with continuous network activity
       await this.page.goto(url, { 
         waitUntil: 'load',
         timeout: 60000 // Increase timeout to 60 seconds
       });
-      console.log('✅ Page loaded');
+      this.log.info('✅ Page loaded');
     } catch (error) {
       // If load times out, try with domcontentloaded as fallback
       if (error.message.includes('Timeout')) {
-        console.log('⚠️  Load timeout, trying with domcontentloaded...');
+        this.log.warn('⚠️  Load timeout, trying with domcontentloaded...');
         await this.page.goto(url, { 
           waitUntil: 'domcontentloaded',
           timeout: 60000
         });
-        console.log('✅ Page loaded (domcontentloaded)');
+        this.log.info('✅ Page loaded (domcontentloaded)');
       } else {
         throw error;
       }
@@ -91,7 +142,7 @@ export class BaseTask {
     for (const selector of selectors) {
       try {
         await this.page.waitForSelector(selector, { timeout: timeout / selectors.length });
-        console.log(`✅ Found element: ${selector}`);
+        this.log.debug(`✅ Found element: ${selector}`);
         return selector;
       } catch (err) {
         continue;
@@ -101,6 +152,62 @@ export class BaseTask {
     throw new Error(`Could not find any of the selectors: ${selectors.join(', ')}`);
   }
 
+  /**
+   * Wait for an element of the selector registry, trying its strategies in priority order
+   * @param {string} key - Selector registry key (see config/selectors.js)
+   * @param {number} [timeout] - Total wait, split across the strategies
+   * @returns {string} The selector that matched
+   */
+  async waitForSelectorKey(key, timeout = 10000) {
+    const strategies = this.selectors.strategies(key);
+
+    for (const { name, selector } of strategies) {
+      try {
+        await this.page.waitForSelector(selector, { timeout: timeout / strategies.length });
+        this.log.debug(`✅ Found ${key} via "${name}": ${selector}`);
+        this.selectors.recordMatch(key, name);
+        return selector;
+      } catch (err) {
+        continue;
+      }
+    }
+
+    this.selectors.recordMiss(key);
+    throw new Error(`Could not find ${key} (tried: ${strategies.map(s => s.name).join(', ')})`);
+  }
+
+  /**
+   * Find the first visible element of the selector registry, trying its strategies in priority order
+   * @param {string} key - Selector registry key (see config/selectors.js)
+   * @param {Object} [options]
+   * @param {Page|Locator} [options.scope] - Look inside this element (default: the whole page)
+   * @param {number} [options.timeout] - Visibility wait per strategy
+   * @param {Function} [options.accept] - async (locator) => truthy if the element is usable (e.g. not disabled);
+   *   otherwise the next strategy is tried
+   * @returns {Promise<{ locator: Locator, name: string, selector: string, value: * }|null>} Null if no strategy matched
+   */
+  async findVisible(key, { scope = this.page, timeout = 500, accept } = {}) {
+    for (const { name, selector } of this.selectors.strategies(key)) {
+      try {
+        const locator = scope.locator(selector).first();
+        const isVisible = await locator.isVisible({ timeout }).catch(() => false);
+        if (!isVisible) continue;
+
+        const value = accept ? await accept(locator, name) : true;
+        if (value) {
+          this.log.debug(`   Found ${key} via "${name}": ${selector}`);
+          this.selectors.recordMatch(key, name);
+          return { locator, name, selector, value };
+        }
+      } catch (err) {
+        // Continue to next strategy
+      }
+    }
+
+    this.selectors.recordMiss(key);
+    return null;
+  }
+
   /**
    * Type text into an input field
    */
@@ -122,7 +229,32 @@ export class BaseTask {
    */
   async takeScreenshot(filename = 'screenshot.png') {
     await this.page.screenshot({ path: filename, fullPage: true });
-    console.log(`📸 Screenshot saved: ${filename}`);
+    this.log.info(`📸 Screenshot saved: ${filename}`);
+    return filename;
+  }
+
+  /**
+   * Run summary for notifications (counts, output files)
+   * Overridden by tasks that have something to report
+   * @returns {Object}
+   */
+  getSummary() {
+    return {};
+  }
+
+  /**
+   * Send a notification about the finished run, if a notifier is set
+   * Never throws, a failed notification must not fail the run
+   * @param {Object} event - { outcome, startedAt, error, screenshot }
+   */
+  async notify(event) {
+    if (!this.notifier) return;
+
+    try {
+      await this.notifier.notify({ task: this.taskName, ...this.getSummary(), ...event, finishedAt: new Date() });
+    } catch (error) {
+      this.log.warn(`⚠️  Could not send notifications: ${error.message}`);
+    }
   }
 
   /**
@@ -131,7 +263,7 @@ export class BaseTask {
   async cleanup() {
     if (this.browser) {
       await this.browser.close();
-      console.log('🔒 Browser closed');
+      this.log.info('🔒 Browser closed');
     }
   }
 
@@ -146,18 +278,24 @@ export class BaseTask {
    * Execute the task with error handling
    */
   async execute() {
+    const startedAt = new Date();
     try {
       await this.initialize();
       await this.run();
-      console.log('\n✅ Task completed!');
-      console.log('🔒 Closing browser...');
+      this.log.info('\n✅ Task completed!');
+      this.log.info('🔒 Closing browser...');
       await this.cleanup();
+      await this.notify({ outcome: 'success', startedAt });
     } catch (error) {
-      console.error(`❌ Error in ${this.taskName}:`, error.message);
+      this.log.error(`❌ Error in ${this.taskName}: ${error.message}`);
+      let screenshot = null;
       if (this.page) {
-        await this.takeScreenshot(`error-${Date.now()}.png`);
+        screenshot = await this.takeScreenshot(`error-${Date.now()}.png`);
       }
       await this.cleanup();
+      if (this.notifyFailure) {
+        await this.notify({ outcome: 'failure', startedAt, error, screenshot });
+      }
       throw error;
     }
   }
@@ -0,0 +1,280 @@
+/**
+ * ControlServer - Local HTTP API to start PO downloads and follow their progress
+ * Only one run is active at a time; the lock file shared with download-po and
+ * schedule keeps it from overlapping with runs started elsewhere
+ */
+
+import http from 'http';
+import path from 'path';
+import fs from 'fs';
+import { acquireLock, readLock, releaseLock } from '../utils/run-lock.js';
+import { appendRunHistory, loadRunHistory, formatRun } from '../utils/run-history.js';
+import { createLogger } from '../utils/logger.js';
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+const CONTENT_TYPES = {
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.csv': 'text/csv; charset=utf-8',
+  '.json': 'application/json',
+  '.ndjson': 'application/x-ndjson',
+  '.xml': 'application/xml'
+};
+
+/**
+ * Error that is answered with the given HTTP status
+ * @param {number} statusCode
+ * @param {string} message
+ * @returns {Error}
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Read and parse a JSON request body (an empty body is {})
+ * The Content-Type must be application/json: browsers only send that after a
+ * CORS preflight, which this API doesn't answer, so other web pages can't start runs
+ * @returns {Promise<Object>}
+ */
+function readJsonBody(req) {
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (contentType !== 'application/json') {
+    return Promise.reject(httpError(415, 'Content-Type must be application/json'));
+  }
+
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(httpError(413, 'Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!body.trim()) return resolve({});
+      try {
+        const parsed = JSON.parse(body);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+          return reject(httpError(400, 'Request body must be a JSON object'));
+        }
+        resolve(parsed);
+      } catch (error) {
+        reject(httpError(400, `Invalid JSON body: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+export class ControlServer {
+  /**
+   * @param {Object} options
+   * @param {Function} options.prepare - (runOptions) => job config; throws on invalid options (answered with 400)
+   * @param {Function} options.job - async (jobConfig, update) => void; update({ progress }) / update({ outputs, manifests })
+   * @param {string} options.lockPath - Lock file shared with download-po and schedule
+   * @param {string} options.historyPath - Run history JSON file
+   * @param {string} [options.host] - Interface to listen on (default 127.0.0.1)
+   * @param {number} [options.port] - Port to listen on (default 3030)
+   * @param {string} [options.token] - If set, requests need "Authorization: Bearer <token>"
+   */
+  constructor(options) {
+    this.prepare = options.prepare;
+    this.job = options.job;
+    this.lockPath = options.lockPath;
+    this.historyPath = options.historyPath;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port ?? 3030;
+    this.token = options.token || '';
+    this.current = null; // the active run
+    this.server = null;
+    this.log = createLogger({ server: 'control' });
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Base URL of the API
+   */
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        const statusCode = error.statusCode || 500;
+        if (statusCode === 500) {
+          this.log.error(`❌ ${req.method} ${req.url}: ${error.message}`);
+        }
+        if (!res.headersSent) {
+          sendJson(res, statusCode, { error: error.message });
+        } else {
+          res.destroy();
+        }
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        const { address, port } = this.server.address();
+        this.url = `http://${address.includes(':') ? `[${address}]` : address}:${port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stop accepting requests; a run in progress keeps going
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  /**
+   * Route a request
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    this.log.debug(`${req.method} ${url.pathname}`);
+
+    if (this.token && req.headers.authorization !== `Bearer ${this.token}`) {
+      throw httpError(401, 'Missing or wrong bearer token');
+    }
+
+    const route = `${req.method} /${segments.map((s, i) => (i === 1 ? ':id' : i === 3 ? ':name' : s)).join('/')}`;
+    switch (route) {
+      case 'GET /health':
+        return sendJson(res, 200, { ok: true, running: Boolean(this.current) });
+
+      case 'POST /runs':
+        return sendJson(res, 202, this.startRun(await readJsonBody(req)));
+
+      case 'GET /runs': {
+        const limit = parseInt(url.searchParams.get('limit')) || 20;
+        const runs = loadRunHistory(this.historyPath).slice(-limit).reverse();
+        return sendJson(res, 200, { active: this.current, runs });
+      }
+
+      case 'GET /runs/:id':
+        return sendJson(res, 200, this.findRun(segments[1]));
+
+      case 'GET /runs/:id/files/:name':
+        return this.sendRunFile(res, this.findRun(segments[1]), segments[3]);
+
+      default:
+        throw httpError(404, `No route for ${req.method} ${url.pathname}`);
+    }
+  }
+
+  /**
+   * Find a run by id; "current" is the active run
+   * @param {string} id
+   * @returns {Object} The run
+   */
+  findRun(id) {
+    if (this.current && (id === 'current' || id === this.current.id)) {
+      return this.current;
+    }
+    const run = id === 'current' ? null : loadRunHistory(this.historyPath).find(r => r.id === id);
+    if (!run) {
+      throw httpError(404, id === 'current' ? 'No run in progress' : `Run not found: ${id}`);
+    }
+    return run;
+  }
+
+  /**
+   * Stream an output file or manifest of a run
+   * Only files recorded for the run can be fetched, by their file name
+   */
+  sendRunFile(res, run, name) {
+    const filePath = [...(run.outputs || []), ...(run.manifests || [])].find(file => path.basename(file) === name);
+    if (!filePath || !fs.existsSync(filePath)) {
+      throw httpError(404, `File not found for run ${run.id}: ${name}`);
+    }
+
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      'Content-Length': fs.statSync(filePath).size,
+      'Content-Disposition': `attachment; filename="${name}"`
+    });
+    fs.createReadStream(filePath).pipe(res);
+  }
+
+  /**
+   * Start a run unless one is already active
+   * @param {Object} options - Run options from the request body
+   * @returns {Object} The new run
+   */
+  startRun(options) {
+    if (this.current) {
+      throw httpError(409, `Run ${this.current.id} is still in progress`);
+    }
+
+    let jobConfig;
+    try {
+      jobConfig = this.prepare(options);
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+
+    // Also blocks runs started by download-po or schedule
+    if (!acquireLock(this.lockPath, 'serve (api)')) {
+      const holder = readLock(this.lockPath);
+      throw httpError(409, `Another PO download is running (process ${holder?.pid}, ${holder?.label || 'unknown'})`);
+    }
+
+    const startedAt = new Date();
+    const run = {
+      id: `run_${startedAt.toISOString().replace(/[:.]/g, '-')}`,
+      trigger: 'api',
+      status: 'running',
+      startedAt: startedAt.toISOString(),
+      options,
+      progress: null,
+      outputs: [],
+      manifests: []
+    };
+    this.current = run;
+    this.log.info(`▶️  Run ${run.id} started`);
+
+    this.execute(run, jobConfig);
+    return run;
+  }
+
+  /**
+   * Run the job and record the outcome; never throws
+   */
+  async execute(run, jobConfig) {
+    try {
+      await this.job(jobConfig, changes => Object.assign(run, changes));
+      run.status = 'success';
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+    } finally {
+      const finishedAt = new Date();
+      run.finishedAt = finishedAt.toISOString();
+      run.durationMs = finishedAt - new Date(run.startedAt);
+      releaseLock(this.lockPath);
+      this.current = null;
+
+      try {
+        appendRunHistory(this.historyPath, run);
+      } catch (error) {
+        this.log.error(`❌ Could not record run ${run.id}: ${error.message}`);
+      }
+      this.log.info(`📜 ${formatRun(run)}`);
+    }
+  }
+}
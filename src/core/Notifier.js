@@ -0,0 +1,255 @@
+/**
+ * Notifier - Tells people how an unattended run went
+ * Sends an email (SMTP, with the combined files or the error screenshot
+ * attached) and/or posts JSON to webhooks when a task finishes or fails
+ */
+
+import path from 'path';
+import fs from 'fs';
+import nodemailer from 'nodemailer';
+import { createLogger } from '../utils/logger.js';
+
+export const NOTIFY_OUTCOMES = ['success', 'incomplete', 'failure'];
+
+const OUTCOME_TITLES = {
+  success: '✅ Flipkart PO download completed',
+  incomplete: '⚠️ Flipkart PO download completed with failures',
+  failure: '❌ Flipkart PO download failed'
+};
+
+/**
+ * Check that a webhook URL can be posted to
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isHttpUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Format a duration in milliseconds as "1m 05s"
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+}
+
+export class Notifier {
+  /**
+   * @param {Object} options - See config.notify
+   * @param {string[]} [options.on] - Outcomes to notify about (success, incomplete, failure)
+   * @param {string[]} [options.webhooks] - URLs to POST a JSON summary to
+   * @param {Object} [options.email] - { to: string[], from, attachOutputs, maxAttachmentMb }
+   * @param {Object} [options.smtp] - { host, port, secure, user, password }
+   * @param {number} [options.timeoutMs] - Timeout per webhook request
+   */
+  constructor(options = {}) {
+    this.on = options.on && options.on.length > 0 ? options.on : NOTIFY_OUTCOMES;
+    this.webhooks = options.webhooks || [];
+    this.email = { to: [], attachOutputs: true, maxAttachmentMb: 10, ...options.email };
+    this.smtp = options.smtp || {};
+    this.timeoutMs = options.timeoutMs ?? 10000;
+    this.log = createLogger({ module: 'notifier' });
+
+    const unknownOutcomes = this.on.filter(outcome => !NOTIFY_OUTCOMES.includes(outcome));
+    if (unknownOutcomes.length > 0) {
+      throw new Error(`Unknown notification outcome(s): ${unknownOutcomes.join(', ')} (supported: ${NOTIFY_OUTCOMES.join(', ')})`);
+    }
+    // Positions only, webhook URLs often hold a secret
+    const invalidWebhooks = this.webhooks.flatMap((url, index) => (isHttpUrl(url) ? [] : [index + 1]));
+    if (invalidWebhooks.length > 0) {
+      throw new Error(`Invalid webhook URL(s) at position ${invalidWebhooks.join(', ')} of NOTIFY_WEBHOOK_URLS (expected http:// or https:// URLs)`);
+    }
+    if (this.email.to.length > 0 && !this.smtp.host) {
+      throw new Error('Email notifications need an SMTP server (set SMTP_HOST)');
+    }
+  }
+
+  /**
+   * Whether any channel is configured
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.email.to.length > 0 || this.webhooks.length > 0;
+  }
+
+  /**
+   * Send a notification about a finished run to every channel
+   * A channel that fails is logged and doesn't stop the others
+   * @param {Object} event
+   * @param {string} event.outcome - "success" or "failure"; success with failed POs counts as "incomplete"
+   * @param {string} event.task - Task name
+   * @param {Date} event.startedAt
+   * @param {Date} event.finishedAt
+   * @param {Error} [event.error] - Error that ended the run
+   * @param {string} [event.screenshot] - Screenshot taken on failure
+   * @param {number} [event.downloaded] - POs downloaded
+   * @param {number} [event.newPOs] - POs downloaded for the first time
+   * @param {number} [event.skipped] - POs skipped as already downloaded
+   * @param {number} [event.failed] - POs that could not be downloaded
+   * @param {string[]} [event.failedPOs] - Their PO numbers
+   * @param {string} [event.changes] - Change report against the previous run (see po-changes.js)
+   * @param {string[]} [event.outputs] - Combined output files
+   * @param {string[]} [event.manifests] - Run manifests
+   * @returns {Promise<Object[]>} { channel, ok, error } per channel
+   */
+  async notify(event) {
+    const outcome = event.outcome === 'success' && event.failed > 0 ? 'incomplete' : event.outcome;
+    if (!this.enabled || !this.on.includes(outcome)) {
+      return [];
+    }
+
+    const message = { ...event, outcome, subject: this.formatSubject({ ...event, outcome }), text: this.formatText({ ...event, outcome }) };
+    const channels = [
+      ...(this.email.to.length > 0 ? [{ channel: `email ${this.email.to.join(', ')}`, send: () => this.sendEmail(message) }] : []),
+      ...this.webhooks.map(url => ({ channel: `webhook ${new URL(url).host}`, send: () => this.postWebhook(url, message) }))
+    ];
+
+    const results = await Promise.allSettled(channels.map(({ send }) => send()));
+    return results.map((result, index) => {
+      const { channel } = channels[index];
+      if (result.status === 'fulfilled') {
+        this.log.info(`📣 Notification sent: ${channel}`);
+        return { channel, ok: true };
+      }
+      this.log.warn(`⚠️  Notification failed (${channel}): ${result.reason.message}`);
+      return { channel, ok: false, error: result.reason.message };
+    });
+  }
+
+  /**
+   * One line subject, e.g. "✅ Flipkart PO download completed: 12 new PO(s)"
+   */
+  formatSubject(event) {
+    if (event.outcome === 'failure') {
+      return `${OUTCOME_TITLES.failure}: ${event.error?.message || 'unknown error'}`;
+    }
+    const failed = event.failed > 0 ? `, ${event.failed} failed` : '';
+    return `${OUTCOME_TITLES[event.outcome]}: ${event.newPOs ?? event.downloaded ?? 0} new PO(s)${failed}`;
+  }
+
+  /**
+   * Plain text summary of the run
+   */
+  formatText(event) {
+    const lines = [
+      OUTCOME_TITLES[event.outcome],
+      '',
+      `Started: ${event.startedAt.toISOString()} (${formatDuration(event.finishedAt - event.startedAt)})`
+    ];
+
+    if (event.downloaded !== undefined) {
+      lines.push(`POs downloaded: ${event.downloaded} (${event.newPOs ?? 0} new)`);
+      lines.push(`Skipped (already downloaded): ${event.skipped ?? 0}`);
+      lines.push(`Failed: ${event.failed ?? 0}${event.failedPOs?.length > 0 ? ` (${event.failedPOs.join(', ')})` : ''}`);
+    }
+    for (const company of event.companies || []) {
+      lines.push(`  ${company.company}: ${company.downloaded} downloaded, ${company.newPOs} new, ${company.failed} failed`);
+    }
+    if (event.changes) {
+      lines.push('', event.changes);
+    }
+    if (event.selectorFallbacks?.length > 0) {
+      lines.push('', 'Page elements found only through fallback selectors (update SELECTORS_PATH):', ...event.selectorFallbacks.map(fallback => `  ${fallback}`));
+    }
+    if (event.outputs?.length > 0) {
+      lines.push('', 'Files:', ...event.outputs.map(file => `  ${file}`));
+    }
+    if (event.manifests?.length > 0) {
+      lines.push('', 'Manifests:', ...event.manifests.map(file => `  ${file}`));
+    }
+    if (event.error) {
+      lines.push('', `Error: ${event.error.message}`);
+    }
+    if (event.screenshot) {
+      lines.push(`Screenshot: ${event.screenshot}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Files to attach: the error screenshot first, then the combined outputs (up to maxAttachmentMb in total)
+   * A file that doesn't fit is skipped; smaller files after it are still attached
+   * @returns {Object[]} nodemailer attachments
+   */
+  attachments(event) {
+    const files = [
+      ...(event.screenshot ? [event.screenshot] : []),
+      ...(this.email.attachOutputs ? event.outputs || [] : [])
+    ].filter(file => fs.existsSync(file));
+
+    const attachments = [];
+    let totalBytes = 0;
+    for (const file of files) {
+      const size = fs.statSync(file).size;
+      if (totalBytes + size > this.email.maxAttachmentMb * 1024 * 1024) {
+        this.log.warn(`⚠️  Not attaching ${path.basename(file)}: attachments would exceed ${this.email.maxAttachmentMb} MB`);
+        continue;
+      }
+      totalBytes += size;
+      attachments.push({ filename: path.basename(file), path: file });
+    }
+    return attachments;
+  }
+
+  /**
+   * Send the notification email
+   */
+  async sendEmail(message) {
+    const transport = nodemailer.createTransport({
+      host: this.smtp.host,
+      port: this.smtp.port,
+      secure: this.smtp.secure,
+      ...(this.smtp.user ? { auth: { user: this.smtp.user, pass: this.smtp.password } } : {})
+    });
+
+    await transport.sendMail({
+      from: this.email.from || this.smtp.user,
+      to: this.email.to.join(', '),
+      subject: message.subject,
+      text: message.text,
+      attachments: this.attachments(message)
+    });
+  }
+
+  /**
+   * POST the summary as JSON; "text" makes it show up in chat incoming webhooks
+   */
+  async postWebhook(url, message) {
+    const payload = {
+      text: `${message.subject}\n${message.text.split('\n').slice(2).join('\n')}`,
+      outcome: message.outcome,
+      task: message.task,
+      startedAt: message.startedAt.toISOString(),
+      finishedAt: message.finishedAt.toISOString(),
+      downloaded: message.downloaded,
+      newPOs: message.newPOs,
+      skipped: message.skipped,
+      failed: message.failed,
+      failedPOs: message.failedPOs,
+      companies: message.companies,
+      changes: message.changes,
+      selectorFallbacks: message.selectorFallbacks,
+      outputs: (message.outputs || []).map(file => path.basename(file)),
+      error: message.error?.message,
+      screenshot: message.screenshot
+    };
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+  }
+}
@@ -0,0 +1,348 @@
+/**
+ * PoDatabase - Local SQLite history of POs and line items across runs
+ * Every run's parsed POs (from parsePoFiles) are upserted by PO number, so the
+ * store answers questions like "when did PO X first appear" or "units of SKU Y
+ * ordered this month", and any date range can be written out again.
+ */
+
+import path from 'path';
+import fs from 'fs';
+import Database from 'better-sqlite3';
+import { LINE_ITEM_COLUMNS } from '../config/line-item-columns.js';
+import { formatDate, parseFlipkartDate } from '../utils/date-utils.js';
+import { parseIndianNumber } from '../utils/value-types.js';
+import { createLogger } from '../utils/logger.js';
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL,
+    recorded_at TEXT NOT NULL,
+    po_count INTEGER NOT NULL,
+    line_item_count INTEGER NOT NULL,
+    outputs TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS pos (
+    po_number TEXT PRIMARY KEY,
+    company TEXT,
+    status TEXT,
+    order_date TEXT,
+    po_expiry TEXT,
+    supplier_name TEXT,
+    warehouse TEXT,
+    grand_total REAL,
+    source_file TEXT,
+    metadata TEXT NOT NULL,
+    first_seen_at TEXT NOT NULL,
+    last_seen_at TEXT NOT NULL,
+    first_run_id INTEGER REFERENCES runs(id),
+    last_run_id INTEGER REFERENCES runs(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS line_items (
+    po_number TEXT NOT NULL REFERENCES pos(po_number) ON DELETE CASCADE,
+    line_no INTEGER NOT NULL,
+    sku TEXT,
+    fsn TEXT,
+    title TEXT,
+    quantity REAL,
+    pending_quantity REAL,
+    supplier_price REAL,
+    total_amount REAL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (po_number, line_no)
+  );
+
+  CREATE INDEX IF NOT EXISTS pos_order_date ON pos(order_date);
+  CREATE INDEX IF NOT EXISTS pos_status ON pos(status);
+  CREATE INDEX IF NOT EXISTS line_items_sku ON line_items(sku);
+`;
+
+// Date columns of a query range
+export const DATE_FIELDS = {
+  order: 'p.order_date',
+  expiry: 'p.po_expiry',
+  seen: 'substr(p.first_seen_at, 1, 10)'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * JSON replacer storing typed dates as YYYY-MM-DD
+ */
+function jsonReplacer(key, value) {
+  const original = this[key];
+  return original instanceof Date ? formatDate(original) : value;
+}
+
+/**
+ * JSON reviver turning stored YYYY-MM-DD values back into dates
+ */
+function jsonReviver(key, value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value) ? parseFlipkartDate(value) : value;
+}
+
+/**
+ * A stored date column value (YYYY-MM-DD) from a typed or raw cell
+ */
+function toDateText(value) {
+  return formatDate(parseFlipkartDate(value)) || null;
+}
+
+export class PoDatabase {
+  /**
+   * Open (and create if needed) the database
+   * @param {string} dbPath - SQLite file
+   */
+  constructor(dbPath) {
+    const dir = path.dirname(dbPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    this.dbPath = dbPath;
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.log = createLogger({ module: 'po-database' });
+    this.migrate();
+  }
+
+  /**
+   * Create the tables, refusing databases from a newer version
+   */
+  migrate() {
+    const version = this.db.pragma('user_version', { simple: true });
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`PO database ${this.dbPath} has schema version ${version}, this version supports ${SCHEMA_VERSION}`);
+    }
+    this.db.exec(SCHEMA);
+    this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  /**
+   * Record the parsed POs of a run; POs already stored are updated (status,
+   * metadata, line items, last seen) and keep their first-seen date
+   * @param {Object} parsed - Result of parsePoFiles()
+   * @param {Object} [run]
+   * @param {string} [run.source] - What produced the data (download-po, merge)
+   * @param {string[]} [run.outputs] - Output files of the run
+   * @param {Object[]} [run.seen] - { poNumber, status } of POs seen in the PO list but not
+   *   downloaded again (e.g. already in the ledger); stored ones get their status and last seen updated
+   * @returns {number} Run id
+   */
+  recordRun(parsed, { source = 'download-po', outputs = [], seen = [] } = {}) {
+    const recordedAt = new Date().toISOString();
+    const pos = parsed.pos.filter(po => po.metadata.PO_Number);
+    if (pos.length < parsed.pos.length) {
+      this.log.warn(`⚠️  ${parsed.pos.length - pos.length} PO(s) without a PO number not stored`);
+    }
+
+    const insertRun = this.db.prepare(`
+      INSERT INTO runs (source, recorded_at, po_count, line_item_count, outputs)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    const upsertPo = this.db.prepare(`
+      INSERT INTO pos (po_number, company, status, order_date, po_expiry, supplier_name, warehouse, grand_total,
+                       source_file, metadata, first_seen_at, last_seen_at, first_run_id, last_run_id)
+      VALUES (@poNumber, @company, @status, @orderDate, @poExpiry, @supplierName, @warehouse, @grandTotal,
+              @sourceFile, @metadata, @seenAt, @seenAt, @runId, @runId)
+      ON CONFLICT (po_number) DO UPDATE SET
+        company = COALESCE(excluded.company, pos.company),
+        status = COALESCE(excluded.status, pos.status),
+        order_date = excluded.order_date,
+        po_expiry = excluded.po_expiry,
+        supplier_name = excluded.supplier_name,
+        warehouse = excluded.warehouse,
+        grand_total = excluded.grand_total,
+        source_file = excluded.source_file,
+        metadata = excluded.metadata,
+        last_seen_at = excluded.last_seen_at,
+        last_run_id = excluded.last_run_id
+    `);
+    const touchPo = this.db.prepare(`
+      UPDATE pos SET status = @status, last_seen_at = @seenAt, last_run_id = @runId
+      WHERE po_number = @poNumber
+    `);
+    const deleteLineItems = this.db.prepare('DELETE FROM line_items WHERE po_number = ?');
+    const insertLineItem = this.db.prepare(`
+      INSERT INTO line_items (po_number, line_no, sku, fsn, title, quantity, pending_quantity, supplier_price, total_amount, data)
+      VALUES (@poNumber, @lineNo, @sku, @fsn, @title, @quantity, @pendingQuantity, @supplierPrice, @totalAmount, @data)
+    `);
+
+    const record = this.db.transaction(() => {
+      const lineItemCount = pos.reduce((count, po) => count + po.lineItems.length, 0);
+      const runId = insertRun.run(source, recordedAt, pos.length, lineItemCount, JSON.stringify(outputs.map(file => path.basename(file)))).lastInsertRowid;
+
+      for (const po of pos) {
+        const { metadata } = po;
+        const poNumber = String(metadata.PO_Number);
+        upsertPo.run({
+          poNumber,
+          company: metadata.Company || null,
+          status: metadata.PO_Status || null,
+          orderDate: toDateText(metadata.Order_Date),
+          poExpiry: toDateText(metadata.PO_Expiry),
+          supplierName: metadata.Supplier_Name || null,
+          warehouse: metadata.Warehouse || null,
+          grandTotal: parseIndianNumber(metadata.PO_Grand_Total),
+          sourceFile: po.file,
+          metadata: JSON.stringify(metadata, jsonReplacer),
+          seenAt: recordedAt,
+          runId
+        });
+
+        // Line items are replaced as a whole, the latest file wins
+        deleteLineItems.run(poNumber);
+        po.lineItems.forEach((item, index) => {
+          insertLineItem.run({
+            poNumber,
+            lineNo: index + 1,
+            sku: item['SKU Id'] ? String(item['SKU Id']) : null,
+            fsn: item['FSN/ISBN13'] ? String(item['FSN/ISBN13']) : null,
+            title: item.Title || null,
+            quantity: parseIndianNumber(item.Quantity),
+            pendingQuantity: parseIndianNumber(item['Pending Quantity']),
+            supplierPrice: parseIndianNumber(item['Supplier Price']),
+            totalAmount: parseIndianNumber(item['Total Amount']),
+            data: JSON.stringify(item, jsonReplacer)
+          });
+        });
+      }
+
+      const recorded = new Set(pos.map(po => String(po.metadata.PO_Number)));
+      for (const { poNumber, status } of seen) {
+        if (poNumber && status && !recorded.has(poNumber)) {
+          touchPo.run({ poNumber, status, seenAt: recordedAt, runId });
+        }
+      }
+      return runId;
+    });
+
+    const runId = record();
+    this.log.info(`🗃️  PO history updated: ${pos.length} PO(s) recorded in ${this.dbPath}`);
+    return Number(runId);
+  }
+
+  /**
+   * WHERE clauses for query filters
+   * @returns {{ where: string, params: Object }}
+   */
+  buildFilter({ from, to, dateField = 'order', statuses, company, poNumbers, sku } = {}) {
+    const column = DATE_FIELDS[dateField];
+    if (!column) {
+      throw new Error(`Unknown date field: ${dateField} (supported: ${Object.keys(DATE_FIELDS).join(', ')})`);
+    }
+
+    const clauses = [];
+    const params = {};
+    if (from) {
+      clauses.push(`${column} >= @from`);
+      params.from = from;
+    }
+    if (to) {
+      clauses.push(`${column} <= @to`);
+      params.to = to;
+    }
+    if (statuses && statuses.length > 0) {
+      clauses.push(`p.status IN (${statuses.map((_, i) => `@status${i}`).join(', ')})`);
+      statuses.forEach((status, i) => { params[`status${i}`] = status; });
+    }
+    if (company) {
+      clauses.push('p.company = @company COLLATE NOCASE');
+      params.company = company;
+    }
+    if (poNumbers && poNumbers.length > 0) {
+      clauses.push(`p.po_number IN (${poNumbers.map((_, i) => `@po${i}`).join(', ')})`);
+      poNumbers.forEach((poNumber, i) => { params[`po${i}`] = poNumber; });
+    }
+    if (sku) {
+      clauses.push('EXISTS (SELECT 1 FROM line_items s WHERE s.po_number = p.po_number AND (s.sku = @sku OR s.fsn = @sku))');
+      params.sku = sku;
+    }
+
+    return { where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', params };
+  }
+
+  /**
+   * POs matching the filters, oldest order first
+   * @param {Object} [filters] - { from, to, dateField, statuses, company, poNumbers, sku }
+   * @returns {Object[]} { po_number, status, order_date, first_seen_at, units, pending_units, ... }
+   */
+  queryPOs(filters = {}) {
+    const { where, params } = this.buildFilter(filters);
+    // With a SKU filter, units count that SKU only
+    const skuCondition = filters.sku ? 'AND (l.sku = @sku OR l.fsn = @sku)' : '';
+    return this.db.prepare(`
+      SELECT p.*, COUNT(l.line_no) AS line_count, COALESCE(SUM(l.quantity), 0) AS units,
+             COALESCE(SUM(l.pending_quantity), 0) AS pending_units
+      FROM pos p
+      LEFT JOIN line_items l ON l.po_number = p.po_number ${skuCondition}
+      ${where}
+      GROUP BY p.po_number
+      ORDER BY p.order_date, p.po_number
+    `).all(params);
+  }
+
+  /**
+   * Rebuild parsePoFiles()-shaped data from stored POs, for the output writers
+   * @param {Object} [filters] - See queryPOs(); a SKU filter also limits the line items
+   * @returns {{ headers: string[], rows: Array[], metadataHeaders: string[], lineItemHeaders: string[], pos: Object[], warnings: Object[], reconciliation: Object[], typeFailures: Object[], unknownHeaders: string[] }}
+   */
+  loadParsed(filters = {}) {
+    const lineItemsQuery = this.db.prepare(`
+      SELECT data FROM line_items
+      WHERE po_number = @poNumber ${filters.sku ? 'AND (sku = @sku OR fsn = @sku)' : ''}
+      ORDER BY line_no
+    `);
+
+    const pos = this.queryPOs(filters).map(row => ({
+      file: row.source_file,
+      metadata: JSON.parse(row.metadata, jsonReviver),
+      lineItems: lineItemsQuery
+        .all({ poNumber: row.po_number, ...(filters.sku ? { sku: filters.sku } : {}) })
+        .map(({ data }) => JSON.parse(data, jsonReviver))
+    }));
+
+    // Columns in first-seen order; line items in the alias table's order, unknown ones after
+    const metadataHeaders = [...new Set(pos.flatMap(po => Object.keys(po.metadata)))];
+    const itemColumns = new Set(pos.flatMap(po => po.lineItems.flatMap(item => Object.keys(item))));
+    const lineItemHeaders = [
+      ...LINE_ITEM_COLUMNS.map(({ column }) => column).filter(column => itemColumns.has(column)),
+      ...[...itemColumns].filter(column => !LINE_ITEM_COLUMNS.some(c => c.column === column)).sort()
+    ];
+
+    const rows = pos.flatMap(po => po.lineItems.map(item => [
+      ...metadataHeaders.map(header => po.metadata[header] ?? ''),
+      ...lineItemHeaders.map(header => item[header] ?? '')
+    ]));
+
+    return {
+      headers: [...metadataHeaders, ...lineItemHeaders],
+      rows,
+      metadataHeaders,
+      lineItemHeaders,
+      pos,
+      warnings: [],
+      reconciliation: [],
+      typeFailures: [],
+      unknownHeaders: []
+    };
+  }
+
+  /**
+   * Most recent recorded runs
+   * @param {number} [limit]
+   * @returns {Object[]}
+   */
+  listRuns(limit = 20) {
+    return this.db.prepare('SELECT * FROM runs ORDER BY id DESC LIMIT ?').all(limit);
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Scheduler - Runs a job on cron expressions until the process is stopped
+ * Prevents overlapping runs with a lock file, retries failed runs with an
+ * exponential backoff and records every run in a history file
+ */
+
+import cron from 'node-cron';
+import { acquireLock, readLock, releaseLock } from '../utils/run-lock.js';
+import { appendRunHistory, formatRun } from '../utils/run-history.js';
+import { createLogger } from '../utils/logger.js';
+
+export class Scheduler {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Job name for logs and the lock file
+   * @param {string[]} options.crons - Cron expressions (5 or 6 fields)
+   * @param {Function} options.job - async ({ attempt, lastAttempt }) => void, throws on failure;
+   *   lastAttempt is false while a failure would still be retried
+   * @param {string} [options.timezone] - Timezone the cron expressions are in
+   * @param {string} options.lockPath - Lock file shared with manual runs
+   * @param {string} options.historyPath - Run history JSON file
+   * @param {number} [options.retries] - Retries after a failed run (default 2)
+   * @param {number} [options.retryDelayMs] - Delay before the first retry, doubled for each further one
+   */
+  constructor(options) {
+    this.name = options.name;
+    this.crons = options.crons;
+    this.job = options.job;
+    this.timezone = options.timezone;
+    this.lockPath = options.lockPath;
+    this.historyPath = options.historyPath;
+    this.retries = options.retries ?? 2;
+    this.retryDelayMs = options.retryDelayMs ?? 5 * 60 * 1000;
+    this.cronTasks = [];
+    this.running = false;
+    this.stopped = false;
+    this.log = createLogger({ scheduler: this.name });
+
+    if (!Number.isInteger(this.retries) || this.retries < 0) {
+      throw new Error('Scheduler retries must be a whole number of 0 or more');
+    }
+    if (!this.crons || this.crons.length === 0) {
+      throw new Error('No cron expression configured (set SCHEDULE_CRON or use --cron)');
+    }
+    for (const expression of this.crons) {
+      if (!cron.validate(expression)) {
+        throw new Error(`Invalid cron expression: "${expression}"`);
+      }
+    }
+  }
+
+  /**
+   * Start all cron triggers
+   */
+  start() {
+    for (const expression of this.crons) {
+      const task = cron.schedule(expression, () => this.trigger(`cron ${expression}`).catch(error => {
+        this.log.error(`❌ ${this.name} run could not be completed: ${error.message}`);
+      }), {
+        timezone: this.timezone || undefined
+      });
+      this.cronTasks.push(task);
+      this.log.info(`⏰ Scheduled ${this.name}: ${expression}${this.timezone ? ` (${this.timezone})` : ''}`);
+    }
+  }
+
+  /**
+   * Stop all cron triggers; a run in progress finishes on its own
+   */
+  stop() {
+    this.stopped = true;
+    for (const task of this.cronTasks) {
+      task.stop();
+    }
+    this.cronTasks = [];
+  }
+
+  /**
+   * Run the job now unless a run is already in progress
+   * @param {string} trigger - What started the run (for the history)
+   * @returns {Object} The history entry of the run
+   */
+  async trigger(trigger) {
+    const startedAt = new Date();
+    this.log.info(`\n⏰ ${this.name} triggered by ${trigger}`);
+
+    // Overlaps within this process and with other runs (e.g. a manual download-po)
+    const lock = this.running ? null : acquireLock(this.lockPath, `${this.name} (${trigger})`);
+    if (!lock) {
+      const holder = this.running ? { pid: process.pid, label: 'this scheduler' } : readLock(this.lockPath);
+      const reason = `Previous run still in progress (process ${holder?.pid}, ${holder?.label || 'unknown'})`;
+      this.log.warn(`⏭️  ${reason}, skipping`);
+      return this.record({ trigger, startedAt, status: 'skipped', attempts: 0, error: reason });
+    }
+
+    this.running = true;
+    let attempts = 0;
+    let lastError = null;
+
+    try {
+      while (attempts <= this.retries) {
+        attempts++;
+        try {
+          await this.job({ attempt: attempts, lastAttempt: attempts > this.retries });
+          return this.record({ trigger, startedAt, status: 'success', attempts });
+        } catch (error) {
+          lastError = error;
+          this.log.error(`❌ ${this.name} attempt ${attempts} failed: ${error.message}`);
+        }
+
+        if (attempts <= this.retries && !this.stopped) {
+          const delay = this.retryDelayMs * 2 ** (attempts - 1);
+          this.log.info(`🔁 Retrying in ${Math.round(delay / 1000)}s (${this.retries - attempts + 1} retr${this.retries - attempts + 1 === 1 ? 'y' : 'ies'} left)...`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        } else {
+          break;
+        }
+      }
+
+      return this.record({ trigger, startedAt, status: 'failed', attempts, error: lastError?.message });
+    } finally {
+      this.running = false;
+      releaseLock(this.lockPath);
+    }
+  }
+
+  /**
+   * Add a run to the history file and log it
+   * @returns {Object} The history entry
+   */
+  record({ trigger, startedAt, status, attempts, error }) {
+    const finishedAt = new Date();
+    const run = {
+      job: this.name,
+      trigger,
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      status,
+      attempts,
+      ...(error ? { error } : {})
+    };
+
+    appendRunHistory(this.historyPath, run);
+    this.log.info(`📜 ${formatRun(run)}`);
+    return run;
+  }
+}
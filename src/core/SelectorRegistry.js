@@ -0,0 +1,90 @@
+/**
+ * SelectorRegistry - Selector strategies for a run and which of them matched
+ * Tasks sharing a browser share one registry, so the run manifest and the
+ * notification show every element the run looked for. A warning is logged the
+ * first time an element is only found through a fallback strategy.
+ */
+
+import { DEFAULT_SELECTORS, SELECTORS_VERSION } from '../config/selectors.js';
+import { createLogger } from '../utils/logger.js';
+
+export class SelectorRegistry {
+  /**
+   * @param {Object} [selectors] - Key -> strategies in priority order (see config/selectors.js loadSelectors())
+   */
+  constructor(selectors = DEFAULT_SELECTORS) {
+    this.selectors = selectors;
+    this.matches = {}; // key -> { strategy name: times matched }
+    this.misses = {}; // key -> lookups where no strategy matched
+    this.warned = new Set(); // keys already warned about
+    this.log = createLogger({ module: 'selectors' });
+  }
+
+  /**
+   * Strategies of a key, primary first
+   * @param {string} key - e.g. "login.email"
+   * @returns {{ name: string, selector: string }[]}
+   */
+  strategies(key) {
+    const strategies = this.selectors[key];
+    if (!strategies) {
+      throw new Error(`Unknown selector key: ${key}`);
+    }
+    return strategies;
+  }
+
+  /**
+   * Record the strategy that found the element; warns once per key when it is a fallback
+   * @param {string} key
+   * @param {string} name - Strategy name
+   */
+  recordMatch(key, name) {
+    const counts = this.matches[key] || (this.matches[key] = {});
+    counts[name] = (counts[name] || 0) + 1;
+
+    const primary = this.strategies(key)[0].name;
+    if (name !== primary && !this.warned.has(key)) {
+      this.warned.add(key);
+      this.log.warn(`⚠️  Selector "${key}": primary strategy "${primary}" no longer matches, found via fallback "${name}". Update SELECTORS_PATH (see src/config/selectors.js) before the fallbacks stop working too.`);
+    }
+  }
+
+  /**
+   * Record a lookup where none of the strategies matched
+   * @param {string} key
+   */
+  recordMiss(key) {
+    this.misses[key] = (this.misses[key] || 0) + 1;
+  }
+
+  /**
+   * Strategies used in this run, for the run manifest
+   * @returns {{ version: number, keys: Object }} Per key looked up: primary, matched counts, misses and whether a fallback was used
+   */
+  report() {
+    const keys = {};
+    for (const key of new Set([...Object.keys(this.matches), ...Object.keys(this.misses)])) {
+      const primary = this.strategies(key)[0].name;
+      const matched = this.matches[key] || {};
+      keys[key] = {
+        primary,
+        matched,
+        misses: this.misses[key] || 0,
+        fallback: Object.keys(matched).some(name => name !== primary)
+      };
+    }
+    return { version: SELECTORS_VERSION, keys };
+  }
+
+  /**
+   * Keys that were found through a fallback strategy in this run
+   * @returns {string[]} e.g. 'login.email: email-name (primary "email-type" did not match)'
+   */
+  fallbacks() {
+    return Object.entries(this.matches).flatMap(([key, counts]) => {
+      const primary = this.strategies(key)[0].name;
+      const used = Object.keys(counts).filter(name => name !== primary);
+      return used.length > 0 ? [`${key}: ${used.join(', ')} (primary "${primary}" did not match)`] : [];
+    });
+  }
+}
@@ -6,45 +6,651 @@
  */
 
 import { Command } from 'commander';
-import { config } from './config/index.js';
+import fs from 'fs';
+import path from 'path';
+import { config, DEFAULT_VENDOR_HUB_URL, PO_STATUSES, parseList } from './config/index.js';
+import { loadPoFieldMap } from './config/po-fields.js';
+import { loadColumnTypes } from './config/column-types.js';
+import { loadLineItemColumns } from './config/line-item-columns.js';
+import { loadTallyMapping } from './config/tally-mapping.js';
+import { loadProfiles } from './config/profiles.js';
+import { loadSelectors } from './config/selectors.js';
 import { FlipkartLoginAndDownloadPOTask } from './tasks/flipkart/login-and-download-po.js';
+import { createDateFilter, describeDateFilter, formatDate, parseFlipkartDate } from './utils/date-utils.js';
+import { OUTPUT_FORMATS, formatForExtension, writePoOutputs } from './utils/output-writers.js';
+import { acquireLock, readLock, releaseLock } from './utils/run-lock.js';
+import { loadRunHistory, formatRun } from './utils/run-history.js';
+import { Scheduler } from './core/Scheduler.js';
+import { ControlServer } from './core/ControlServer.js';
+import { Notifier } from './core/Notifier.js';
+import { PoDatabase, DATE_FIELDS } from './core/PoDatabase.js';
+import { createLogger, configureLogger, getLogFile, LOG_LEVELS, LOG_FORMATS } from './utils/logger.js';
+import { generateMergedFilename, mergeXlsFiles, parsePoFiles } from './utils/xls-merger.js';
+import { resolveInputFiles } from './utils/input-files.js';
+
+const log = createLogger();
 
 const program = new Command();
 
+/**
+ * Collect repeatable, comma separated option values (--status, --format)
+ */
+function collectList(value, previous = []) {
+  return [...previous, ...parseList(value.toLowerCase())];
+}
+
 program
   .name('filflo-flipkart')
   .description('Filflo automation bot for Flipkart Vendor Hub')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--log-level <level>', `Minimum log level (${LOG_LEVELS.join(', ')})`)
+  .option('--log-format <format>', `Log output format (${LOG_FORMATS.join(', ')})`)
+  .option('--log-file <path>', 'Also write the log to this file');
+
+/**
+ * Path of a new per-run log file in LOG_DIR, if configured
+ * @param {string} name - Command name, used as the file name prefix
+ * @returns {string|null}
+ */
+function runLogFile(name) {
+  return config.logging.dir ? path.join(config.logging.dir, generateMergedFilename(name, '.log')) : null;
+}
+
+// Set up logging before any command runs
+program.hook('preAction', (thisCommand, actionCommand) => {
+  const options = program.opts();
+  configureLogger({
+    level: options.logLevel || config.logging.level,
+    format: options.logFormat || config.logging.format,
+    file: options.logFile || config.logging.file || runLogFile(actionCommand.name())
+  });
+  if (getLogFile()) {
+    log.info(`📝 Logging to ${getLogFile()}`);
+  }
+});
+
+/**
+ * Output base path and formats from -o / --format
+ * An output extension doubles as the format when --format isn't given; without
+ * -o the file goes to the download folder as <prefix>_<timestamp>
+ * @param {Object} options - Command options (output, format)
+ * @param {string} prefix - File name prefix for the default output
+ * @returns {{ basePath: string, outputFormats: string[] }}
+ */
+function resolveOutput(options, prefix) {
+  let basePath = options.output || path.join(config.flipkart.downloadPath, generateMergedFilename(prefix, ''));
+  let outputFormats = options.format ? [...new Set(options.format)] : null;
+  const extension = path.extname(basePath).slice(1).toLowerCase();
+  if (formatForExtension(extension)) {
+    basePath = basePath.slice(0, -(extension.length + 1));
+    outputFormats = outputFormats || [formatForExtension(extension)];
+  }
+  outputFormats = outputFormats || config.output.formats;
+
+  const unknownFormats = outputFormats.filter(f => !OUTPUT_FORMATS.includes(f));
+  if (unknownFormats.length > 0) {
+    throw new Error(`Unknown output format(s): ${unknownFormats.join(', ')} (supported: ${OUTPUT_FORMATS.join(', ')})`);
+  }
+  return { basePath, outputFormats };
+}
+
+/**
+ * Collect repeatable option values as given (--cron, whose expressions contain commas)
+ */
+function collectRaw(value, previous = []) {
+  return [...previous, value];
+}
+
+/**
+ * Add the options shared by download-po and schedule
+ */
+function addDownloadOptions(command) {
+  return command
+    .option('--headless', 'Run in headless mode (no browser window)')
+    .option('--no-headless', 'Run with visible browser window')
+    .option('--max-orders <number>', 'Maximum number of orders to download', parseInt)
+    .option('--fresh-login', 'Discard the saved session and log in again')
+    .option('--full', 'Re-download all POs, including ones already in the ledger')
+    .option('--from <date>', 'Only POs ordered on or after this date (e.g. 2024-01-15)')
+    .option('--to <date>', 'Only POs ordered on or before this date')
+    .option('--expiring-within <days>', 'Only POs expiring within the next N days', parseInt)
+    .option('--status <statuses>', `PO status(es) to download, comma separated or repeated (${PO_STATUSES.join(', ')})`, collectList)
+    .option('--format <formats>', `Output format(s), comma separated or repeated (${OUTPUT_FORMATS.join(', ')})`, collectList)
+    .option('--csv-bom', 'Write CSV output with a UTF-8 BOM (for Excel)')
+    .option('--normalized', 'Add "POs" and "Line Items" sheets to the XLSX output')
+    .option('--raw-values', 'Keep cell values as they appear in the PO files (no date/number typing)')
+    .option('--profile <names>', 'Only run these profiles from PROFILES_PATH, comma separated or repeated', collectList)
+    .option('--download-retries <number>', 'Extra attempts for a PO whose download fails (default: PO_DOWNLOAD_RETRIES or 2)', parseInt)
+    .option('--no-retry-failed', 'Skip the retry pass over failed POs before merging')
+    .option('--no-archive', 'Delete the raw PO files after merging instead of archiving them')
+    .option('--archive-zip', 'Zip the archived raw PO files of each run')
+    .option('--no-changes', 'Don\'t compare with the previous run (no Changes sheet or report)')
+    .option('--refresh-known', 'Download the POs already in the ledger again to report their line changes (slower)')
+    .option('--no-notify', 'Don\'t send the email / webhook notifications for this run');
+}
+
+/**
+ * Load the account profiles, limited to --profile if given
+ * @returns {Object[]} Profiles
+ */
+function selectProfiles(options) {
+  const profiles = loadProfiles(config.flipkart.profilesPath);
+  if (!options.profile) return profiles;
+
+  const unknownProfiles = options.profile.filter(name => !profiles.some(p => p.name.toLowerCase() === name));
+  if (unknownProfiles.length > 0) {
+    throw new Error(`Unknown profile(s): ${unknownProfiles.join(', ')} (available: ${profiles.map(p => p.name).join(', ')})`);
+  }
+  return profiles.filter(p => options.profile.includes(p.name.toLowerCase()));
+}
+
+/**
+ * Delete the saved sessions of the given profiles (--fresh-login)
+ */
+function discardSessions(profiles) {
+  for (const profile of profiles) {
+    if (fs.existsSync(profile.sessionPath)) {
+      fs.unlinkSync(profile.sessionPath);
+      log.info(`🗑️  Discarded saved session: ${profile.sessionPath}`);
+    }
+  }
+}
+
+/**
+ * Build the download task config from CLI options and .env, and print the run banner
+ * @returns {Object} Config for FlipkartLoginAndDownloadPOTask
+ */
+function buildDownloadConfig(options) {
+  const headless = options.headless !== undefined ? options.headless : config.browser.headless;
+  const maxOrders = options.maxOrders || config.flipkart.maxOrders;
+  const profiles = selectProfiles(options);
+  const statuses = [...new Set(options.status || config.flipkart.statuses)];
+  const dateFilter = createDateFilter({
+    from: options.from,
+    to: options.to,
+    expiringWithinDays: options.expiringWithin
+  });
+  const outputFormats = [...new Set(options.format || config.output.formats)];
+  const archive = options.archive === false ? false : config.archive.enabled;
+  const archiveZip = options.archiveZip || config.archive.zip;
+  const notifier = options.notify === false ? null : new Notifier(config.notify);
+  const downloadRetries = options.downloadRetries ?? config.flipkart.downloadRetries;
+  const reportChanges = options.changes === false ? false : config.output.changeReport;
+  const refreshKnown = reportChanges && Boolean(options.refreshKnown || config.output.refreshKnown);
+
+  if (!Number.isInteger(downloadRetries) || downloadRetries < 0) {
+    throw new Error('--download-retries must be a whole number of 0 or more');
+  }
+
+  const unknownFormats = outputFormats.filter(f => !OUTPUT_FORMATS.includes(f));
+  if (unknownFormats.length > 0) {
+    throw new Error(`Unknown output format(s): ${unknownFormats.join(', ')} (supported: ${OUTPUT_FORMATS.join(', ')})`);
+  }
+
+  for (const status of statuses) {
+    if (!PO_STATUSES.includes(status)) {
+      log.warn(`⚠️  Unknown PO status "${status}" (known: ${PO_STATUSES.join(', ')}), trying anyway`);
+    }
+  }
+
+  log.info('\n============================================================');
+  log.info('🚀 FILFLO FLIPKART PO DOWNLOADER');
+  log.info('============================================================');
+  for (const profile of profiles) {
+    log.info(`📧 ${profiles.length > 1 ? `${profile.name}: ` : 'Email: '}${profile.email}`);
+    const companies = profile.companies.filter(Boolean);
+    if (companies.length > 0) {
+      log.info(`   🏢 ${companies.join(', ')}`);
+    }
+  }
+  log.info(`📁 Download Path: ${config.flipkart.downloadPath}`);
+  if (config.flipkart.baseUrl !== DEFAULT_VENDOR_HUB_URL) {
+    log.info(`🌐 Vendor Hub: ${config.flipkart.baseUrl}`);
+  }
+  if (config.flipkart.selectorsPath) {
+    log.info(`🎯 Selectors: ${config.flipkart.selectorsPath}`);
+  }
+  log.info(`📊 Max Orders: ${maxOrders || 'All'}`);
+  log.info(`📂 Statuses: ${statuses.join(', ')}`);
+  log.info(`📅 Date Filter: ${describeDateFilter(dateFilter)}`);
+  log.info(`📄 Output Formats: ${outputFormats.join(', ')}`);
+  log.info(`📒 Mode: ${options.full ? 'Full (all POs)' : 'Incremental (new POs only)'}`);
+  log.info(`🔀 Change Report: ${refreshKnown ? 'full (known POs downloaded again)' : reportChanges ? 'new POs, status moves and removals' : 'off'}`);
+  log.info(`🗄️  Raw Files: ${archive ? `archived${archiveZip ? ' (zipped)' : ''}` : 'deleted after merging'}`);
+  for (const profile of profiles) {
+    log.info(`🍪 Session${profiles.length > 1 ? ` (${profile.name})` : ''}: ${fs.existsSync(profile.sessionPath) ? profile.sessionPath : 'none (interactive login)'}`);
+  }
+  log.info(`🖥️  Headless: ${headless}`);
+  log.info(`📣 Notifications: ${notifier?.enabled ? describeNotifier(notifier) : 'off'}`);
+  log.info('============================================================\n');
+
+  return {
+    headless,
+    profiles,
+    sessionPath: profiles[0].sessionPath,
+    baseUrl: config.flipkart.baseUrl,
+    selectors: loadSelectors(config.flipkart.selectorsPath),
+    downloadPath: config.flipkart.downloadPath,
+    maxOrders: maxOrders,
+    ledgerPath: config.flipkart.ledgerPath,
+    fullDownload: options.full || false,
+    statuses,
+    dateFilter,
+    outputFormats,
+    csvBom: options.csvBom || config.output.csvBom,
+    normalized: options.normalized || config.output.normalized,
+    fieldMap: loadPoFieldMap(config.flipkart.poFieldMapPath),
+    reconcileTolerance: config.flipkart.reconcileTolerance,
+    downloadRetries,
+    downloadRetryDelayMs: config.flipkart.downloadRetryDelayMs,
+    retryFailed: options.retryFailed === false ? false : config.flipkart.retryFailed,
+    archive,
+    archivePath: config.archive.path,
+    archiveZip,
+    archiveKeepDays: config.archive.keepDays,
+    archiveKeepRuns: config.archive.keepRuns,
+    columnTypes: options.rawValues ? false : loadColumnTypes(config.output.columnTypesPath),
+    lineItemColumns: loadLineItemColumns(config.output.lineItemAliasesPath),
+    tallyMapping: outputFormats.includes('tally') ? loadTallyMapping(config.output.tallyMappingPath) : null,
+    databasePath: config.database.path,
+    reportChanges,
+    refreshKnown,
+    notifier: notifier?.enabled ? notifier : null
+  };
+}
+
+/**
+ * Short description of the notification channels, for the banner
+ */
+function describeNotifier(notifier) {
+  const channels = [
+    ...(notifier.email.to.length > 0 ? [`email to ${notifier.email.to.join(', ')}`] : []),
+    ...(notifier.webhooks.length > 0 ? [`${notifier.webhooks.length} webhook(s)`] : [])
+  ];
+  return `${channels.join(' + ')} on ${notifier.on.join(', ')}`;
+}
+
+// Run options accepted by the serve API, by type (same names as the CLI options in camelCase)
+const RUN_OPTION_TYPES = {
+  status: 'list',
+  format: 'list',
+  profile: 'list',
+  from: 'string',
+  to: 'string',
+  expiringWithin: 'number',
+  maxOrders: 'number',
+  downloadRetries: 'number',
+  full: 'boolean',
+  headless: 'boolean',
+  csvBom: 'boolean',
+  normalized: 'boolean',
+  rawValues: 'boolean',
+  retryFailed: 'boolean',
+  archive: 'boolean',
+  archiveZip: 'boolean',
+  changes: 'boolean',
+  refreshKnown: 'boolean',
+  notify: 'boolean'
+};
+
+/**
+ * Check the run options of an API request and convert them to CLI options
+ * Lists may be given as an array or a comma separated string
+ * @param {Object} body - Request body
+ * @returns {Object} Options for buildDownloadConfig()
+ */
+function parseRunOptions(body) {
+  const unknownOptions = Object.keys(body).filter(key => !RUN_OPTION_TYPES[key]);
+  if (unknownOptions.length > 0) {
+    throw new Error(`Unknown run option(s): ${unknownOptions.join(', ')} (supported: ${Object.keys(RUN_OPTION_TYPES).join(', ')})`);
+  }
+
+  const options = {};
+  for (const [key, value] of Object.entries(body)) {
+    const type = RUN_OPTION_TYPES[key];
+    if (type === 'list' && (typeof value === 'string' || (Array.isArray(value) && value.every(v => typeof v === 'string')))) {
+      options[key] = [value].flat().reduce((list, v) => collectList(v, list), []);
+    } else if (type === typeof value && (type !== 'number' || Number.isInteger(value))) {
+      options[key] = value;
+    } else {
+      throw new Error(`Run option "${key}" must be ${type === 'list' ? 'a string or an array of strings' : `a ${type}`}`);
+    }
+  }
+  return options;
+}
+
+addDownloadOptions(
+  program
+    .command('download-po')
+    .description('Login to Flipkart Vendor Hub and download Purchase Orders')
+)
+  .action(async (options) => {
+    if (options.freshLogin) {
+      discardSessions(selectProfiles(options));
+    }
+
+    const taskConfig = buildDownloadConfig(options);
+
+    // Don't run alongside a scheduled download
+    const lockPath = config.schedule.lockPath;
+    if (!acquireLock(lockPath, 'download-po')) {
+      const holder = readLock(lockPath);
+      throw new Error(`Another PO download is running (process ${holder?.pid}, ${holder?.label || 'unknown'}). Lock file: ${lockPath}`);
+    }
+
+    try {
+      const task = new FlipkartLoginAndDownloadPOTask(taskConfig);
+      await task.execute();
+    } finally {
+      releaseLock(lockPath);
+    }
+  });
+
+addDownloadOptions(
+  program
+    .command('schedule')
+    .description('Keep running and download POs on a cron schedule (SCHEDULE_CRON)')
+    .option('--cron <expression>', 'Cron expression, repeat for several (overrides SCHEDULE_CRON)', collectRaw)
+    .option('--timezone <zone>', 'Timezone of the cron expressions (default: SCHEDULE_TIMEZONE or Asia/Kolkata)')
+    .option('--run-now', 'Also run once right away')
+    .option('--history [count]', 'Show the most recent scheduled runs and exit', parseInt)
+)
+  .action(async (options) => {
+    if (options.history !== undefined) {
+      const runs = loadRunHistory(config.schedule.historyPath);
+      const count = typeof options.history === 'number' ? options.history : 20;
+      log.info(`📜 Last ${Math.min(count, runs.length)} of ${runs.length} run(s) (${config.schedule.historyPath}):`);
+      for (const run of runs.slice(-count)) {
+        log.info(`   ${formatRun(run)}`);
+      }
+      return;
+    }
+
+    if (options.freshLogin) {
+      discardSessions(selectProfiles(options));
+    }
+
+    // Fail on bad options now rather than at the first scheduled run
+    buildDownloadConfig(options);
+
+    const scheduler = new Scheduler({
+      name: 'download-po',
+      crons: options.cron || config.schedule.crons,
+      timezone: options.timezone || config.schedule.timezone,
+      lockPath: config.schedule.lockPath,
+      historyPath: config.schedule.historyPath,
+      retries: config.schedule.retries,
+      retryDelayMs: config.schedule.retryDelayMinutes * 60 * 1000,
+      job: async ({ lastAttempt }) => {
+        // One log file per scheduled run when LOG_DIR is set
+        if (!program.opts().logFile && !config.logging.file && config.logging.dir) {
+          configureLogger({ file: runLogFile('schedule-run') });
+          log.info(`📝 Logging this run to ${getLogFile()}`);
+        }
+
+        // Rebuilt on every run so relative filters (--expiring-within) use that day's date.
+        // Only the last attempt reports a failure, so a scheduled run sends one notification
+        const task = new FlipkartLoginAndDownloadPOTask({ ...buildDownloadConfig(options), notifyFailure: lastAttempt });
+        await task.execute();
+      }
+    });
+
+    const shutdown = signal => {
+      log.info(`\n🛑 ${signal} received, stopping scheduler`);
+      scheduler.stop();
+      releaseLock(config.schedule.lockPath);
+      process.exit(0);
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+    log.info('\n============================================================');
+    log.info('⏰ FILFLO FLIPKART PO SCHEDULER');
+    log.info('============================================================');
+    log.info(`🔁 Retries: ${config.schedule.retries} (first after ${config.schedule.retryDelayMinutes} min, then doubling)`);
+    log.info(`🔒 Lock: ${config.schedule.lockPath}`);
+    log.info(`📜 History: ${config.schedule.historyPath}`);
+    scheduler.start();
+    log.info('============================================================\n');
+
+    if (options.runNow) {
+      await scheduler.trigger('startup');
+    }
+    log.info('⏳ Waiting for the next scheduled run (Ctrl+C to stop)...');
+  });
+
+addDownloadOptions(
+  program
+    .command('serve')
+    .description('Start a local HTTP API to trigger PO downloads and follow their progress')
+    .option('--port <number>', 'Port to listen on (default: SERVER_PORT or 3030)', parseInt)
+    .option('--host <host>', 'Interface to listen on (default: SERVER_HOST or 127.0.0.1)')
+)
+  .action(async (options) => {
+    const server = new ControlServer({
+      host: options.host || config.server.host,
+      port: options.port ?? config.server.port,
+      token: config.server.token,
+      lockPath: config.schedule.lockPath,
+      historyPath: config.server.historyPath,
+      // Options sent with a run override the ones serve was started with
+      prepare: body => buildDownloadConfig({ ...options, ...parseRunOptions(body) }),
+      job: async (taskConfig, update) => {
+        const task = new FlipkartLoginAndDownloadPOTask({
+          ...taskConfig,
+          onProgress: progress => update({ progress })
+        });
+        try {
+          await task.execute();
+        } finally {
+          update({ outputs: task.outputFiles, manifests: task.manifestPaths });
+        }
+      }
+    });
+
+    if (options.freshLogin) {
+      discardSessions(selectProfiles(options));
+    }
+
+    const url = await server.start();
+
+    const shutdown = async signal => {
+      log.info(`\n🛑 ${signal} received, stopping server`);
+      await server.stop();
+      releaseLock(config.schedule.lockPath);
+      process.exit(0);
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+    log.info('\n============================================================');
+    log.info('🌐 FILFLO FLIPKART PO CONTROL API');
+    log.info('============================================================');
+    log.info(`🔗 Listening on ${url}`);
+    log.info(`🔑 Token: ${config.server.token ? 'required (SERVER_TOKEN)' : 'none'}`);
+    log.info(`📜 History: ${config.server.historyPath}`);
+    log.info('============================================================\n');
+    log.info('⏳ Waiting for requests (Ctrl+C to stop)...');
+  });
 
 program
-  .command('download-po')
-  .description('Login to Flipkart Vendor Hub and download Purchase Orders')
-  .option('--headless', 'Run in headless mode (no browser window)')
-  .option('--no-headless', 'Run with visible browser window')
-  .option('--max-orders <number>', 'Maximum number of orders to download', parseInt)
+  .command('notify-test')
+  .description('Send a sample notification to the configured email and webhooks')
+  .option('--failure', 'Send a failure notification instead of a success one')
   .action(async (options) => {
-    const headless = options.headless !== undefined ? options.headless : config.browser.headless;
-    const maxOrders = options.maxOrders || config.flipkart.maxOrders;
-
-    console.log('\n============================================================');
-    console.log('🚀 FILFLO FLIPKART PO DOWNLOADER');
-    console.log('============================================================');
-    console.log(`📧 Email: ${config.flipkart.email}`);
-    console.log(`📁 Download Path: ${config.flipkart.downloadPath}`);
-    console.log(`📊 Max Orders: ${maxOrders || 'All'}`);
-    console.log(`🖥️  Headless: ${headless}`);
-    console.log('============================================================\n');
-
-    const task = new FlipkartLoginAndDownloadPOTask({
-      headless,
-      flipkartEmail: config.flipkart.email,
-      flipkartPassword: config.flipkart.password,
-      companyName: config.flipkart.companyName,
-      downloadPath: config.flipkart.downloadPath,
-      maxOrders: maxOrders
+    const notifier = new Notifier(config.notify);
+    if (!notifier.enabled) {
+      throw new Error('No notification channel configured (set NOTIFY_EMAIL_TO and SMTP_HOST, or NOTIFY_WEBHOOK_URLS)');
+    }
+
+    log.info(`📣 Sending a test notification: ${describeNotifier(notifier)}`);
+    const startedAt = new Date(Date.now() - 65 * 1000);
+    const results = await notifier.notify({
+      task: 'notify-test',
+      outcome: options.failure ? 'failure' : 'success',
+      startedAt,
+      finishedAt: new Date(),
+      downloaded: 3,
+      newPOs: 2,
+      skipped: 10,
+      failed: 0,
+      failedPOs: [],
+      ...(options.failure ? { error: new Error('Test failure from notify-test') } : {})
     });
 
-    await task.execute();
+    if (results.length === 0) {
+      log.warn(`⚠️  Nothing sent: "${options.failure ? 'failure' : 'success'}" is not in NOTIFY_ON`);
+    } else if (results.some(result => !result.ok)) {
+      throw new Error(`${results.filter(result => !result.ok).length} notification channel(s) failed`);
+    }
+  });
+
+program
+  .command('merge')
+  .description('Merge PO files that are already on disk (no browser needed)')
+  .argument('<inputs...>', 'PO files, directories or quoted glob patterns (e.g. "mail/**/*.xls")')
+  .option('-o, --output <path>', 'Output file (its extension picks the format) or path without extension')
+  .option('--format <formats>', `Output format(s), comma separated or repeated (${OUTPUT_FORMATS.join(', ')})`, collectList)
+  .option('--plain', 'Plain merge: stack rows under the first file\'s header, without PO flattening (xlsx only)')
+  .option('-r, --recursive', 'Include subdirectories of directory inputs')
+  .option('--csv-bom', 'Write CSV output with a UTF-8 BOM (for Excel)')
+  .option('--normalized', 'Add "POs" and "Line Items" sheets to the XLSX output')
+  .option('--raw-values', 'Keep cell values as they appear in the PO files (no date/number typing)')
+  .option('--record', 'Also add the POs to the PO history database (PO_DATABASE)')
+  .action((inputs, options) => {
+    const files = resolveInputFiles(inputs, { recursive: options.recursive });
+    if (files.length === 0) {
+      throw new Error('No PO files to merge');
+    }
+
+    const { basePath, outputFormats } = resolveOutput(options, 'filflo_flipkart_merged_po');
+    if (options.record && !config.database.path) {
+      throw new Error('--record needs a PO history database (set PO_DATABASE)');
+    }
+
+    log.info(`📂 Merging ${files.length} file(s) (${options.plain ? 'plain' : 'PO flattening'})`);
+
+    if (options.plain) {
+      if (outputFormats.some(f => f !== 'xlsx')) {
+        throw new Error('--plain only writes xlsx');
+      }
+      mergeXlsFiles(files, `${basePath}.xlsx`);
+      return;
+    }
+
+    const parsed = parsePoFiles(files, {
+      fieldMap: loadPoFieldMap(config.flipkart.poFieldMapPath),
+      reconcileTolerance: config.flipkart.reconcileTolerance,
+      columnTypes: options.rawValues ? false : loadColumnTypes(config.output.columnTypesPath),
+      lineItemColumns: loadLineItemColumns(config.output.lineItemAliasesPath)
+    });
+    const outputs = writePoOutputs(parsed, basePath, outputFormats, {
+      csvBom: options.csvBom || config.output.csvBom,
+      normalized: options.normalized || config.output.normalized,
+      tallyMapping: outputFormats.includes('tally') ? loadTallyMapping(config.output.tallyMappingPath) : null
+    });
+
+    if (options.record) {
+      const database = new PoDatabase(config.database.path);
+      try {
+        database.recordRun(parsed, { source: 'merge', outputs });
+      } finally {
+        database.close();
+      }
+    }
+
+    const mismatched = parsed.reconciliation.filter(r => r.status === 'mismatch');
+    for (const { poNumber, file, notes } of mismatched) {
+      log.warn(`⚠️  ${poNumber || file} doesn't match its totals: ${notes}`);
+    }
+    if (parsed.warnings.length > 0) {
+      log.warn(`⚠️  ${parsed.warnings.length} warning(s) while parsing, see above`);
+    }
+  });
+
+/**
+ * Parse a --from / --to date for a database query
+ * @returns {string|null} YYYY-MM-DD
+ */
+function queryDate(value, name) {
+  if (!value) return null;
+  const date = parseFlipkartDate(value);
+  if (!date) {
+    throw new Error(`Invalid ${name} date: "${value}"`);
+  }
+  return formatDate(date);
+}
+
+program
+  .command('query')
+  .description('Query the PO history database (PO_DATABASE) and export stored POs as a combined file')
+  .option('--from <date>', 'Only POs on or after this date (e.g. 2024-01-01)')
+  .option('--to <date>', 'Only POs on or before this date')
+  .option('--by <field>', `Date the range applies to (${Object.keys(DATE_FIELDS).join(', ')}; seen = first seen)`, 'order')
+  .option('--status <statuses>', 'PO status(es), comma separated or repeated', collectList)
+  .option('--po <numbers>', 'PO number(s), comma separated or repeated', (value, previous = []) => [...previous, ...parseList(value)])
+  .option('--sku <sku>', 'Only POs with this SKU Id or FSN (units and exported line items are that SKU only)')
+  .option('--company <name>', 'Only POs of this company')
+  .option('--list', 'List the matching POs')
+  .option('--runs [count]', 'Show the most recently recorded runs and exit', parseInt)
+  .option('-o, --output <path>', 'Export the matching POs to this file (its extension picks the format)')
+  .option('--format <formats>', `Export format(s), comma separated or repeated (${OUTPUT_FORMATS.join(', ')})`, collectList)
+  .option('--csv-bom', 'Write CSV output with a UTF-8 BOM (for Excel)')
+  .option('--normalized', 'Add "POs" and "Line Items" sheets to the XLSX output')
+  .action((options) => {
+    if (!config.database.path) {
+      throw new Error('No PO history database configured (set PO_DATABASE)');
+    }
+    if (!fs.existsSync(config.database.path)) {
+      throw new Error(`PO history database not found: ${config.database.path} (it is created by the first run with PO_DATABASE set)`);
+    }
+
+    const database = new PoDatabase(config.database.path);
+    try {
+      if (options.runs !== undefined) {
+        const runs = database.listRuns(typeof options.runs === 'number' ? options.runs : 20);
+        log.info(`📜 Last ${runs.length} recorded run(s) (${config.database.path}):`);
+        for (const run of runs) {
+          log.info(`   #${run.id} ${run.recorded_at} [${run.source}] ${run.po_count} PO(s), ${run.line_item_count} line item(s)`);
+        }
+        return;
+      }
+
+      const filters = {
+        from: queryDate(options.from, '--from'),
+        to: queryDate(options.to, '--to'),
+        dateField: options.by,
+        statuses: options.status,
+        company: options.company,
+        poNumbers: options.po,
+        sku: options.sku
+      };
+      const pos = database.queryPOs(filters);
+
+      const units = pos.reduce((sum, po) => sum + po.units, 0);
+      const pendingUnits = pos.reduce((sum, po) => sum + po.pending_units, 0);
+      log.info(`🗃️  ${pos.length} PO(s), ${units} unit(s) ordered${pendingUnits ? `, ${pendingUnits} pending` : ''}${options.sku ? ` of ${options.sku}` : ''}`);
+
+      if (options.list) {
+        for (const po of pos) {
+          log.info(`   ${po.po_number}  ordered ${po.order_date || '?'}  expires ${po.po_expiry || '?'}  ${po.status || '-'}  ${po.units} unit(s)${po.pending_units ? ` (${po.pending_units} pending)` : ''}  first seen ${po.first_seen_at.slice(0, 10)}, last seen ${po.last_seen_at.slice(0, 10)}`);
+        }
+      }
+
+      if (options.output || options.format) {
+        if (pos.length === 0) {
+          throw new Error('No stored POs match, nothing to export');
+        }
+        const { basePath, outputFormats } = resolveOutput(options, 'filflo_flipkart_history_po');
+        writePoOutputs(database.loadParsed(filters), basePath, outputFormats, {
+          csvBom: options.csvBom || config.output.csvBom,
+          normalized: options.normalized || config.output.normalized,
+          tallyMapping: outputFormats.includes('tally') ? loadTallyMapping(config.output.tallyMappingPath) : null
+        });
+      }
+    } finally {
+      database.close();
+    }
   });
 
 // Default command - show help
@@ -53,4 +659,11 @@ program
     program.help();
   });
 
-program.parse();
+// Errors end the command with a one-line message and exit code 1, not a stack trace
+try {
+  await program.parseAsync();
+} catch (error) {
+  log.error(`❌ ${error.message}`);
+  log.debug(error.stack);
+  process.exitCode = 1;
+}
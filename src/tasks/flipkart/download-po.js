@@ -4,7 +4,15 @@
  */
 
 import { BaseTask } from '../../core/BaseTask.js';
-import { mergeXlsFiles, generateMergedFilename, flattenAndMergePoFiles } from '../../utils/xls-merger.js';
+import { DEFAULT_VENDOR_HUB_URL } from '../../config/index.js';
+import { mergeXlsFiles, generateMergedFilename, parsePoFiles, readPoMetadata } from '../../utils/xls-merger.js';
+import { writePoOutputs, skipIncompleteTally } from '../../utils/output-writers.js';
+import { sha256File, writeRunManifest } from '../../utils/run-manifest.js';
+import { createRunArchive, archiveFilePath, zipRunArchive, pruneArchive } from '../../utils/po-archive.js';
+import { PoDatabase } from '../../core/PoDatabase.js';
+import { snapshotPOs, loadPoSnapshot, savePoSnapshot, comparePoSnapshots, changeReportRows, formatChangeReport } from '../../utils/po-changes.js';
+import { extractPoNumber, loadPoLedger, savePoLedger } from '../../utils/po-ledger.js';
+import { parseFlipkartDate, compareOrderDate, matchesDateFilter, describeDateFilter } from '../../utils/date-utils.js';
 import path from 'path';
 import fs from 'fs';
 import os from 'os';
@@ -13,8 +21,61 @@ export class FlipkartDownloadPOTask extends BaseTask {
   constructor(taskConfig) {
     super(taskConfig);
     this.downloadPath = taskConfig.downloadPath || './downloads/flipkart';
-    this.tempDir = path.join(os.tmpdir(), 'flipkart-po-downloads-' + Date.now());
-    this.maxOrders = taskConfig.maxOrders || 0; // 0 = all orders
+    this.baseUrl = taskConfig.baseUrl || DEFAULT_VENDOR_HUB_URL;
+    this.archive = taskConfig.archive ?? true; // keep raw PO files in the archive instead of deleting them
+    this.archivePath = taskConfig.archivePath || path.join(this.downloadPath, 'archive');
+    this.archiveZip = taskConfig.archiveZip || false; // zip each run's folder once the run is done
+    this.archiveKeepDays = taskConfig.archiveKeepDays ?? 30; // 0 = no limit
+    this.archiveKeepRuns = taskConfig.archiveKeepRuns ?? 0; // 0 = no limit
+    this.runId = generateMergedFilename('run', '');
+    // Raw PO files are saved straight into the archive so a crash doesn't lose them
+    this.rawDir = this.archive ? null : path.join(os.tmpdir(), 'flipkart-po-downloads-' + Date.now());
+    this.archivedPath = null; // run folder or zip in the archive, once finished
+    this.maxOrders = taskConfig.maxOrders || 0; // 0 = all orders (per status)
+    this.statuses = taskConfig.statuses && taskConfig.statuses.length > 0 ? taskConfig.statuses : ['open'];
+    this.currentStatus = this.statuses[0];
+    this.ledgerPath = taskConfig.ledgerPath || path.join(this.downloadPath, 'po-ledger.json');
+    this.fullDownload = taskConfig.fullDownload || false; // true = ignore ledger and re-download everything
+    this.ledger = {};
+    this.knownPOs = new Set();
+    this.downloadedPOs = []; // { poNumber, status, filepath } for this run
+    this.dateFilter = taskConfig.dateFilter || null; // from createDateFilter()
+    this.seenOrderDates = []; // order dates read from the list, used to detect sorting
+    this.stopPagination = false;
+    this.outputFormats = taskConfig.outputFormats && taskConfig.outputFormats.length > 0 ? taskConfig.outputFormats : ['xlsx'];
+    this.csvBom = taskConfig.csvBom || false;
+    this.normalized = taskConfig.normalized || false; // add POs + Line Items sheets
+    this.fieldMap = taskConfig.fieldMap; // PO header field map (defaults to config/po-fields.js)
+    this.reconcileTolerance = taskConfig.reconcileTolerance;
+    this.columnTypes = taskConfig.columnTypes; // column -> type map (defaults to config/column-types.js)
+    this.lineItemColumns = taskConfig.lineItemColumns; // line item header aliases (defaults to config/line-item-columns.js)
+    this.tallyMapping = taskConfig.tallyMapping; // Tally ledgers and stock items, for the tally format
+    this.databasePath = taskConfig.databasePath || ''; // SQLite PO history, empty = off
+    this.reportChanges = taskConfig.reportChanges ?? true; // compare with the previous run (Changes sheet)
+    this.refreshKnown = taskConfig.refreshKnown ?? false; // download ledger POs again to compare their contents too
+    this.snapshotPath = path.join(this.downloadPath, 'po-snapshot.json'); // PO state of the previous run
+    this.changes = null; // comparePoSnapshots() result, null on the first run or when off
+    this.completeStatuses = []; // statuses whose list was read to the last page
+    this.refreshedPOs = []; // { poNumber, status, filepath } of ledger POs downloaded again for the change report
+    this.refreshedSnapshot = {}; // snapshotPOs() of those files
+    this.nextSnapshot = null; // saved once the run succeeded
+    this.reconciliation = []; // per-PO results from parsePoFiles()
+    this.tallyProblems = []; // what the Tally mapping lacks; the tally file is skipped when not empty
+    this.extraColumns = taskConfig.extraColumns || {}; // PO-level columns added to every row (e.g. Company)
+    this.keepRawFiles = taskConfig.keepRawFiles || false; // leave raw PO files for the caller to finish (finishRawFiles)
+    this.downloadRetries = taskConfig.downloadRetries ?? 2; // extra attempts per PO row
+    this.downloadRetryDelayMs = taskConfig.downloadRetryDelayMs ?? 2000; // doubled after each attempt
+    this.retryFailed = taskConfig.retryFailed ?? true; // retry pass over failed POs before merging
+    this.failedDownloads = []; // { poNumber, status, page, rowIndex, error }
+    this.currentPage = 1;
+    this.seenPOs = []; // every PO row seen, with its download status, for the run manifest
+    this.parsed = null; // parsePoFiles() result of the combined files
+    this.outputFiles = [];
+    this.timings = {};
+    this.manifestPath = null;
+    this.onProgress = taskConfig.onProgress || null; // called with progressSnapshot() as the run advances
+    this.phase = 'starting';
+    this.totalPOCount = 0; // from getTotalPOCount() for the current status, 0 if unknown
   }
 
   /**
@@ -24,11 +85,10 @@ export class FlipkartDownloadPOTask extends BaseTask {
    */
   async getFirstRowPONumber() {
     try {
-      const firstDataRow = this.page.locator('div[role="row"]').nth(1); // Skip header
+      const [primaryRows] = this.selectors.strategies('poList.rows');
+      const firstDataRow = this.page.locator(primaryRows.selector).nth(1); // Skip header
       const rowText = await firstDataRow.textContent();
-      // Extract PO number pattern like "FLGWN07529757"
-      const poMatch = rowText.match(/[A-Z]{2,5}\d{8,}/);
-      return poMatch ? poMatch[0] : null;
+      return extractPoNumber(rowText);
     } catch (e) {
       return null;
     }
@@ -36,35 +96,128 @@ export class FlipkartDownloadPOTask extends BaseTask {
 
   /**
    * Main download flow
+   * A run manifest is written at the end, also when the run fails
    */
   async run() {
-    console.log('\n📋 Starting Flipkart PO Download...\n');
+    this.startedAt = new Date();
+    // Incremental runs only contain POs not seen before
+    const prefix = this.fullDownload ? 'filflo_flipkart_po' : 'filflo_flipkart_new_po';
+    this.outputBasePath = path.join(this.downloadPath, generateMergedFilename(prefix, ''));
+
+    let runError = null;
+    try {
+      await this.downloadAndCombine();
+      this.compareWithPreviousRun();
+      if (this.nextSnapshot) {
+        savePoSnapshot(this.snapshotPath, this.nextSnapshot);
+      }
+      if (this.changes) {
+        this.log.info(`\n🔀 ${formatChangeReport(this.changes, 20)}\n`);
+      }
+      this.recordHistory();
+    } catch (error) {
+      runError = error;
+      throw error;
+    } finally {
+      // A manifest that can't be written must not hide the run's own error
+      try {
+        this.manifestPath = this.writeManifest(runError);
+      } catch (error) {
+        this.log.warn(`⚠️  Could not write the run manifest: ${error.message}`);
+      }
+      this.reportProgress(runError ? 'failed' : 'done');
+    }
+  }
+
+  /**
+   * Download the POs of every status, then combine them
+   */
+  async downloadAndCombine() {
+    this.log.info('\n📋 Starting Flipkart PO Download...\n');
 
     // Ensure download directories exist
     this.ensureDirectoriesExist();
 
-    // Step 1: Navigate to PO list page
-    await this.navigateToPOList();
+    // Load ledger of already downloaded POs (skipped in full mode)
+    this.ledger = loadPoLedger(this.ledgerPath);
+    this.knownPOs = new Set(Object.keys(this.ledger)); // to tell new POs apart in full mode
+    if (this.fullDownload) {
+      this.log.info('🔁 Full download requested, ignoring PO ledger');
+    } else {
+      this.log.info(`📒 PO ledger: ${Object.keys(this.ledger).length} PO(s) already downloaded`);
+    }
 
-    // Step 2: Set pagination to 50 POs per page
-    // await this.setPaginationTo50();  // Skip for testing pagination with default 10 items
+    if (this.dateFilter) {
+      this.log.info(`📅 Date filter: ${describeDateFilter(this.dateFilter)}`);
+    }
 
-    // Step 3: Download all individual PO files from each row (across all pages)
-    const downloadedFiles = await this.downloadAllPOsAcrossPages();
+    const downloadedFiles = [];
+    for (const status of this.statuses) {
+      this.currentStatus = status;
+      this.totalPOCount = 0;
+      this.log.setContext({ status });
+      this.log.info(`\n📂 PO status: ${status}`);
+      this.reportProgress('downloading');
+
+      // Step 1: Navigate to PO list page for this status
+      await this.navigateToPOList(status);
+
+      // Step 2: Set pagination to 50 POs per page
+      // await this.setPaginationTo50();  // Skip for testing pagination with default 10 items
+
+      // Step 3: Download all individual PO files from each row (across all pages)
+      const statusFiles = await this.downloadAllPOsAcrossPages();
+      downloadedFiles.push(...statusFiles);
+    }
+
+    // Step 3b: Give failed POs one more chance, then report the rest
+    if (this.failedDownloads.length > 0 && this.retryFailed) {
+      this.reportProgress('retrying');
+      downloadedFiles.push(...await this.retryFailedDownloads());
+    }
+    const failedReportPath = this.failedDownloads.length > 0 ? this.writeFailedDownloadsReport() : null;
+    this.timings.downloadMs = Date.now() - this.startedAt;
+
+    // Already downloaded POs fetched again, compared in compareWithPreviousRun()
+    this.snapshotRefreshedPOs();
 
     if (downloadedFiles.length === 0) {
-      console.log('\n⚠️  No PO files were downloaded');
+      this.log.warn(this.fullDownload ? '\n⚠️  No PO files were downloaded' : '\nℹ️  No new POs since the last run');
+      this.finishRawFiles();
+      return;
+    }
+
+    // Step 4: Re-check the date range using the dates inside each PO file
+    const filesToCombine = this.applyDateFilter(downloadedFiles);
+    if (filesToCombine.length === 0) {
+      this.log.info('\nℹ️  No downloaded PO falls within the date range');
+      this.finishRawFiles();
       return;
     }
 
-    // Step 4: Flatten and combine all downloaded files
-    const combinedFile = await this.combineFiles(downloadedFiles);
+    // Step 5: Flatten and combine all downloaded files
+    this.reportProgress('merging');
+    const mergeStartedAt = Date.now();
+    const combinedFiles = await this.combineFiles(filesToCombine);
+    this.timings.mergeMs = Date.now() - mergeStartedAt;
 
-    // Step 5: Cleanup temp files
-    this.cleanupTempFiles(downloadedFiles);
+    // Record the new POs only once they made it into a combined file
+    this.updateLedger();
 
-    console.log(`\n✅ Flipkart PO download completed!`);
-    console.log(`📁 Combined file saved: ${combinedFile}\n`);
+    // Step 6: Archive or clean up the raw files, unless the caller still needs them
+    if (!this.keepRawFiles) {
+      this.finishRawFiles();
+    }
+
+    this.log.info(`\n✅ Flipkart PO download completed!`);
+    for (const combinedFile of combinedFiles) {
+      this.log.info(`📁 Combined file saved: ${combinedFile}`);
+    }
+    this.logReconciliationSummary();
+    if (failedReportPath) {
+      this.log.warn(`⚠️  ${this.failedDownloads.length} PO(s) are missing from the combined file, see ${failedReportPath}`);
+    }
+    this.log.info('');
   }
 
   /**
@@ -73,94 +226,214 @@ export class FlipkartDownloadPOTask extends BaseTask {
   ensureDirectoriesExist() {
     if (!fs.existsSync(this.downloadPath)) {
       fs.mkdirSync(this.downloadPath, { recursive: true });
-      console.log(`📁 Created download directory: ${this.downloadPath}`);
+      this.log.info(`📁 Created download directory: ${this.downloadPath}`);
+    }
+
+    if (this.archive) {
+      this.rawDir = createRunArchive(this.archivePath, this.runId);
+      this.log.info(`🗄️  Archiving raw PO files to: ${this.rawDir}`);
+    } else if (!fs.existsSync(this.rawDir)) {
+      fs.mkdirSync(this.rawDir, { recursive: true });
+      this.log.info(`📁 Created temp directory: ${this.rawDir}`);
+    }
+  }
+
+  /**
+   * Print how many POs matched their own summary totals
+   */
+  logReconciliationSummary() {
+    const count = status => this.reconciliation.filter(r => r.status === status).length;
+    this.log.info(`🧮 Reconciliation: ${count('ok')} matched, ${count('mismatch')} mismatched, ${count('unchecked')} without totals`);
+
+    for (const { poNumber, file, notes } of this.reconciliation.filter(r => r.status === 'mismatch')) {
+      this.log.warn(`   ⚠️  ${poNumber || file}: ${notes}`);
     }
+  }
+
+  /**
+   * Add the POs downloaded in this run to the ledger and save it
+   */
+  updateLedger() {
+    const downloadedAt = new Date().toISOString();
+    for (const { poNumber, status, filepath } of this.downloadedPOs) {
+      if (!poNumber) continue;
+      this.ledger[poNumber] = { downloadedAt, status, file: path.basename(filepath) };
+    }
+    savePoLedger(this.ledgerPath, this.ledger);
+  }
+
+  /**
+   * Drop downloaded files whose Order_Date / PO_Expiry fall outside the date filter
+   * @param {string[]} files - Downloaded file paths
+   * @returns {string[]} Files within the date range
+   */
+  applyDateFilter(files) {
+    if (!this.dateFilter) return files;
 
-    if (!fs.existsSync(this.tempDir)) {
-      fs.mkdirSync(this.tempDir, { recursive: true });
-      console.log(`📁 Created temp directory: ${this.tempDir}`);
+    this.log.info('\n📅 Checking PO dates against the date filter...');
+    const kept = [];
+    for (const file of files) {
+      try {
+        const metadata = readPoMetadata(file, this.fieldMap);
+        const dates = { orderDate: metadata.Order_Date, poExpiry: metadata.PO_Expiry };
+        if (matchesDateFilter(this.dateFilter, dates)) {
+          kept.push(file);
+        } else {
+          this.log.info(`   ⏭️  ${metadata.PO_Number || path.basename(file)} outside date range (ordered ${dates.orderDate}, expires ${dates.poExpiry})`);
+          const seen = this.seenPOs.find(entry => entry.filepath === file);
+          if (seen) {
+            Object.assign(seen, { downloadStatus: 'filtered', reason: 'outside date range (PO file)' });
+          }
+        }
+      } catch (error) {
+        this.log.warn(`   ⚠️  Could not read dates from ${path.basename(file)}, keeping it: ${error.message}`);
+        kept.push(file);
+      }
     }
+
+    // Excluded POs are not recorded in the ledger
+    this.downloadedPOs = this.downloadedPOs.filter(({ filepath }) => kept.includes(filepath));
+    this.log.info(`📅 ${kept.length}/${files.length} PO file(s) within the date range`);
+    return kept;
+  }
+
+  /**
+   * Find the order date and expiry date columns in the PO list header row
+   * @param {string} rowSelector - Selector for table rows
+   * @returns {{ orderDateIdx: number, expiryIdx: number }|null} Column indexes or null if not found
+   */
+  async getListDateColumns(rowSelector) {
+    try {
+      const headers = await this.page.locator(rowSelector).first()
+        .locator('[role="columnheader"], th').allTextContents();
+      const orderDateIdx = headers.findIndex(h => /order\s*date|created|po\s*date/i.test(h));
+      const expiryIdx = headers.findIndex(h => /expir/i.test(h));
+
+      if (orderDateIdx === -1 && expiryIdx === -1) {
+        this.log.warn('   ⚠️  Date columns not found in PO list, dates are only checked after download');
+        return null;
+      }
+      return { orderDateIdx, expiryIdx };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Read the order date and expiry date of a PO list row
+   * @param {Locator} row - Row locator
+   * @param {{ orderDateIdx: number, expiryIdx: number }} columns - From getListDateColumns()
+   * @returns {{ orderDate: Date|null, poExpiry: Date|null }}
+   */
+  async readRowDates(row, { orderDateIdx, expiryIdx }) {
+    const cells = await row.locator('[role="cell"], [role="gridcell"], td').allTextContents().catch(() => []);
+    return {
+      orderDate: orderDateIdx !== -1 ? parseFlipkartDate(cells[orderDateIdx]) : null,
+      poExpiry: expiryIdx !== -1 ? parseFlipkartDate(cells[expiryIdx]) : null
+    };
+  }
+
+  /**
+   * Detect whether the PO list is sorted by order date
+   * @returns {'asc'|'desc'|null} Sort direction or null if unsorted / unknown
+   */
+  getOrderDateSortDirection() {
+    const dates = this.seenOrderDates;
+    let asc = true;
+    let desc = true;
+    for (let i = 1; i < dates.length; i++) {
+      if (dates[i] < dates[i - 1]) asc = false;
+      if (dates[i] > dates[i - 1]) desc = false;
+    }
+
+    const distinct = new Set(dates.map(d => d.getTime())).size;
+    if (distinct < 2) return null;
+    if (desc) return 'desc';
+    if (asc) return 'asc';
+    return null;
+  }
+
+  /**
+   * Check if a row outside the range means all following rows are outside too
+   * @param {'before'|'after'|'in'|'unknown'} position - From compareOrderDate()
+   * @returns {boolean}
+   */
+  isPastDateRange(position) {
+    const direction = this.getOrderDateSortDirection();
+    return (direction === 'desc' && position === 'before') ||
+           (direction === 'asc' && position === 'after');
+  }
+
+  /**
+   * Check if a PO was already downloaded with the given status
+   * A PO that changed status (e.g. open -> closed) is downloaded again
+   * @param {string} poNumber - PO number
+   * @param {string} status - PO status being downloaded
+   * @returns {boolean}
+   */
+  isInLedger(poNumber, status) {
+    const entry = this.ledger[poNumber];
+    return Boolean(entry) && (entry.status || 'open') === status;
   }
 
   /**
    * Navigate to PO list page
+   * @param {string} status - PO status filter (open, closed, expired, ...)
    */
-  async navigateToPOList() {
-    console.log('🌐 Navigating to PO list page...');
-    await this.navigateTo('https://vendorhub.flipkart.com/#/operations/po/list?status=open');
-    console.log('⏳ Waiting for PO data to load...');
+  async navigateToPOList(status = 'open') {
+    this.log.info(`🌐 Navigating to PO list page (status: ${status})...`);
+    await this.navigateTo(`${this.baseUrl}/#/operations/po/list?status=${encodeURIComponent(status)}`);
+    this.log.info('⏳ Waiting for PO data to load...');
     await this.page.waitForTimeout(8000); // Wait longer for data to load
-    console.log('✅ PO list page loaded');
+    this.log.info('✅ PO list page loaded');
   }
 
   /**
    * Set pagination dropdown to show 50 POs per page
    */
   async setPaginationTo50() {
-    console.log('\n📊 Setting POs per page to 50...');
+    this.log.info('\n📊 Setting POs per page to 50...');
 
     try {
       // Look for pagination dropdown at the bottom of the table
       // It typically shows "10" initially and has options like 10, 25, 50
-      const paginationSelectors = [
-        'select:has(option[value="50"])',
-        '[role="combobox"]',
-        'select',
-        'button:has-text("10")',
-        '[class*="pagination"] select',
-        '[class*="page-size"]'
-      ];
-
-      // Try to find and click the pagination dropdown
-      let dropdownFound = false;
-
-      for (const selector of paginationSelectors) {
-        try {
-          const dropdown = this.page.locator(selector).first();
-          const isVisible = await dropdown.isVisible({ timeout: 2000 }).catch(() => false);
-
-          if (isVisible) {
-            // Check if it's a select element
-            const tagName = await dropdown.evaluate(el => el.tagName.toLowerCase());
-
-            if (tagName === 'select') {
-              // Use selectOption for native select
-              await dropdown.selectOption('50');
-              console.log('✅ Selected 50 from dropdown (select)');
-              dropdownFound = true;
-              break;
-            } else {
-              // Click the dropdown to open it
-              await dropdown.click();
-              await this.page.waitForTimeout(500);
-
-              // Click on 50 option
-              const option50 = this.page.locator('li:has-text("50"), option:has-text("50"), div:has-text("50")').first();
-              const optionVisible = await option50.isVisible({ timeout: 2000 }).catch(() => false);
-
-              if (optionVisible) {
-                await option50.click();
-                console.log('✅ Selected 50 from dropdown (custom)');
-                dropdownFound = true;
-                break;
-              }
-            }
+      const dropdownFound = await this.findVisible('poList.pageSize', {
+        timeout: 2000,
+        accept: async dropdown => {
+          // Check if it's a select element
+          const tagName = await dropdown.evaluate(el => el.tagName.toLowerCase());
+
+          if (tagName === 'select') {
+            // Use selectOption for native select
+            await dropdown.selectOption('50');
+            this.log.info('✅ Selected 50 from dropdown (select)');
+            return true;
           }
-        } catch (err) {
-          // Continue to next selector
+
+          // Click the dropdown to open it, then click on the 50 option
+          await dropdown.click();
+          await this.page.waitForTimeout(500);
+
+          const option50 = await this.findVisible('poList.pageSizeOption', { timeout: 2000 });
+          if (option50) {
+            await option50.locator.click();
+            this.log.info('✅ Selected 50 from dropdown (custom)');
+            return true;
+          }
+          return false;
         }
-      }
+      });
 
       if (!dropdownFound) {
-        console.log('⚠️  Pagination dropdown not found, continuing with default...');
+        this.log.warn('⚠️  Pagination dropdown not found, continuing with default...');
       }
 
       // Wait for table to reload with more rows
-      console.log('⏳ Waiting for table to reload with more rows...');
+      this.log.info('⏳ Waiting for table to reload with more rows...');
       await this.page.waitForTimeout(8000);
 
     } catch (error) {
-      console.log(`⚠️  Could not change pagination: ${error.message}`);
+      this.log.warn(`⚠️  Could not change pagination: ${error.message}`);
     }
   }
 
@@ -170,33 +443,18 @@ export class FlipkartDownloadPOTask extends BaseTask {
    */
   async getTotalPOCount() {
     try {
-      // Look for pagination info text patterns
-      const paginationInfoSelectors = [
-        'text=/Showing \\d+-\\d+ of \\d+/i',
-        'text=/\\d+-\\d+ of \\d+/',
-        '[class*="page-info"]',
-        '[class*="pagination-info"]',
-        '[class*="showing"]'
-      ];
-
-      for (const selector of paginationInfoSelectors) {
-        try {
-          const element = this.page.locator(selector).first();
-          const isVisible = await element.isVisible({ timeout: 2000 }).catch(() => false);
-
-          if (isVisible) {
-            const text = await element.textContent();
-            // Extract "of X" where X is the total count
-            const match = text.match(/of\s+(\d+)/i);
-            if (match) {
-              const total = parseInt(match[1], 10);
-              console.log(`📊 Total PO count from pagination: ${total}`);
-              return total;
-            }
-          }
-        } catch (e) {
-          // Continue to next selector
+      // Look for pagination info text, e.g. "Showing 1-50 of 234"
+      const pageInfo = await this.findVisible('poList.pageInfo', {
+        timeout: 2000,
+        accept: async element => {
+          // Extract "of X" where X is the total count
+          const match = (await element.textContent()).match(/of\s+(\d+)/i);
+          return match ? parseInt(match[1], 10) : 0;
         }
+      });
+      if (pageInfo) {
+        this.log.info(`📊 Total PO count from pagination: ${pageInfo.value}`);
+        return pageInfo.value;
       }
 
       // Fallback: try to find any element containing the pattern
@@ -204,14 +462,14 @@ export class FlipkartDownloadPOTask extends BaseTask {
       const match = allText.match(/Showing\s+\d+-\d+\s+of\s+(\d+)/i);
       if (match) {
         const total = parseInt(match[1], 10);
-        console.log(`📊 Total PO count from page text: ${total}`);
+        this.log.info(`📊 Total PO count from page text: ${total}`);
         return total;
       }
 
-      console.log('⚠️  Could not determine total PO count from pagination');
+      this.log.warn('⚠️  Could not determine total PO count from pagination');
       return 0;
     } catch (error) {
-      console.log(`⚠️  Error getting total PO count: ${error.message}`);
+      this.log.warn(`⚠️  Error getting total PO count: ${error.message}`);
       return 0;
     }
   }
@@ -221,7 +479,7 @@ export class FlipkartDownloadPOTask extends BaseTask {
    * @returns {boolean} True if next page is available
    */
   async hasNextPage() {
-    console.log('🔍 Checking for next page...');
+    this.log.debug('🔍 Checking for next page...');
 
     // First, try to find pagination info to determine if more pages exist
     try {
@@ -232,12 +490,12 @@ export class FlipkartDownloadPOTask extends BaseTask {
       if (pagesMatch) {
         const currentPage = parseInt(pagesMatch[1], 10);
         const totalPages = parseInt(pagesMatch[2], 10);
-        console.log(`   Pagination: ${currentPage} of ${totalPages} pages`);
+        this.log.debug(`   Pagination: ${currentPage} of ${totalPages} pages`);
         if (currentPage < totalPages) {
-          console.log('   ✅ More pages available');
+          this.log.debug('   ✅ More pages available');
           return true;
         } else {
-          console.log('   ℹ️  On last page');
+          this.log.debug('   ℹ️  On last page');
           return false;
         }
       }
@@ -247,12 +505,12 @@ export class FlipkartDownloadPOTask extends BaseTask {
       if (rangeMatch) {
         const endItem = parseInt(rangeMatch[2], 10);
         const totalItems = parseInt(rangeMatch[3], 10);
-        console.log(`   Pagination info: showing up to ${endItem} of ${totalItems}`);
+        this.log.debug(`   Pagination info: showing up to ${endItem} of ${totalItems}`);
         if (endItem < totalItems) {
-          console.log('   ✅ More items available');
+          this.log.debug('   ✅ More items available');
           return true;
         } else {
-          console.log('   ℹ️  All items shown on current page');
+          this.log.debug('   ℹ️  All items shown on current page');
           return false;
         }
       }
@@ -262,68 +520,41 @@ export class FlipkartDownloadPOTask extends BaseTask {
       if (pageMatch) {
         const currentPage = parseInt(pageMatch[1], 10);
         const totalPages = parseInt(pageMatch[2], 10);
-        console.log(`   Page ${currentPage} of ${totalPages}`);
+        this.log.debug(`   Page ${currentPage} of ${totalPages}`);
         if (currentPage < totalPages) {
-          console.log('   ✅ More pages available');
+          this.log.debug('   ✅ More pages available');
           return true;
         }
       }
     } catch (e) {
-      console.log('   Could not parse pagination text');
-    }
-
-    // Fallback: Try to find next button
-    const nextButtonSelectors = [
-      'button:has-text("Next")',
-      '[aria-label="Next page"]',
-      '[aria-label="next page"]',
-      '[aria-label="Go to next page"]',
-      '[class*="pagination"] [class*="next"]:not([disabled])',
-      'button[class*="next"]:not([disabled])',
-      '[class*="page-next"]:not([disabled])',
-      'a:has-text("Next")',
-      'li.next:not(.disabled) a',
-      '[class*="pagination"] button:has-text(">")',
-      'button:has-text(">")',
-      'button:has-text(">>")',
-      'button:has-text("→")',
-      '[class*="chevron-right"]',
-      '[class*="arrow-right"]',
-      'svg[class*="right"]',
-      'button svg[data-testid*="right"]',
-      '[data-testid*="next"]',
-      '[data-testid*="pagination"] button:last-child'
-    ];
-
-    for (const selector of nextButtonSelectors) {
-      try {
-        const button = this.page.locator(selector).first();
-        const isVisible = await button.isVisible({ timeout: 500 }).catch(() => false);
-
-        if (isVisible) {
-          // Check if button is disabled
-          const isDisabled = await button.evaluate(el => {
-            return el.disabled ||
-                   el.classList.contains('disabled') ||
-                   el.getAttribute('aria-disabled') === 'true' ||
-                   el.parentElement?.classList.contains('disabled') ||
-                   el.style.opacity === '0.5' ||
-                   el.style.pointerEvents === 'none';
-          }).catch(() => false);
-
-          if (!isDisabled) {
-            console.log(`   ✅ Found enabled next button: ${selector}`);
-            return true;
-          } else {
-            console.log(`   ℹ️  Found disabled next button: ${selector}`);
-          }
+      this.log.debug('   Could not parse pagination text');
+    }
+
+    // Fallback: Try to find an enabled next button
+    const nextButton = await this.findVisible('poList.nextButton', {
+      accept: async (button, name) => {
+        const isDisabled = await button.evaluate(el => {
+          return el.disabled ||
+                 el.classList.contains('disabled') ||
+                 el.getAttribute('aria-disabled') === 'true' ||
+                 el.parentElement?.classList.contains('disabled') ||
+                 el.style.opacity === '0.5' ||
+                 el.style.pointerEvents === 'none';
+        }).catch(() => false);
+
+        if (isDisabled) {
+          this.log.debug(`   ℹ️  Found disabled next button: ${name}`);
         }
-      } catch (e) {
-        // Continue to next selector
+        return !isDisabled;
       }
+    });
+
+    if (nextButton) {
+      this.log.debug(`   ✅ Found enabled next button: ${nextButton.name}`);
+      return true;
     }
 
-    console.log('   ℹ️  No next page button found');
+    this.log.debug('   ℹ️  No next page button found');
     return false;
   }
 
@@ -332,11 +563,11 @@ export class FlipkartDownloadPOTask extends BaseTask {
    * @returns {boolean} True if navigation succeeded and content changed
    */
   async goToNextPage() {
-    console.log('\n📄 Navigating to next page...');
+    this.log.info('\n📄 Navigating to next page...');
 
     // Capture first row PO number before clicking
     const poBefore = await this.getFirstRowPONumber();
-    console.log(`   Current first PO: ${poBefore || 'unknown'}`);
+    this.log.debug(`   Current first PO: ${poBefore || 'unknown'}`);
 
     // Helper to verify content actually changed after clicking
     const verifyContentChanged = async () => {
@@ -344,50 +575,39 @@ export class FlipkartDownloadPOTask extends BaseTask {
         await this.page.waitForTimeout(1000);
         const poAfter = await this.getFirstRowPONumber();
         if (poAfter && poAfter !== poBefore) {
-          console.log(`   ✅ Page content changed: ${poBefore} → ${poAfter}`);
+          this.log.debug(`   ✅ Page content changed: ${poBefore} → ${poAfter}`);
           return true;
         }
       }
-      console.log('   ⚠️ Page content did not change after 10 seconds');
+      this.log.warn('   ⚠️ Page content did not change after 10 seconds');
       return false;
     };
 
-    // Approach 1: Use Playwright's text locator for ">" button
-    try {
-      // Try multiple selectors for the next button
-      const nextSelectors = [
-        'button:has-text(">")',           // Button containing >
-        'span:text-is(">")',              // Span with exact >
-        'div:text-is(">")',               // Div with exact >
-        '[role="button"]:has-text(">")',  // Role button containing >
-      ];
-
-      for (const selector of nextSelectors) {
-        const btn = this.page.locator(selector).first();
-        const isVisible = await btn.isVisible({ timeout: 1000 }).catch(() => false);
-
-        if (isVisible) {
-          const isDisabled = await btn.evaluate(node => {
-            return node.disabled ||
-                   node.classList.contains('disabled') ||
-                   node.getAttribute('aria-disabled') === 'true' ||
-                   node.style.opacity === '0.5';
-          }).catch(() => false);
-
-          if (!isDisabled) {
-            console.log(`   Found ">" via "${selector}", clicking...`);
-            await btn.click();
-            console.log('   ⏳ Waiting for page content to change...');
-            return await verifyContentChanged();
-          } else {
-            console.log(`   Found ">" via "${selector}" but it's disabled`);
-          }
+    // Approach 1: The ">" arrow of the pager (selector registry)
+    const nextArrow = await this.findVisible('poList.nextArrow', {
+      timeout: 1000,
+      accept: async (btn, name) => {
+        const isDisabled = await btn.evaluate(node => {
+          return node.disabled ||
+                 node.classList.contains('disabled') ||
+                 node.getAttribute('aria-disabled') === 'true' ||
+                 node.style.opacity === '0.5';
+        }).catch(() => false);
+
+        if (isDisabled) {
+          this.log.debug(`   Found ">" via "${name}" but it's disabled`);
         }
+        return !isDisabled;
       }
-      console.log('   No ">" button found via text selectors');
-    } catch (e) {
-      console.log(`   ">" button search error: ${e.message}`);
+    });
+
+    if (nextArrow) {
+      this.log.debug(`   Found ">" via "${nextArrow.name}", clicking...`);
+      await nextArrow.locator.click();
+      this.log.debug('   ⏳ Waiting for page content to change...');
+      return await verifyContentChanged();
     }
+    this.log.debug('   No ">" button found via text selectors');
 
     // Approach 2: Find pagination controls by inspecting DOM near "X of Y pages"
     try {
@@ -399,12 +619,12 @@ export class FlipkartDownloadPOTask extends BaseTask {
         // Go up to a reasonable parent container and log its structure
         const grandParent = paginationText.locator('xpath=ancestor::div[3]').first();
         const html = await grandParent.evaluate(el => el.outerHTML).catch(() => '');
-        console.log(`   Pagination area HTML (truncated):\n${html.substring(0, 1000)}`);
+        this.log.debug(`   Pagination area HTML (truncated):\n${html.substring(0, 1000)}`);
 
         // Try to find SVG elements (likely the arrow icons)
         const svgs = grandParent.locator('svg');
         const svgCount = await svgs.count();
-        console.log(`   Found ${svgCount} SVG elements`);
+        this.log.debug(`   Found ${svgCount} SVG elements`);
 
         // The last SVG is likely the ">" next button
         if (svgCount >= 2) {
@@ -412,62 +632,30 @@ export class FlipkartDownloadPOTask extends BaseTask {
           const nextSvg = svgs.last();
           const parent = nextSvg.locator('xpath=ancestor::*[self::button or self::div or self::span][1]').first();
 
-          console.log('   Clicking on next button (last SVG parent)...');
+          this.log.debug('   Clicking on next button (last SVG parent)...');
           await parent.scrollIntoViewIfNeeded();
           await parent.click({ force: true });
-          console.log('   ⏳ Waiting for page content to change...');
+          this.log.debug('   ⏳ Waiting for page content to change...');
           return await verifyContentChanged();
         }
       }
     } catch (e) {
-      console.log(`   Pagination area search error: ${e.message}`);
+      this.log.debug(`   Pagination area search error: ${e.message}`);
     }
 
-    // Approach 3: Click directly on ">" text anywhere on page
-    try {
-      const nextArrow = this.page.locator('button >> text=">"').first();
-      const isVisible = await nextArrow.isVisible({ timeout: 1000 }).catch(() => false);
-      if (isVisible) {
-        console.log('   Found ">" via text locator, clicking...');
-        await nextArrow.click();
-        console.log('   ⏳ Waiting for page content to change...');
-        return await verifyContentChanged();
-      }
-    } catch (e) {
-      // Continue
-    }
-
-    // Approach 4: Try various CSS selectors
-    const nextButtonSelectors = [
-      'button:has-text("Next")',
-      '[aria-label="Next page"]',
-      '[aria-label="next page"]',
-      '[aria-label="Go to next page"]',
-      '[class*="pagination"] button:last-of-type',
-      '[class*="pager"] button:last-of-type'
-    ];
-
-    for (const selector of nextButtonSelectors) {
-      try {
-        const button = this.page.locator(selector).first();
-        const isVisible = await button.isVisible({ timeout: 500 }).catch(() => false);
+    // Approach 3: "Next" buttons and the last pager button (selector registry)
+    const nextButton = await this.findVisible('poList.nextClick', {
+      accept: async button => !(await button.evaluate(el => el.disabled).catch(() => false))
+    });
 
-        if (isVisible) {
-          const isDisabled = await button.evaluate(el => el.disabled).catch(() => false);
-
-          if (!isDisabled) {
-            console.log(`   Clicking: ${selector}`);
-            await button.click();
-            console.log('   ⏳ Waiting for page content to change...');
-            return await verifyContentChanged();
-          }
-        }
-      } catch (e) {
-        // Continue to next selector
-      }
+    if (nextButton) {
+      this.log.debug(`   Clicking: ${nextButton.name}`);
+      await nextButton.locator.click();
+      this.log.debug('   ⏳ Waiting for page content to change...');
+      return await verifyContentChanged();
     }
 
-    console.log('⚠️  Could not find or click Next button');
+    this.log.warn('⚠️  Could not find or click Next button');
     return false;
   }
 
@@ -476,126 +664,146 @@ export class FlipkartDownloadPOTask extends BaseTask {
    * @returns {string[]} Array of downloaded file paths
    */
   async downloadAllPOsAcrossPages() {
-    console.log('\n🔄 Starting multi-page PO download...');
+    this.log.info('\n🔄 Starting multi-page PO download...');
 
     const allDownloadedFiles = [];
     let totalDownloaded = 0;
+    let totalSkipped = 0;
+    let totalFiltered = 0;
     let currentPage = 1;
     const maxToDownload = this.maxOrders > 0 ? this.maxOrders : Infinity;
 
     // Get total count if available
     const totalPOCount = await this.getTotalPOCount();
+    this.totalPOCount = totalPOCount;
     if (totalPOCount > 0) {
       const willDownload = this.maxOrders > 0 ? Math.min(totalPOCount, this.maxOrders) : totalPOCount;
-      console.log(`📊 Planning to download ${willDownload} of ${totalPOCount} total PO(s)`);
+      this.log.info(`📊 Planning to download ${willDownload} of ${totalPOCount} total PO(s)`);
     }
 
+    this.seenOrderDates = [];
+    this.stopPagination = false;
+
     // Loop through pages
     while (true) {
-      console.log(`\n📄 Processing page ${currentPage}...`);
+      this.currentPage = currentPage;
+      this.log.setContext({ page: currentPage });
+      this.log.info(`\n📄 Processing page ${currentPage}...`);
+      this.reportProgress();
 
       // Calculate how many more we need to download
       const remainingToDownload = maxToDownload - totalDownloaded;
 
       if (remainingToDownload <= 0) {
-        console.log(`✅ Reached maxOrders limit (${this.maxOrders})`);
+        this.log.info(`✅ Reached maxOrders limit (${this.maxOrders})`);
         break;
       }
 
       // Download POs from current page
-      const { downloadedFiles, downloadedCount } = await this.downloadPOsFromCurrentPage(
+      const { downloadedFiles, downloadedCount, skippedCount, filteredCount } = await this.downloadPOsFromCurrentPage(
         totalDownloaded,
         remainingToDownload
       );
 
       allDownloadedFiles.push(...downloadedFiles);
       totalDownloaded += downloadedCount;
+      totalSkipped += skippedCount;
+      totalFiltered += filteredCount;
 
-      console.log(`📊 Total downloaded so far: ${totalDownloaded}`);
+      this.log.info(`📊 Total downloaded so far: ${totalDownloaded} (skipped ${totalSkipped} already downloaded)`);
 
       // Check if we've reached maxOrders
       if (this.maxOrders > 0 && totalDownloaded >= this.maxOrders) {
-        console.log(`✅ Reached maxOrders limit (${this.maxOrders})`);
+        this.log.info(`✅ Reached maxOrders limit (${this.maxOrders})`);
+        break;
+      }
+
+      // Stop early once a date-sorted list has moved past the date range
+      if (this.stopPagination) {
+        this.log.info('✅ Remaining POs are outside the date range, stopping pagination');
         break;
       }
 
       // Check if there's a next page
       const hasNext = await this.hasNextPage();
       if (!hasNext) {
-        console.log('✅ No more pages available');
+        this.log.info('✅ No more pages available');
+        // Only a list read to its end tells which POs left it (change report)
+        this.completeStatuses.push(this.currentStatus);
         break;
       }
 
       // Navigate to next page (verifies content actually changed)
       const navigated = await this.goToNextPage();
       if (!navigated) {
-        console.log('⚠️  Page navigation failed or content unchanged, stopping pagination');
+        this.log.warn('⚠️  Page navigation failed or content unchanged, stopping pagination');
         break;
       }
 
       currentPage++;
     }
 
-    console.log(`\n📊 Multi-page download complete: ${allDownloadedFiles.length} file(s) from ${currentPage} page(s)`);
+    this.log.info(`\n📊 Multi-page download complete: ${allDownloadedFiles.length} file(s) from ${currentPage} page(s)`);
+    if (totalSkipped > 0) {
+      this.log.info(`⏭️  Skipped ${totalSkipped} PO(s) already in the ledger`);
+    }
+    if (totalFiltered > 0) {
+      this.log.info(`📅 Skipped ${totalFiltered} PO(s) outside the date range`);
+    }
     return allDownloadedFiles;
   }
 
   /**
-   * Download POs from the current page
-   * @param {number} totalDownloadedSoFar - Count of POs already downloaded from previous pages
-   * @param {number} remainingToDownload - Maximum number to download from this page
-   * @returns {{ downloadedFiles: string[], downloadedCount: number }}
+   * Wait for the PO table to load and work out how to address its rows
+   * @returns {{ rowSelector: string, startIndex: number, rowCount: number }} Row selector, index of the first data row and number of data rows
    */
-  async downloadPOsFromCurrentPage(totalDownloadedSoFar = 0, remainingToDownload = Infinity) {
-    console.log('\n🔍 Looking for PO table rows...');
-
-    const downloadedFiles = [];
-
+  async waitForTableRows() {
     // Wait for the table data to be fully loaded with retry
+    const rowStrategies = this.selectors.strategies('poList.rows');
     let rowCount = 0;
-    let rowSelector = 'div[role="row"]'; // default for this app
+    let rowStrategy = rowStrategies[0]; // div[role="row"] for this app
     const maxRetries = 5;
 
     for (let retry = 0; retry < maxRetries; retry++) {
-      console.log(`⏳ Waiting for table data to load (attempt ${retry + 1}/${maxRetries})...`);
+      this.log.debug(`⏳ Waiting for table data to load (attempt ${retry + 1}/${maxRetries})...`);
       await this.page.waitForTimeout(5000);
 
-      // Check row count with primary selector
-      rowCount = await this.page.locator(rowSelector).count();
-      console.log(`   Found ${rowCount} rows with "${rowSelector}"`);
+      // Check row count with the current strategy
+      rowCount = await this.page.locator(rowStrategy.selector).count();
+      this.log.debug(`   Found ${rowCount} rows with "${rowStrategy.selector}"`);
 
       // If we have a reasonable number of rows, proceed
       if (rowCount > 10) {
-        console.log('   ✅ Table data loaded');
+        this.log.info('   ✅ Table data loaded');
         break;
       }
 
-      // Try other selectors
-      const rowSelectors = [
-        'div[role="row"]',
-        'table tbody tr',
-        '[class*="table"] [class*="row"]'
-      ];
-
-      for (const selector of rowSelectors) {
-        const count = await this.page.locator(selector).count();
+      // Try the other strategies
+      for (const strategy of rowStrategies) {
+        const count = await this.page.locator(strategy.selector).count();
         if (count > rowCount) {
           rowCount = count;
-          rowSelector = selector;
-          console.log(`   Switching to selector "${selector}" with ${count} rows`);
+          rowStrategy = strategy;
+          this.log.debug(`   Switching to selector "${strategy.selector}" with ${count} rows`);
         }
       }
 
       if (retry < maxRetries - 1 && rowCount < 10) {
-        console.log('   ⏳ Not enough rows yet, waiting longer...');
+        this.log.info('   ⏳ Not enough rows yet, waiting longer...');
       }
     }
 
-    console.log(`   Using selector: "${rowSelector}" with ${rowCount} rows`);
+    const rowSelector = rowStrategy.selector;
+    this.log.debug(`   Using selector: "${rowSelector}" with ${rowCount} rows`);
+    if (rowCount > 0) {
+      this.selectors.recordMatch('poList.rows', rowStrategy.name);
+    } else {
+      this.selectors.recordMiss('poList.rows');
+    }
 
-    // Skip first row if it's a header row (for div[role="row"])
+    // Skip first row if it's a header row (div[role="row"] with column headers)
     let startIndex = 0;
-    if (rowSelector === 'div[role="row"]' && rowCount > 0) {
+    if (rowCount > 0) {
       // Check if first row is a header
       const firstRow = this.page.locator(rowSelector).first();
       const isHeader = await firstRow.getAttribute('role') === 'row' &&
@@ -603,116 +811,372 @@ export class FlipkartDownloadPOTask extends BaseTask {
       if (isHeader) {
         startIndex = 1;
         rowCount = rowCount - 1;
-        console.log(`   Skipping header row, ${rowCount} data rows to process`);
+        this.log.debug(`   Skipping header row, ${rowCount} data rows to process`);
       }
     }
 
+    return { rowSelector, startIndex, rowCount };
+  }
+
+  /**
+   * Download POs from the current page
+   * @param {number} totalDownloadedSoFar - Count of POs already downloaded from previous pages
+   * @param {number} remainingToDownload - Maximum number to download from this page
+   * @returns {{ downloadedFiles: string[], downloadedCount: number, skippedCount: number, filteredCount: number }}
+   */
+  async downloadPOsFromCurrentPage(totalDownloadedSoFar = 0, remainingToDownload = Infinity) {
+    this.log.debug('\n🔍 Looking for PO table rows...');
+
+    const downloadedFiles = [];
+    let skippedCount = 0;
+    let filteredCount = 0;
+
+    const { rowSelector, startIndex, rowCount } = await this.waitForTableRows();
+
     if (rowCount === 0) {
-      console.log('⚠️  No PO rows found in the table');
-      return { downloadedFiles: [], downloadedCount: 0 };
+      this.log.warn('⚠️  No PO rows found in the table');
+      return { downloadedFiles: [], downloadedCount: 0, skippedCount: 0, filteredCount: 0 };
     }
 
-    // Limit rows based on remainingToDownload parameter
-    const actualRowCount = Math.min(rowCount, remainingToDownload);
-    console.log(`📊 Found ${rowCount} PO(s) on this page, downloading ${actualRowCount}\n`);
+    // Locate date columns so rows outside the date range can be skipped before download
+    const dateColumns = this.dateFilter ? await this.getListDateColumns(rowSelector) : null;
+
+    this.log.info(`📊 Found ${rowCount} PO(s) on this page, downloading up to ${Math.min(rowCount, remainingToDownload)}\n`);
 
     // Download each PO by clicking the Download button in each row
-    const totalRows = actualRowCount;
+    // Rows already in the ledger are skipped and don't count towards remainingToDownload
+    const totalRows = rowCount;
     for (let i = 0; i < totalRows; i++) {
+      if (downloadedFiles.length >= remainingToDownload) {
+        break;
+      }
+
       const rowIndex = startIndex + i;
-      const globalIndex = totalDownloadedSoFar + i + 1;
-      console.log(`📥 Downloading PO ${globalIndex} (page row ${i + 1}/${totalRows})...`);
+      const globalIndex = totalDownloadedSoFar + downloadedFiles.length + 1;
 
       try {
         // Get the row
         const row = this.page.locator(rowSelector).nth(rowIndex);
 
-        // Find the Download button in this row's action column
-        // Try multiple selectors for the download button
-        let downloadBtn = null;
-        const buttonSelectors = [
-          'button:has-text("Download")',
-          'a:has-text("Download")',
-          '[role="button"]:has-text("Download")',
-          'text=Download',
-          'span:has-text("Download")',
-          'div:has-text("Download")',
-          'button[title*="download" i]',
-          'a[title*="download" i]',
-          '[class*="download" i]'
-        ];
-
-        for (const selector of buttonSelectors) {
-          try {
-            const btn = row.locator(selector).first();
-            const isVisible = await btn.isVisible({ timeout: 500 }).catch(() => false);
-            if (isVisible) {
-              downloadBtn = btn;
-              console.log(`   Found button with selector: ${selector}`);
-              break;
-            }
-          } catch (e) {
-            // Continue to next selector
+        // Skip POs that were downloaded in a previous run
+        const poNumber = extractPoNumber(await row.textContent().catch(() => ''));
+        this.log.setContext({ po: poNumber || undefined });
+        if (poNumber && !this.fullDownload && this.isInLedger(poNumber, this.currentStatus)) {
+          skippedCount++;
+          if (this.reportChanges && this.refreshKnown) {
+            // Amendments (quantity cut, expiry extended) only show in the PO file
+            this.log.info(`🔀 ${poNumber} (page row ${i + 1}/${totalRows}) already downloaded, downloading again for the change report`);
+            const filepath = await this.refreshKnownPO(rowSelector, { rowIndex, rowNumber: i + 1, poNumber });
+            this.recordSeenPO({ poNumber, row: i + 1, downloadStatus: 'skipped', reason: 'already in ledger, downloaded again for the change report', filepath });
+            continue;
           }
+          this.log.info(`⏭️  Skipping ${poNumber} (page row ${i + 1}/${totalRows}), already downloaded`);
+          this.recordSeenPO({ poNumber, row: i + 1, downloadStatus: 'skipped', reason: 'already in ledger' });
+          continue;
         }
+        if (!poNumber) {
+          this.log.warn(`   ⚠️  Could not read PO number in row ${i + 1}, downloading anyway`);
+        }
+
+        // Skip rows outside the date range (dates are checked again after download)
+        if (dateColumns) {
+          const rowDates = await this.readRowDates(row, dateColumns);
+          if (rowDates.orderDate) {
+            this.seenOrderDates.push(rowDates.orderDate);
+          }
 
-        if (!downloadBtn) {
-          // Try to find any clickable element with "Download" text in the row
-          const allElements = await row.locator('*').all();
-          for (const el of allElements) {
-            const text = await el.textContent().catch(() => '');
-            if (text && text.trim().toLowerCase() === 'download') {
-              downloadBtn = el;
-              console.log(`   Found button via text search`);
+          if (!matchesDateFilter(this.dateFilter, rowDates)) {
+            filteredCount++;
+            this.recordSeenPO({ poNumber, row: i + 1, downloadStatus: 'filtered', reason: 'outside date range (PO list)' });
+            if (this.isPastDateRange(compareOrderDate(this.dateFilter, rowDates.orderDate))) {
+              this.log.info(`📅 ${poNumber || `Row ${i + 1}`} is past the date range and the list is sorted by date`);
+              this.stopPagination = true;
               break;
             }
+            this.log.info(`📅 Skipping ${poNumber || `row ${i + 1}`}, outside the date range`);
+            continue;
           }
         }
 
-        if (!downloadBtn) {
-          console.log(`⚠️  No Download button found in row ${i + 1}, skipping...`);
+        this.log.info(`📥 Downloading PO ${globalIndex}${poNumber ? ` (${poNumber})` : ''} (page row ${i + 1}/${totalRows})...`);
+
+        // Retries with backoff; rows that keep failing end up in this.failedDownloads
+        const filepath = await this.downloadRowWithRetry(rowSelector, { rowIndex, rowNumber: i + 1, poNumber, globalIndex });
+        if (!filepath) {
           continue;
         }
 
-        // Set up download listener before clicking
-        const downloadPromise = this.page.waitForEvent('download', { timeout: 30000 });
+        downloadedFiles.push(filepath);
+        this.downloadedPOs.push({ poNumber, status: this.currentStatus, filepath });
+        this.recordSeenPO({ poNumber, row: i + 1, downloadStatus: 'downloaded', filepath });
+        this.log.info(`✅ Downloaded: ${path.basename(filepath)}`);
 
-        // Click the download button
-        await downloadBtn.click();
+        // Brief pause between downloads
+        await this.page.waitForTimeout(1500);
 
-        // Wait for download to complete
-        const download = await downloadPromise;
+      } catch (error) {
+        this.log.error(`❌ Error downloading PO ${i + 1}: ${error.message}`);
+      }
+    }
 
-        // Get the suggested filename or generate one
-        let filename = download.suggestedFilename();
-        if (!filename) {
-          filename = `flipkart_po_${globalIndex}_${Date.now()}.xls`;
-        }
+    this.log.setContext({ po: undefined });
+    this.log.info(`\n📊 Downloaded ${downloadedFiles.length}/${totalRows} file(s) from this page`);
+    return { downloadedFiles, downloadedCount: downloadedFiles.length, skippedCount, filteredCount };
+  }
 
-        // Save to temp directory
-        const filepath = path.join(this.tempDir, filename);
-        await download.saveAs(filepath);
+  /**
+   * Find a PO row, by PO number when known, otherwise by position
+   * Looked up again before every attempt, as the table may have re-rendered
+   * @param {string} rowSelector - Selector for table rows
+   * @param {number} rowIndex - Row position (including the header row)
+   * @param {string|null} poNumber - PO number of the row
+   * @returns {Locator}
+   */
+  locateRow(rowSelector, rowIndex, poNumber) {
+    const rows = this.page.locator(rowSelector);
+    return poNumber ? rows.filter({ hasText: poNumber }).first() : rows.nth(rowIndex);
+  }
 
-        downloadedFiles.push(filepath);
-        console.log(`✅ Downloaded: ${filename}`);
+  /**
+   * Find the Download button in a row's action column
+   * @param {Locator} row
+   * @returns {Locator|null} Button or null if not found
+   */
+  async findRowDownloadButton(row) {
+    // Selector registry strategies, within the row
+    const button = await this.findVisible('poList.rowDownload', { scope: row });
+    if (button) {
+      return button.locator;
+    }
 
-        // Brief pause between downloads
-        await this.page.waitForTimeout(1500);
+    // Try to find any clickable element with "Download" text in the row
+    const allElements = await row.locator('*').all();
+    for (const el of allElements) {
+      const text = await el.textContent().catch(() => '');
+      if (text && text.trim().toLowerCase() === 'download') {
+        this.log.debug(`   Found button via text search`);
+        return el;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Click a row's Download button and save the file to the temp directory
+   * @param {Locator} row
+   * @param {number} globalIndex - Running download number, used for generated file names
+   * @param {string|null} [poNumber] - PO number of the row, used to name archived files
+   * @returns {string} Path to the saved file
+   */
+  async downloadRow(row, globalIndex, poNumber = null) {
+    const downloadBtn = await this.findRowDownloadButton(row);
+    if (!downloadBtn) {
+      throw new Error('No Download button found in row');
+    }
+
+    // Set up download listener before clicking
+    const downloadPromise = this.page.waitForEvent('download', { timeout: 30000 });
+    // Awaited below; keeps a failed click from leaving an unhandled rejection behind
+    downloadPromise.catch(() => {});
+
+    // Click the download button
+    await downloadBtn.click();
+
+    // Wait for download to complete
+    const download = await downloadPromise;
+
+    // Get the suggested filename or generate one
+    let filename = download.suggestedFilename();
+    if (!filename) {
+      filename = `flipkart_po_${globalIndex}_${Date.now()}.xls`;
+    }
+
+    // Save to the archive (named by PO number) or the temp directory
+    const filepath = this.archive ? archiveFilePath(this.rawDir, poNumber, filename) : path.join(this.rawDir, filename);
+    await download.saveAs(filepath);
 
+    return filepath;
+  }
+
+  /**
+   * Download a row, retrying with an exponential backoff
+   * Rows that still fail are added to this.failedDownloads
+   * @param {string} rowSelector - Selector for table rows
+   * @param {Object} row
+   * @param {number} row.rowIndex - Row position (including the header row)
+   * @param {number} row.rowNumber - Data row number on the page (1-based), for the report
+   * @param {string|null} row.poNumber - PO number of the row
+   * @param {number} row.globalIndex - Running download number
+   * @returns {string|null} Path to the saved file, or null if all attempts failed
+   */
+  async downloadRowWithRetry(rowSelector, { rowIndex, rowNumber, poNumber, globalIndex }) {
+    const attempts = Math.max(0, this.downloadRetries || 0) + 1; // always at least one
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        return await this.downloadRow(this.locateRow(rowSelector, rowIndex, poNumber), globalIndex, poNumber);
       } catch (error) {
-        console.error(`❌ Error downloading PO ${i + 1}: ${error.message}`);
+        lastError = error;
+        this.log.warn(`   ⚠️  Attempt ${attempt}/${attempts} failed for ${poNumber || `row ${rowNumber}`}: ${error.message}`);
+      }
+
+      if (attempt < attempts) {
+        const delay = this.downloadRetryDelayMs * 2 ** (attempt - 1);
+        this.log.info(`   🔁 Retrying in ${delay / 1000}s...`);
+        await this.page.waitForTimeout(delay);
       }
     }
 
-    console.log(`\n📊 Downloaded ${downloadedFiles.length}/${totalRows} file(s) from this page`);
-    return { downloadedFiles, downloadedCount: downloadedFiles.length };
+    this.log.error(`❌ Could not download ${poNumber || `row ${rowNumber}`} on page ${this.currentPage}`);
+    this.failedDownloads.push({
+      poNumber,
+      status: this.currentStatus,
+      page: this.currentPage,
+      rowIndex: rowNumber,
+      error: lastError.message
+    });
+    this.recordSeenPO({ poNumber, row: rowNumber, downloadStatus: 'failed', error: lastError.message });
+    return null;
+  }
+
+  /**
+   * Download a PO that is already in the ledger again, to compare it with the previous run
+   * The file is not added to the combined output. A failed download is only
+   * logged: the PO then shows no line changes in this run's report.
+   * @param {string} rowSelector - Selector for table rows
+   * @param {Object} row - { rowIndex, rowNumber, poNumber }, see downloadRowWithRetry()
+   * @returns {string|null} Path to the saved file, or null if the download failed
+   */
+  async refreshKnownPO(rowSelector, { rowIndex, rowNumber, poNumber }) {
+    try {
+      const filepath = await this.downloadRow(this.locateRow(rowSelector, rowIndex, poNumber), rowNumber, poNumber);
+      this.refreshedPOs.push({ poNumber, status: this.currentStatus, filepath });
+      await this.page.waitForTimeout(1500);
+      return filepath;
+    } catch (error) {
+      this.log.warn(`   ⚠️  Could not download ${poNumber} again, no line changes for it in this run: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Parse the POs downloaded again for the change report into this.refreshedSnapshot
+   * Done right after downloading, before the raw files are archived or deleted
+   */
+  snapshotRefreshedPOs() {
+    if (this.refreshedPOs.length === 0) return;
+
+    try {
+      const parsed = parsePoFiles(this.refreshedPOs.map(po => po.filepath), {
+        fileColumns: Object.fromEntries(this.refreshedPOs.map(({ status, filepath }) => [filepath, { ...this.extraColumns, PO_Status: status }])),
+        fieldMap: this.fieldMap,
+        reconcileTolerance: this.reconcileTolerance,
+        columnTypes: this.columnTypes,
+        lineItemColumns: this.lineItemColumns
+      });
+      this.refreshedSnapshot = snapshotPOs(parsed);
+    } catch (error) {
+      this.log.warn(`⚠️  Could not read the POs downloaded again for the change report: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retry pass over the failed POs only: look each one up in the PO list again
+   * POs without a readable PO number can't be found again and stay failed
+   * @returns {string[]} Paths of the files downloaded in this pass
+   */
+  async retryFailedDownloads() {
+    const retryable = this.failedDownloads.filter(f => f.poNumber);
+    if (retryable.length === 0) {
+      this.log.info('\nℹ️  Failed rows have no PO number, nothing to retry');
+      return [];
+    }
+
+    this.log.info(`\n🔁 Retrying ${retryable.length} failed PO(s)...`);
+    const downloadedFiles = [];
+
+    for (const status of [...new Set(retryable.map(f => f.status))]) {
+      this.currentStatus = status;
+      this.log.setContext({ status });
+      const pending = new Map(retryable.filter(f => f.status === status).map(f => [f.poNumber, f]));
+
+      await this.navigateToPOList(status);
+      this.currentPage = 1;
+      this.log.setContext({ page: 1 });
+
+      while (pending.size > 0) {
+        const { rowSelector, rowCount } = await this.waitForTableRows();
+        if (rowCount === 0) break;
+
+        for (const [poNumber, failure] of pending) {
+          const row = this.locateRow(rowSelector, 0, poNumber);
+          if (await row.count() === 0) continue;
+
+          this.log.setContext({ po: poNumber });
+          this.log.info(`📥 Retrying ${poNumber} (page ${this.currentPage})...`);
+          const filepath = await this.downloadRowWithRetry(rowSelector, {
+            rowIndex: 0,
+            rowNumber: failure.rowIndex,
+            poNumber,
+            globalIndex: this.downloadedPOs.length + 1
+          });
+          pending.delete(poNumber);
+          this.failedDownloads.splice(this.failedDownloads.indexOf(failure), 1);
+
+          if (filepath) {
+            downloadedFiles.push(filepath);
+            this.downloadedPOs.push({ poNumber, status, filepath });
+            this.recordSeenPO({ poNumber, row: failure.rowIndex, downloadStatus: 'downloaded', filepath });
+            this.log.info(`✅ Downloaded: ${path.basename(filepath)}`);
+            await this.page.waitForTimeout(1500);
+          }
+        }
+
+        if (pending.size === 0 || !(await this.hasNextPage()) || !(await this.goToNextPage())) {
+          break;
+        }
+        this.currentPage++;
+        this.log.setContext({ page: this.currentPage });
+      }
+
+      for (const failure of pending.values()) {
+        failure.error = `Not found in the ${status} PO list on retry (${failure.error})`;
+      }
+    }
+
+    this.log.setContext({ po: undefined });
+    this.log.info(`🔁 Retry pass recovered ${downloadedFiles.length}/${retryable.length} PO(s)`);
+    return downloadedFiles;
+  }
+
+  /**
+   * Write the POs that could not be downloaded to a JSON report and list them
+   * They are not in the ledger, so the next incremental run picks them up again
+   * @returns {string} Path to the report
+   */
+  writeFailedDownloadsReport() {
+    const reportPath = path.join(this.downloadPath, generateMergedFilename('failed_downloads', '.json'));
+    fs.writeFileSync(reportPath, JSON.stringify({
+      createdAt: new Date().toISOString(),
+      count: this.failedDownloads.length,
+      failures: this.failedDownloads
+    }, null, 2));
+
+    this.log.error(`\n❌ ${this.failedDownloads.length} PO(s) could not be downloaded:`);
+    for (const { poNumber, status, page, rowIndex, error } of this.failedDownloads) {
+      this.log.info(`   • ${poNumber || 'unknown PO'} (${status}, page ${page}, row ${rowIndex}): ${error}`);
+    }
+    this.log.info(`📝 Failure report saved: ${reportPath}`);
+    return reportPath;
   }
 
   /**
    * Find all download buttons on the page
    */
   async findDownloadButtons() {
-    console.log('🔍 Searching for Download buttons...');
+    this.log.debug('🔍 Searching for Download buttons...');
 
     // Primary approach: Use Playwright locator for "Download" text buttons
     try {
@@ -720,12 +1184,12 @@ export class FlipkartDownloadPOTask extends BaseTask {
       const count = await downloadLocator.count();
 
       if (count > 0) {
-        console.log(`   Found ${count} Download button(s) via locator`);
+        this.log.debug(`   Found ${count} Download button(s) via locator`);
         const buttons = await downloadLocator.all();
         return buttons;
       }
     } catch (err) {
-      console.log('   Locator approach failed, trying fallback...');
+      this.log.debug('   Locator approach failed, trying fallback...');
     }
 
     // Fallback: Search all elements for "Download" text
@@ -739,7 +1203,7 @@ export class FlipkartDownloadPOTask extends BaseTask {
         }
       }
       if (buttons.length > 0) {
-        console.log(`   Found ${buttons.length} Download button(s) via element search`);
+        this.log.debug(`   Found ${buttons.length} Download button(s) via element search`);
       }
     } catch (err) {
       // Continue
@@ -793,56 +1257,298 @@ export class FlipkartDownloadPOTask extends BaseTask {
       }
 
       // Save to temp directory
-      const filepath = path.join(this.tempDir, filename);
+      const filepath = path.join(this.rawDir, filename);
       await download.saveAs(filepath);
 
       return filepath;
     } catch (error) {
       // If download event times out, the button might not trigger a download
-      console.log(`⚠️  Download ${index} did not trigger file download`);
+      this.log.warn(`⚠️  Download ${index} did not trigger file download`);
       return null;
     }
   }
 
   /**
-   * Flatten and combine all downloaded files into one
+   * Flatten and combine all downloaded files, written once per output format
+   * @returns {string[]} Paths to the combined files
    */
   async combineFiles(downloadedFiles) {
-    console.log('\n📊 Flattening and combining downloaded files...');
+    this.log.info('\n📊 Flattening and combining downloaded files...');
 
-    const outputFilename = generateMergedFilename('filflo_flipkart_po', '.xlsx');
-    const outputPath = path.join(this.downloadPath, outputFilename);
+    // Record the PO status of each file as a column in the output
+    const fileColumns = {};
+    for (const { status, filepath } of this.downloadedPOs) {
+      fileColumns[filepath] = { ...this.extraColumns, PO_Status: status };
+    }
 
-    // Use flattenAndMergePoFiles to handle PO-specific flattening
-    const combinedFile = flattenAndMergePoFiles(downloadedFiles, outputPath);
-    return combinedFile;
+    // Parse once with PO-specific flattening, then write every requested format
+    const parsed = parsePoFiles(downloadedFiles, {
+      fileColumns,
+      fieldMap: this.fieldMap,
+      reconcileTolerance: this.reconcileTolerance,
+      columnTypes: this.columnTypes,
+      lineItemColumns: this.lineItemColumns
+    });
+    this.reconciliation = parsed.reconciliation;
+    this.parsed = parsed;
+
+    const changes = this.compareWithPreviousRun();
+    const { formats, tallyProblems } = skipIncompleteTally(parsed, this.outputFormats, this.tallyMapping);
+    this.tallyProblems = tallyProblems;
+    this.outputFiles = writePoOutputs(parsed, this.outputBasePath, formats, {
+      csvBom: this.csvBom,
+      normalized: this.normalized,
+      tallyMapping: this.tallyMapping,
+      changes: changes ? changeReportRows(changes) : null
+    });
+    return this.outputFiles;
   }
 
   /**
-   * Cleanup temporary files
+   * Compare the POs of this run with the previous run's snapshot (once per run)
+   * POs already in the ledger are only checked for status moves and removals, unless
+   * refreshKnown downloaded them again (refreshKnownPO()) to compare their contents too.
+   * Lists are only checked for removed POs when they were read to the last page;
+   * runs stopped by --max-orders, a date filter or a failed page turn don't report removals.
+   * @returns {Object|null} comparePoSnapshots() result; null when off or on the first run
    */
-  cleanupTempFiles(files) {
-    console.log('\n🧹 Cleaning up temporary files...');
+  compareWithPreviousRun() {
+    if (!this.reportChanges || this.nextSnapshot) return this.changes;
+
+    const previous = loadPoSnapshot(this.snapshotPath);
+    const current = { ...this.refreshedSnapshot, ...snapshotPOs(this.parsed || { pos: [] }) };
+    const report = comparePoSnapshots(previous || {}, current, {
+      seen: this.seenPOs.map(({ poNumber, status }) => ({ poNumber, status })),
+      completeStatuses: this.completeStatuses
+    });
+
+    this.nextSnapshot = report.snapshot;
+    if (previous) {
+      const { snapshot, ...changes } = report;
+      this.changes = changes;
+    } else {
+      this.log.info(`🔀 No previous run to compare with, the next run will report changes against this one`);
+    }
+    return this.changes;
+  }
 
-    for (const file of files) {
+  /**
+   * Add the run's POs to the PO history database, if configured
+   * POs that were only seen in the list (already downloaded) get their status updated.
+   * A database error is logged, the output files are already written.
+   */
+  recordHistory() {
+    if (!this.databasePath) return;
+
+    let database = null;
+    try {
+      database = new PoDatabase(this.databasePath);
+      database.recordRun(this.parsed || { pos: [] }, {
+        source: 'download-po',
+        outputs: this.outputFiles,
+        seen: this.seenPOs.map(({ poNumber, status }) => ({ poNumber, status }))
+      });
+    } catch (error) {
+      this.log.warn(`⚠️  Could not update the PO history database: ${error.message}`);
+    } finally {
+      database?.close();
+    }
+  }
+
+  /**
+   * Record a PO row for the run manifest
+   * A later record for the same PO number and status (e.g. a successful retry) replaces the earlier one
+   * @param {Object} entry
+   * @param {string|null} entry.poNumber
+   * @param {number} entry.row - Data row number on the page (1-based)
+   * @param {'downloaded'|'skipped'|'filtered'|'failed'} entry.downloadStatus
+   * @param {string} [entry.filepath] - Downloaded raw file
+   * @param {string} [entry.reason] - Why the PO was skipped or filtered
+   * @param {string} [entry.error] - Why the download failed
+   */
+  recordSeenPO({ poNumber, row, downloadStatus, filepath = null, reason, error }) {
+    const entry = {
+      poNumber: poNumber || null,
+      status: this.currentStatus,
+      page: this.currentPage,
+      row,
+      downloadStatus,
+      file: filepath ? path.basename(filepath) : null,
+      sha256: filepath ? sha256File(filepath) : null,
+      ...(reason ? { reason } : {}),
+      ...(error ? { error } : {}),
+      filepath
+    };
+
+    const existing = poNumber
+      ? this.seenPOs.findIndex(seen => seen.poNumber === poNumber && seen.status === this.currentStatus)
+      : -1;
+    if (existing === -1) {
+      this.seenPOs.push(entry);
+    } else {
+      this.seenPOs[existing] = entry;
+    }
+    this.reportProgress();
+  }
+
+  /**
+   * Current progress of the run, for status displays
+   * @returns {Object} { phase, status, page, totalPOs, seen, downloaded, skipped, filtered, failed }
+   */
+  progressSnapshot() {
+    const count = downloadStatus => this.seenPOs.filter(po => po.downloadStatus === downloadStatus).length;
+    return {
+      phase: this.phase,
+      status: this.currentStatus,
+      page: this.currentPage,
+      totalPOs: this.totalPOCount || null,
+      seen: this.seenPOs.length,
+      downloaded: count('downloaded'),
+      skipped: count('skipped'),
+      filtered: count('filtered'),
+      failed: count('failed')
+    };
+  }
+
+  /**
+   * Counts and the change report for notifications
+   * @returns {Object} { downloaded, newPOs, skipped, filtered, failed, failedPOs, changes }
+   */
+  runSummary() {
+    const { downloaded, skipped, filtered, failed } = this.progressSnapshot();
+    return {
+      downloaded,
+      newPOs: this.downloadedPOs.filter(({ poNumber }) => poNumber && !this.knownPOs.has(poNumber)).length,
+      skipped,
+      filtered,
+      failed,
+      failedPOs: this.failedDownloads.map(({ poNumber }) => poNumber).filter(Boolean),
+      changes: this.changes ? formatChangeReport(this.changes) : null,
+      selectorFallbacks: this.selectors.fallbacks()
+    };
+  }
+
+  /**
+   * Pass the current progress to onProgress, if set
+   * @param {string} [phase] - New phase (downloading, retrying, merging, done, failed)
+   */
+  reportProgress(phase) {
+    if (phase) this.phase = phase;
+    if (!this.onProgress) return;
+
+    try {
+      this.onProgress(this.progressSnapshot());
+    } catch (error) {
+      // A broken listener must not stop the download
+      this.log.debug(`Progress listener failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the run manifest next to the combined output
+   * outcome is "complete" when every PO seen was downloaded, skipped or filtered,
+   * "incomplete" when some failed and "failed" when the run itself errored
+   * @param {Error|null} runError - Error that ended the run, if any
+   * @returns {string} Path to the manifest
+   */
+  writeManifest(runError = null) {
+    const finishedAt = new Date();
+    const parsed = this.parsed;
+
+    // Line item rows per raw file, from the combined parse
+    const lineItemsByFile = new Map((parsed?.pos || []).map(po => [po.file, po.lineItems.length]));
+    const pos = this.seenPOs.map(({ filepath, ...entry }) => ({
+      ...entry,
+      lineItems: entry.file && lineItemsByFile.has(entry.file) ? lineItemsByFile.get(entry.file) : null
+    }));
+
+    const count = downloadStatus => pos.filter(po => po.downloadStatus === downloadStatus).length;
+    const failed = count('failed');
+
+    return writeRunManifest(`${this.outputBasePath}.manifest.json`, {
+      outcome: runError ? 'failed' : failed > 0 ? 'incomplete' : 'complete',
+      ...(runError ? { error: runError.message } : {}),
+      startedAt: this.startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - this.startedAt,
+      timings: this.timings,
+      config: {
+        statuses: this.statuses,
+        fullDownload: this.fullDownload,
+        maxOrders: this.maxOrders,
+        dateFilter: describeDateFilter(this.dateFilter),
+        outputFormats: this.outputFormats,
+        normalized: this.normalized,
+        csvBom: this.csvBom,
+        typedValues: this.columnTypes !== false,
+        reconcileTolerance: this.reconcileTolerance,
+        downloadRetries: this.downloadRetries,
+        retryFailed: this.retryFailed,
+        extraColumns: this.extraColumns,
+        downloadPath: this.downloadPath,
+        ledgerPath: this.ledgerPath,
+        reportChanges: this.reportChanges,
+        archive: this.archive ? { keepDays: this.archiveKeepDays, keepRuns: this.archiveKeepRuns, zip: this.archiveZip } : false
+      },
+      // Where the raw files end up; the zip is created after the manifest when the caller finishes them
+      rawFiles: this.archive ? (this.archiveZip ? `${this.rawDir}.zip` : this.rawDir) : null,
+      outputs: this.outputFiles.map(file => path.basename(file)),
+      changes: this.changes,
+      selectors: this.selectors.report(),
+      summary: {
+        seen: pos.length,
+        downloaded: count('downloaded'),
+        skipped: count('skipped'),
+        filtered: count('filtered'),
+        failed,
+        lineItemRows: parsed ? parsed.rows.length : 0
+      },
+      pos,
+      warnings: parsed ? parsed.warnings : [],
+      typeFailures: parsed ? parsed.typeFailures : [],
+      unknownLineItemColumns: parsed ? parsed.unknownHeaders : [],
+      reconciliation: this.reconciliation,
+      tallyProblems: this.tallyProblems
+    });
+  }
+
+  /**
+   * Archive the raw PO files of this run (zipping and pruning the archive as
+   * configured), or delete them when archiving is off
+   */
+  finishRawFiles() {
+    if (!this.rawDir || this.archivedPath || !fs.existsSync(this.rawDir)) return;
+
+    if (!this.archive) {
+      this.log.info('\n🧹 Cleaning up temporary files...');
       try {
-        if (fs.existsSync(file)) {
-          fs.unlinkSync(file);
-        }
+        fs.rmSync(this.rawDir, { recursive: true, force: true });
       } catch (err) {
-        console.log(`⚠️  Could not delete temp file: ${path.basename(file)}`);
+        this.log.warn(`⚠️  Could not delete temp directory: ${this.rawDir}`);
       }
+      this.log.info('✅ Cleanup completed');
+      return;
     }
 
-    // Remove temp directory
     try {
-      if (fs.existsSync(this.tempDir)) {
-        fs.rmdirSync(this.tempDir);
+      if (fs.readdirSync(this.rawDir).length === 0) {
+        // Nothing downloaded, don't keep an empty run
+        fs.rmdirSync(this.rawDir);
+      } else if (this.archiveZip) {
+        this.archivedPath = zipRunArchive(this.rawDir);
+      } else {
+        this.archivedPath = this.rawDir;
+        this.log.info(`🗄️  Raw PO files archived: ${this.rawDir}`);
       }
+
+      pruneArchive(this.archivePath, {
+        keepDays: this.archiveKeepDays,
+        keepRuns: this.archiveKeepRuns,
+        currentRunId: this.runId
+      });
     } catch (err) {
-      // Directory not empty or other error - ignore
+      // The raw files are still in the run folder, nothing is lost
+      this.log.warn(`⚠️  Could not finish the PO archive: ${err.message}`);
     }
-
-    console.log('✅ Cleanup completed');
   }
 }
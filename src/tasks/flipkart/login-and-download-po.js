@@ -1,68 +1,272 @@
 /**
  * Flipkart Vendor Hub Login and Download PO Combined Task
  * Performs complete flow: Login -> Select FKI -> Download all POs -> Combine files
+ * for every configured account profile and company
  */
 
+import path from 'path';
 import { BaseTask } from '../../core/BaseTask.js';
 import { FlipkartLoginTask } from './login.js';
 import { FlipkartDownloadPOTask } from './download-po.js';
+import { config } from '../../config/index.js';
+import { toSlug } from '../../config/profiles.js';
+import { parsePoFiles, generateMergedFilename } from '../../utils/xls-merger.js';
+import { writePoOutputs, skipIncompleteTally } from '../../utils/output-writers.js';
+import { CHANGE_HEADERS, changeReportRows } from '../../utils/po-changes.js';
 
 export class FlipkartLoginAndDownloadPOTask extends BaseTask {
   constructor(taskConfig) {
     super(taskConfig);
-    this.flipkartEmail = taskConfig.flipkartEmail;
-    this.flipkartPassword = taskConfig.flipkartPassword;
-    this.companyName = taskConfig.companyName || '';
+    this.sessionPath = taskConfig.sessionPath || '';
+    // Accounts to process (see config/profiles.js); defaults to a single login
+    this.profiles = taskConfig.profiles || [{
+      name: 'default',
+      email: taskConfig.flipkartEmail,
+      password: taskConfig.flipkartPassword,
+      sessionPath: this.sessionPath,
+      companies: [taskConfig.companyName || '']
+    }];
+    this.baseUrl = taskConfig.baseUrl || config.flipkart.baseUrl; // Vendor Hub address (VENDOR_HUB_URL)
     this.downloadPath = taskConfig.downloadPath || './downloads/flipkart';
     this.maxOrders = taskConfig.maxOrders || 0; // 0 = all orders
+    this.ledgerPath = taskConfig.ledgerPath;
+    this.fullDownload = taskConfig.fullDownload || false;
+    this.statuses = taskConfig.statuses;
+    this.dateFilter = taskConfig.dateFilter || null;
+    this.outputFormats = taskConfig.outputFormats;
+    this.csvBom = taskConfig.csvBom || false;
+    this.normalized = taskConfig.normalized || false;
+    this.fieldMap = taskConfig.fieldMap;
+    this.reconcileTolerance = taskConfig.reconcileTolerance;
+    this.columnTypes = taskConfig.columnTypes;
+    this.lineItemColumns = taskConfig.lineItemColumns;
+    this.tallyMapping = taskConfig.tallyMapping;
+    this.databasePath = taskConfig.databasePath;
+    this.reportChanges = taskConfig.reportChanges;
+    this.refreshKnown = taskConfig.refreshKnown;
+    this.downloadRetries = taskConfig.downloadRetries;
+    this.downloadRetryDelayMs = taskConfig.downloadRetryDelayMs;
+    this.retryFailed = taskConfig.retryFailed;
+    this.archive = taskConfig.archive;
+    this.archivePath = taskConfig.archivePath;
+    this.archiveZip = taskConfig.archiveZip;
+    this.archiveKeepDays = taskConfig.archiveKeepDays;
+    this.archiveKeepRuns = taskConfig.archiveKeepRuns;
+    this.onProgress = taskConfig.onProgress || null; // called with { phase, profile, company, ...download progress }
+    this.outputFiles = []; // combined files written by this run
+    this.manifestPaths = [];
+    this.companyRuns = []; // { company, downloadTask }
   }
 
   /**
    * Main combined flow
+   * Runs login + download for every profile and company; with more than one
+   * company, each gets its own output and a combined file with a Company column
+   * is written as well.
    */
   async run() {
-    console.log('\n' + '='.repeat(60));
-    console.log('🚀 FLIPKART LOGIN AND DOWNLOAD PO');
-    console.log('='.repeat(60));
-    console.log(`📧 Email: ${this.flipkartEmail}`);
-    console.log(`📁 Download Path: ${this.downloadPath}`);
-    console.log('='.repeat(60) + '\n');
-
-    // ========== PHASE 1: LOGIN ==========
-    console.log('\n📌 PHASE 1: LOGIN\n');
-
-    this.loginTask = new FlipkartLoginTask({
-      flipkartEmail: this.flipkartEmail,
-      flipkartPassword: this.flipkartPassword,
-      companyName: this.companyName
-    });
+    const multiCompany = this.profiles.reduce((count, profile) => count + profile.companies.length, 0) > 1;
+
+    this.log.info('\n' + '='.repeat(60));
+    this.log.info('🚀 FLIPKART LOGIN AND DOWNLOAD PO');
+    this.log.info('='.repeat(60));
+    for (const profile of this.profiles) {
+      this.log.info(`📧 ${profile.name}: ${profile.email} (${profile.companies.filter(Boolean).join(', ') || 'default company'})`);
+    }
+    this.log.info(`📁 Download Path: ${this.downloadPath}`);
+    this.log.info('='.repeat(60) + '\n');
+
+    for (const [index, profile] of this.profiles.entries()) {
+      // Each account needs its own cookies; the first one uses the context from initialize()
+      if (index > 0 || profile.sessionPath !== this.sessionPath) {
+        await this.newContext(profile.sessionPath);
+      }
+
+      // ========== PHASE 1: LOGIN ==========
+      this.log.info(`\n📌 PHASE 1: LOGIN (${profile.name})\n`);
+      this.onProgress?.({ phase: 'login', profile: profile.name });
+
+      const loginTask = new FlipkartLoginTask({
+        flipkartEmail: profile.email,
+        flipkartPassword: profile.password,
+        companyName: profile.companies[0],
+        sessionPath: profile.sessionPath,
+        baseUrl: this.baseUrl,
+        selectorRegistry: this.selectors,
+        headless: this.isHeadless()
+      });
+
+      // Share browser context with login task
+      loginTask.setBrowserContext(this.browser, this.context, this.page);
+
+      // Run login
+      await loginTask.run();
 
-    // Share browser context with login task
-    this.loginTask.setBrowserContext(this.browser, this.context, this.page);
+      this.log.info('\n✅ Phase 1 completed: Logged in successfully');
 
-    // Run login
-    await this.loginTask.run();
+      for (const company of profile.companies) {
+        // Companies sharing a login only need the FKI -> company -> Next flow again
+        if (company && loginTask.selectedCompany !== company) {
+          await loginTask.switchCompany(company);
+        }
 
-    console.log('\n✅ Phase 1 completed: Logged in successfully');
+        // ========== PHASE 2: DOWNLOAD POs ==========
+        this.log.info(`\n📌 PHASE 2: DOWNLOAD AND COMBINE POs${company ? ` (${company})` : ''}\n`);
 
-    // ========== PHASE 2: DOWNLOAD POs ==========
-    console.log('\n📌 PHASE 2: DOWNLOAD AND COMBINE POs\n');
+        // A profile without companies is labelled by its name
+        const label = company || profile.name;
+        await this.downloadCompany(label, multiCompany, profile.name);
 
+        this.log.info('\n✅ Phase 2 completed: POs downloaded and combined');
+      }
+    }
+
+    if (multiCompany) {
+      this.combineCompanies(this.companyRuns);
+    }
+
+    const fallbacks = this.selectors.fallbacks();
+    if (fallbacks.length > 0) {
+      this.log.warn(`\n⚠️  ${fallbacks.length} page element(s) were only found through fallback selectors:`);
+      fallbacks.forEach(fallback => this.log.warn(`   • ${fallback}`));
+    }
+
+    this.log.info('\n' + '='.repeat(60));
+    this.log.info('✅ FLIPKART LOGIN AND DOWNLOAD PO COMPLETED');
+    this.log.info('='.repeat(60) + '\n');
+  }
+
+  /**
+   * Download the POs of the currently selected company
+   * @param {string} company - Company name, used for the output folder and Company column
+   * @param {boolean} multiCompany - Whether several companies are processed in this run
+   * @param {string} [profileName] - Profile the company belongs to, for progress reports
+   * @returns {FlipkartDownloadPOTask} The finished download task
+   */
+  async downloadCompany(company, multiCompany, profileName) {
     const downloadTask = new FlipkartDownloadPOTask({
-      downloadPath: this.downloadPath,
-      maxOrders: this.maxOrders
+      // Per-company output goes to its own folder; the ledger stays shared
+      downloadPath: multiCompany ? path.join(this.downloadPath, toSlug(company)) : this.downloadPath,
+      baseUrl: this.baseUrl,
+      selectorRegistry: this.selectors,
+      maxOrders: this.maxOrders,
+      ledgerPath: this.ledgerPath || path.join(this.downloadPath, 'po-ledger.json'),
+      fullDownload: this.fullDownload,
+      statuses: this.statuses,
+      dateFilter: this.dateFilter,
+      outputFormats: this.outputFormats,
+      csvBom: this.csvBom,
+      normalized: this.normalized,
+      fieldMap: this.fieldMap,
+      reconcileTolerance: this.reconcileTolerance,
+      columnTypes: this.columnTypes,
+      lineItemColumns: this.lineItemColumns,
+      tallyMapping: this.tallyMapping,
+      databasePath: this.databasePath,
+      reportChanges: this.reportChanges,
+      refreshKnown: this.refreshKnown,
+      downloadRetries: this.downloadRetries,
+      downloadRetryDelayMs: this.downloadRetryDelayMs,
+      retryFailed: this.retryFailed,
+      extraColumns: multiCompany ? { Company: company } : {},
+      archive: this.archive,
+      archivePath: this.archivePath,
+      archiveZip: this.archiveZip,
+      archiveKeepDays: this.archiveKeepDays,
+      archiveKeepRuns: this.archiveKeepRuns,
+      keepRawFiles: multiCompany,
+      onProgress: this.onProgress && (progress => this.onProgress({ profile: profileName, company, ...progress }))
     });
 
     // Share browser context with download task
     downloadTask.setBrowserContext(this.browser, this.context, this.page);
+    this.companyRuns.push({ company, downloadTask });
+    if (multiCompany) {
+      downloadTask.log.setContext({ company });
+    }
+
+    // Run download (the manifest is written even when it fails)
+    try {
+      await downloadTask.run();
+    } finally {
+      if (downloadTask.manifestPath) {
+        this.manifestPaths.push(downloadTask.manifestPath);
+      }
+    }
+    this.outputFiles.push(...downloadTask.outputFiles);
+
+    return downloadTask;
+  }
+
+  /**
+   * Totals over all companies for notifications, with a per-company breakdown
+   * @returns {Object}
+   */
+  getSummary() {
+    const companies = this.companyRuns.map(({ company, downloadTask }) => ({ company, ...downloadTask.runSummary() }));
+    const total = key => companies.reduce((sum, company) => sum + company[key], 0);
+
+    return {
+      downloaded: total('downloaded'),
+      newPOs: total('newPOs'),
+      skipped: total('skipped'),
+      filtered: total('filtered'),
+      failed: total('failed'),
+      failedPOs: companies.flatMap(company => company.failedPOs),
+      changes: companies.filter(company => company.changes)
+        .map(company => (companies.length > 1 ? `${company.company}: ${company.changes}` : company.changes))
+        .join('\n\n') || null,
+      selectorFallbacks: this.selectors.fallbacks(),
+      ...(companies.length > 1 ? { companies } : {}),
+      outputs: this.outputFiles,
+      manifests: this.manifestPaths
+    };
+  }
+
+  /**
+   * Write one file with the POs of all companies, with a Company column
+   * @param {Object[]} companyRuns - { company, downloadTask } per company
+   */
+  combineCompanies(companyRuns) {
+    const fileColumns = {};
+    for (const { company, downloadTask } of companyRuns) {
+      for (const { status, filepath } of downloadTask.downloadedPOs) {
+        fileColumns[filepath] = { Company: company, PO_Status: status };
+      }
+    }
+
+    const files = Object.keys(fileColumns);
+    if (files.length > 0) {
+      this.log.info(`\n📊 Combining ${files.length} PO file(s) from ${companyRuns.length} companies...`);
 
-    // Run download
-    await downloadTask.run();
+      const prefix = this.fullDownload ? 'filflo_flipkart_po_all_companies' : 'filflo_flipkart_new_po_all_companies';
+      const parsed = parsePoFiles(files, {
+        fileColumns,
+        fieldMap: this.fieldMap,
+        reconcileTolerance: this.reconcileTolerance,
+        columnTypes: this.columnTypes,
+        lineItemColumns: this.lineItemColumns
+      });
+      // Each company is compared with its own previous run; the combined sheet lists them all
+      const changeRuns = companyRuns.filter(({ downloadTask }) => downloadTask.changes);
+      const changes = changeRuns.length > 0
+        ? [['Company', ...CHANGE_HEADERS], ...changeRuns.flatMap(({ company, downloadTask }) => changeReportRows(downloadTask.changes).slice(1).map(row => [company, ...row]))]
+        : null;
 
-    console.log('\n✅ Phase 2 completed: POs downloaded and combined');
+      const { formats } = skipIncompleteTally(parsed, this.outputFormats, this.tallyMapping);
+      const combinedFiles = writePoOutputs(parsed, path.join(this.downloadPath, generateMergedFilename(prefix, '')), formats, {
+        csvBom: this.csvBom,
+        normalized: this.normalized,
+        tallyMapping: this.tallyMapping,
+        changes
+      });
+      this.outputFiles.push(...combinedFiles);
+    } else {
+      this.log.info('\nℹ️  No new POs for any company, skipping the combined file');
+    }
 
-    console.log('\n' + '='.repeat(60));
-    console.log('✅ FLIPKART LOGIN AND DOWNLOAD PO COMPLETED');
-    console.log('='.repeat(60) + '\n');
+    for (const { downloadTask } of companyRuns) {
+      downloadTask.finishRawFiles();
+    }
   }
 }
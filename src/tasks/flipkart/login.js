@@ -4,6 +4,7 @@
  * After login, selects FKI account
  */
 
+import fs from 'fs';
 import { BaseTask } from '../../core/BaseTask.js';
 import { config } from '../../config/index.js';
 
@@ -13,13 +14,33 @@ export class FlipkartLoginTask extends BaseTask {
     this.flipkartEmail = taskConfig.flipkartEmail;
     this.flipkartPassword = taskConfig.flipkartPassword;
     this.companyName = taskConfig.companyName || '';
+    this.sessionPath = taskConfig.sessionPath || '';
+    this.baseUrl = taskConfig.baseUrl || config.flipkart.baseUrl;
+    this.selectedCompany = null; // company the session is on, once known
   }
 
   /**
    * Main login flow
    */
   async run() {
-    console.log('\n📋 Starting Flipkart Vendor Hub Login...\n');
+    this.log.info('\n📋 Starting Flipkart Vendor Hub Login...\n');
+
+    // Step 0: Reuse the saved session if it is still valid
+    if (this.sessionPath && fs.existsSync(this.sessionPath)) {
+      if (await this.isSessionValid()) {
+        this.log.info('\n✅ Saved session is still valid, skipping login\n');
+        // The company the session is on may have changed since it was saved
+        // (other COMPANY_NAME or profile, choice kept on the server), so callers select it again
+        this.selectedCompany = null;
+        return;
+      }
+
+      this.log.warn('⚠️  Saved session has expired');
+      if (this.isHeadless()) {
+        throw new Error('Saved session has expired and CAPTCHA cannot be solved in headless mode. Run once with --no-headless to log in again.');
+      }
+      this.log.info('   Falling back to interactive login...');
+    }
 
     // Step 1: Navigate to login page
     await this.navigateToLoginPage();
@@ -36,19 +57,43 @@ export class FlipkartLoginTask extends BaseTask {
     // Step 5: Select FKI + Company
     await this.selectFKI();
 
-    console.log('\n✅ Flipkart login completed successfully!\n');
+    // Step 6: Persist the authenticated session for later runs
+    if (this.sessionPath) {
+      await this.saveStorageState(this.sessionPath);
+    }
+
+    this.log.info('\n✅ Flipkart login completed successfully!\n');
+  }
+
+  /**
+   * Check whether the restored session is still logged in
+   * An expired session is redirected back to the login page
+   * @returns {boolean} True if the session is authenticated
+   */
+  async isSessionValid() {
+    this.log.info('🔍 Checking saved session...');
+    await this.navigateTo(`${this.baseUrl}/#/operations/po/list?status=open`);
+    await this.page.waitForTimeout(5000);
+
+    if (this.page.url().includes('/welcome/login')) {
+      return false;
+    }
+
+    const passwordVisible = await this.page.locator('input[type="password"]').first()
+      .isVisible({ timeout: 2000 }).catch(() => false);
+    return !passwordVisible;
   }
 
   /**
    * Wait for user to solve CAPTCHA and click submit manually
    */
   async waitForUserLogin() {
-    console.log('\n' + '='.repeat(50));
-    console.log('👆 MANUAL ACTION REQUIRED:');
-    console.log('   1. Solve the reCAPTCHA');
-    console.log('   2. Click the Sign In button');
-    console.log('='.repeat(50));
-    console.log('⏳ Waiting for you to complete login...\n');
+    this.log.info('\n' + '='.repeat(50));
+    this.log.info('👆 MANUAL ACTION REQUIRED:');
+    this.log.info('   1. Solve the reCAPTCHA');
+    this.log.info('   2. Click the Sign In button');
+    this.log.info('='.repeat(50));
+    this.log.info('⏳ Waiting for you to complete login...\n');
 
     // Wait for the URL to change from login page (indicating successful login)
     // or wait for the FKI/company selection screen to appear
@@ -57,9 +102,9 @@ export class FlipkartLoginTask extends BaseTask {
         () => !window.location.href.includes('/welcome/login'),
         { timeout: 300000 } // Wait up to 5 minutes for user to complete login
       );
-      console.log('✅ Login detected! Taking over...');
+      this.log.info('✅ Login detected! Taking over...');
     } catch (err) {
-      console.log('⚠️  Login timeout - checking if already logged in...');
+      this.log.warn('⚠️  Login timeout - checking if already logged in...');
     }
 
     // Give the page time to fully load after login
@@ -70,72 +115,56 @@ export class FlipkartLoginTask extends BaseTask {
    * Navigate to Flipkart Vendor Hub login page
    */
   async navigateToLoginPage() {
-    console.log('🌐 Navigating to Flipkart Vendor Hub login page...');
-    await this.navigateTo('https://vendorhub.flipkart.com/#/welcome/login');
+    this.log.info('🌐 Navigating to Flipkart Vendor Hub login page...');
+    await this.navigateTo(`${this.baseUrl}/#/welcome/login`);
     await this.page.waitForTimeout(2000);
-    console.log('✅ Login page loaded');
+    this.log.info('✅ Login page loaded');
   }
 
   /**
    * Enter email address
    */
   async enterEmail() {
-    console.log('📧 Looking for email field...');
-
-    const emailSelectors = [
-      'input[type="email"]',
-      'input[name="email"]',
-      'input[placeholder*="email" i]',
-      'input[id*="email" i]',
-      'input[placeholder*="Email" i]',
-      'input[type="text"]'
-    ];
-
-    const emailSelector = await this.waitForElement(emailSelectors, 15000);
-    console.log('⌨️  Entering email address...');
+    this.log.debug('📧 Looking for email field...');
+
+    const emailSelector = await this.waitForSelectorKey('login.email', 15000);
+    this.log.info('⌨️  Entering email address...');
     await this.typeIntoField(emailSelector, this.flipkartEmail);
-    console.log('✅ Email entered');
+    this.log.info('✅ Email entered');
   }
 
   /**
    * Enter password
    */
   async enterPassword() {
-    console.log('🔐 Looking for password field...');
-
-    const passwordSelectors = [
-      'input[type="password"]',
-      'input[name="password"]',
-      'input[placeholder*="password" i]',
-      'input[id*="password" i]'
-    ];
+    this.log.debug('🔐 Looking for password field...');
 
-    const passwordSelector = await this.waitForElement(passwordSelectors, 10000);
-    console.log('⌨️  Entering password...');
+    const passwordSelector = await this.waitForSelectorKey('login.password', 10000);
+    this.log.info('⌨️  Entering password...');
 
     // Use fill() instead of type() for passwords with special characters
     await this.page.click(passwordSelector);
     await this.page.fill(passwordSelector, this.flipkartPassword);
 
-    console.log('✅ Password entered');
+    this.log.info('✅ Password entered');
   }
 
   /**
    * Click the login button
    */
   async clickLoginButton() {
-    console.log('🔍 Looking for login button...');
+    this.log.debug('🔍 Looking for login button...');
 
     // Try multiple approaches to find and click the login button
     const buttonFound = await this.tryClickLoginButton();
 
     if (!buttonFound) {
       // Fallback: Press Enter
-      console.log('⚠️  Login button not found, pressing Enter...');
+      this.log.warn('⚠️  Login button not found, pressing Enter...');
       await this.page.keyboard.press('Enter');
     }
 
-    console.log('✅ Login submitted');
+    this.log.info('✅ Login submitted');
     await this.page.waitForTimeout(3000);
   }
 
@@ -143,42 +172,22 @@ export class FlipkartLoginTask extends BaseTask {
    * Try various methods to click the login button
    */
   async tryClickLoginButton() {
-    // Approach 1: Try text-based locators
-    const buttonTexts = ['Login', 'Log In', 'Sign In', 'Submit'];
-    for (const text of buttonTexts) {
-      try {
-        const button = this.page.locator(`button:has-text("${text}")`).first();
-        const isVisible = await button.isVisible({ timeout: 2000 }).catch(() => false);
-        if (isVisible) {
-          await button.click();
-          console.log(`✅ Clicked "${text}" button`);
-          return true;
-        }
-      } catch (err) {
-        continue;
-      }
+    // Approach 1: Selector registry (button texts, then the submit button)
+    const button = await this.findVisible('login.submit', { timeout: 2000 });
+    if (button) {
+      await button.locator.click();
+      this.log.info(`✅ Clicked login button (${button.name})`);
+      return true;
     }
 
-    // Approach 2: Try submit button
-    try {
-      const submitButton = await this.page.$('button[type="submit"]');
-      if (submitButton) {
-        await submitButton.click();
-        console.log('✅ Clicked submit button');
-        return true;
-      }
-    } catch (err) {
-      // Continue to next approach
-    }
-
-    // Approach 3: Try any button with login-related class
+    // Approach 2: Try any button with login-related text
     try {
       const buttons = await this.page.$$('button');
       for (const button of buttons) {
         const text = await button.textContent();
         if (text && (text.toLowerCase().includes('login') || text.toLowerCase().includes('sign in'))) {
           await button.click();
-          console.log('✅ Clicked login button');
+          this.log.info('✅ Clicked login button');
           return true;
         }
       }
@@ -194,16 +203,16 @@ export class FlipkartLoginTask extends BaseTask {
    * Flow: Click FKI -> Click Next -> Select Company -> Click Next
    */
   async selectFKI() {
-    console.log('🏢 Waiting for account selection screen...');
+    this.log.info('🏢 Waiting for account selection screen...');
     await this.page.waitForTimeout(3000);
 
     if (!this.companyName) {
-      console.log('⚠️  No company name configured, skipping company selection...');
+      this.log.warn('⚠️  No company name configured, skipping company selection...');
       return;
     }
 
     // Step 1: Click FKI first (required step)
-    console.log('🔍 Looking for FKI...');
+    this.log.debug('🔍 Looking for FKI...');
     let fkiClicked = false;
 
     try {
@@ -212,7 +221,7 @@ export class FlipkartLoginTask extends BaseTask {
 
       if (isVisible) {
         await fkiElement.click();
-        console.log('✅ Clicked FKI');
+        this.log.info('✅ Clicked FKI');
         fkiClicked = true;
       }
     } catch (err) {
@@ -220,7 +229,7 @@ export class FlipkartLoginTask extends BaseTask {
     }
 
     if (!fkiClicked) {
-      console.log('⚠️  FKI not found - continuing without FKI step...');
+      this.log.warn('⚠️  FKI not found - continuing without FKI step...');
     }
 
     // Step 2: Click Next button after FKI selection
@@ -231,7 +240,7 @@ export class FlipkartLoginTask extends BaseTask {
     }
 
     // Step 3: Select the company
-    console.log(`🔍 Looking for ${this.companyName}...`);
+    this.log.debug(`🔍 Looking for ${this.companyName}...`);
     let companyClicked = false;
 
     // Try exact match first
@@ -241,7 +250,7 @@ export class FlipkartLoginTask extends BaseTask {
 
       if (isVisible) {
         await companyElement.click();
-        console.log(`✅ Selected: ${this.companyName}`);
+        this.log.info(`✅ Selected: ${this.companyName}`);
         companyClicked = true;
       }
     } catch (err) {
@@ -257,18 +266,20 @@ export class FlipkartLoginTask extends BaseTask {
           const text = await element.textContent();
           if (text && text.toUpperCase().includes(searchTerm)) {
             await element.click();
-            console.log('✅ Selected company (via element search)');
+            this.log.info('✅ Selected company (via element search)');
             companyClicked = true;
             break;
           }
         }
       } catch (err) {
-        console.log('⚠️  Could not find company');
+        this.log.warn('⚠️  Could not find company');
       }
     }
 
-    if (!companyClicked) {
-      console.log('⚠️  Company not found - manual selection may be required');
+    if (companyClicked) {
+      this.selectedCompany = this.companyName;
+    } else {
+      this.log.warn('⚠️  Company not found - manual selection may be required');
     }
 
     // Step 4: Click Next button after company selection
@@ -279,18 +290,61 @@ export class FlipkartLoginTask extends BaseTask {
     await this.page.waitForTimeout(3000);
   }
 
+  /**
+   * Switch the logged-in session to another company of the same account
+   * Opens the account selection screen again and runs the FKI -> company -> Next flow
+   * @param {string} companyName - Company to select
+   */
+  async switchCompany(companyName) {
+    this.log.info(`\n🔀 Switching company to ${companyName}...`);
+    this.companyName = companyName;
+    this.selectedCompany = null;
+
+    await this.navigateTo(`${this.baseUrl}/#/`);
+    await this.page.waitForTimeout(3000);
+
+    // The selection screen may already be showing; otherwise open it from the account menu
+    const fkiVisible = await this.page.locator('text="FKI"').first()
+      .isVisible({ timeout: 3000 }).catch(() => false);
+
+    if (!fkiVisible) {
+      const switchTexts = ['Switch Account', 'Change Account', 'Switch Company', 'Change Company'];
+      let opened = false;
+      for (const text of switchTexts) {
+        const switcher = this.page.locator(`text="${text}"`).first();
+        const isVisible = await switcher.isVisible({ timeout: 2000 }).catch(() => false);
+        if (isVisible) {
+          await switcher.click();
+          this.log.info(`✅ Clicked "${text}"`);
+          opened = true;
+          break;
+        }
+      }
+      if (!opened) {
+        this.log.warn('⚠️  Account switcher not found - trying company selection anyway');
+      }
+    }
+
+    await this.selectFKI();
+
+    if (this.selectedCompany !== companyName) {
+      throw new Error(`Could not switch to company "${companyName}"`);
+    }
+    this.log.info(`✅ Switched to ${companyName}`);
+  }
+
   /**
    * Click Next/Continue button if present
    */
   async clickNextButton() {
-    console.log('🔍 Looking for Next button...');
+    this.log.debug('🔍 Looking for Next button...');
     try {
       const nextButton = this.page.locator('button:has-text("Next"), a:has-text("Next"), button:has-text("Continue"), text="Next"').first();
       const isVisible = await nextButton.isVisible({ timeout: 3000 }).catch(() => false);
 
       if (isVisible) {
         await nextButton.click();
-        console.log('✅ Clicked Next');
+        this.log.info('✅ Clicked Next');
       } else {
         // Try fallback
         const buttons = await this.page.$$('button, a');
@@ -298,13 +352,13 @@ export class FlipkartLoginTask extends BaseTask {
           const text = await btn.textContent();
           if (text && (text.trim().toLowerCase() === 'next' || text.trim().toLowerCase() === 'continue')) {
             await btn.click();
-            console.log('✅ Clicked Next (via search)');
+            this.log.info('✅ Clicked Next (via search)');
             break;
           }
         }
       }
     } catch (err) {
-      console.log('⚠️  Next button not found');
+      this.log.warn('⚠️  Next button not found');
     }
   }
 }
@@ -0,0 +1,192 @@
+/**
+ * Date Utilities
+ * Parses the date formats found in Flipkart Vendor Hub pages and PO files
+ * and filters POs by order date / expiry date
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Excel serial day 0 (1899-12-30, accounting for the 1900 leap year bug)
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+
+/**
+ * Build a UTC date and reject impossible values (e.g. 31-02-2024)
+ * @returns {Date|null}
+ */
+function buildDate(year, month, day) {
+  if (year < 100) year += 2000;
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date;
+}
+
+/**
+ * Convert a month name ("Jan", "January") to its number (1-12)
+ * @returns {number} Month number or 0 if unknown
+ */
+function monthFromName(name) {
+  return MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+}
+
+/**
+ * Parse a date in any of the formats Flipkart uses
+ * Supported: Excel serials, Date objects, 2024-01-05, 05-01-2024, 05/01/24,
+ * 05 Jan 2024, 5-Jan-24, Jan 05, 2024 (optionally followed by a time)
+ * Numeric dates are read day-first (Indian format)
+ * @param {*} value - Raw cell or text value
+ * @returns {Date|null} Date at UTC midnight, or null if not a date
+ */
+export function parseFlipkartDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (value instanceof Date) {
+    return isNaN(value.getTime())
+      ? null
+      : new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  }
+
+  if (typeof value === 'number') {
+    // Plausible Excel serials only (1954 - 2118)
+    if (value < 20000 || value > 80000) return null;
+    return new Date(EXCEL_EPOCH_MS + Math.floor(value) * DAY_MS);
+  }
+
+  const text = String(value).trim();
+  let match;
+
+  if (/^\d{5}(\.\d+)?$/.test(text)) {
+    return parseFlipkartDate(parseFloat(text));
+  }
+
+  // 2024-01-05 / 2024/01/05
+  match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s]|$)/);
+  if (match) return buildDate(+match[1], +match[2], +match[3]);
+
+  // 05-01-2024 / 05/01/24 / 05.01.2024
+  match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})(?:\s|$)/);
+  if (match) return buildDate(+match[3], +match[2], +match[1]);
+
+  // 05 Jan 2024 / 5-Jan-24 / 05 January, 2024
+  match = text.match(/^(\d{1,2})[\s-]([A-Za-z]{3,9})[\s,-]+(\d{2}|\d{4})(?:\s|$)/);
+  if (match && monthFromName(match[2])) return buildDate(+match[3], monthFromName(match[2]), +match[1]);
+
+  // Jan 05, 2024 / January 5 2024
+  match = text.match(/^([A-Za-z]{3,9})\s+(\d{1,2}),?\s+(\d{4})(?:\s|$)/);
+  if (match && monthFromName(match[1])) return buildDate(+match[3], monthFromName(match[1]), +match[2]);
+
+  return null;
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatDate(date) {
+  return date ? date.toISOString().slice(0, 10) : '';
+}
+
+/**
+ * Today's date at UTC midnight
+ * @returns {Date}
+ */
+export function today() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+}
+
+/**
+ * Create a PO date filter from CLI options
+ * @param {Object} options
+ * @param {string} [options.from] - Earliest order date (inclusive)
+ * @param {string} [options.to] - Latest order date (inclusive)
+ * @param {number} [options.expiringWithinDays] - Only POs expiring between today and today + N days
+ * @returns {Object|null} Filter, or null if no option was given
+ */
+export function createDateFilter({ from, to, expiringWithinDays } = {}) {
+  if (!from && !to && (expiringWithinDays === undefined || expiringWithinDays === null)) {
+    return null;
+  }
+
+  const filter = { from: null, to: null, expiryFrom: null, expiryTo: null };
+
+  if (from) {
+    filter.from = parseFlipkartDate(from);
+    if (!filter.from) throw new Error(`Invalid --from date: ${from}`);
+  }
+
+  if (to) {
+    filter.to = parseFlipkartDate(to);
+    if (!filter.to) throw new Error(`Invalid --to date: ${to}`);
+  }
+
+  if (filter.from && filter.to && filter.from > filter.to) {
+    throw new Error(`--from (${from}) is after --to (${to})`);
+  }
+
+  if (expiringWithinDays !== undefined && expiringWithinDays !== null) {
+    if (isNaN(expiringWithinDays) || expiringWithinDays < 0) {
+      throw new Error(`Invalid --expiring-within value: ${expiringWithinDays}`);
+    }
+    filter.expiryFrom = today();
+    filter.expiryTo = new Date(filter.expiryFrom.getTime() + expiringWithinDays * DAY_MS);
+  }
+
+  return filter;
+}
+
+/**
+ * Describe a date filter for logging
+ * @param {Object|null} filter
+ * @returns {string}
+ */
+export function describeDateFilter(filter) {
+  if (!filter) return 'none';
+
+  const parts = [];
+  if (filter.from || filter.to) {
+    parts.push(`ordered ${formatDate(filter.from) || '…'} to ${formatDate(filter.to) || '…'}`);
+  }
+  if (filter.expiryTo) {
+    parts.push(`expiring by ${formatDate(filter.expiryTo)}`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Compare an order date with the filter's order date range
+ * @param {Object|null} filter
+ * @param {Date|null} orderDate
+ * @returns {'before'|'after'|'in'|'unknown'} Position relative to the range
+ */
+export function compareOrderDate(filter, orderDate) {
+  if (!filter || (!filter.from && !filter.to)) return 'in';
+  if (!orderDate) return 'unknown';
+  if (filter.from && orderDate < filter.from) return 'before';
+  if (filter.to && orderDate > filter.to) return 'after';
+  return 'in';
+}
+
+/**
+ * Check PO dates against the filter
+ * Unknown dates pass, so a PO is never dropped just because a date could not be read
+ * @param {Object|null} filter
+ * @param {{ orderDate: *, poExpiry: * }} dates - Raw or parsed dates
+ * @returns {boolean} True if the PO should be kept
+ */
+export function matchesDateFilter(filter, { orderDate, poExpiry }) {
+  if (!filter) return true;
+
+  const position = compareOrderDate(filter, parseFlipkartDate(orderDate));
+  if (position === 'before' || position === 'after') return false;
+
+  const expiry = parseFlipkartDate(poExpiry);
+  if (filter.expiryTo && expiry && (expiry < filter.expiryFrom || expiry > filter.expiryTo)) {
+    return false;
+  }
+
+  return true;
+}
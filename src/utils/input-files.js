@@ -0,0 +1,133 @@
+/**
+ * Input Files Utility
+ * Resolves files, directories and glob patterns given on the command line to
+ * a list of PO workbooks
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { createLogger } from './logger.js';
+
+const log = createLogger({ module: 'input-files' });
+
+export const PO_FILE_EXTENSIONS = ['.xls', '.xlsx'];
+
+/**
+ * Whether a path contains glob wildcards
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function hasWildcard(pattern) {
+  return /[*?]/.test(pattern);
+}
+
+/**
+ * Convert a glob pattern to a regular expression
+ * Supports * (within a directory), ** (any number of directories) and ?
+ * @param {string} glob - Pattern using "/" as separator
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      i++;
+      if (glob[i + 1] === '/') {
+        i++;
+        source += '(?:.*/)?';
+      } else {
+        source += '.*';
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * List files in a directory as "/" separated paths relative to it
+ * @param {string} dir
+ * @param {boolean} recursive - Include subdirectories
+ * @returns {string[]}
+ */
+function listFiles(dir, recursive) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      if (recursive) {
+        files.push(...listFiles(path.join(dir, entry.name), true).map(file => `${entry.name}/${file}`));
+      }
+    } else if (entry.isFile()) {
+      files.push(entry.name);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Whether a file looks like a PO workbook (skips Excel's "~$" lock files)
+ * @param {string} file
+ * @returns {boolean}
+ */
+function isPoWorkbook(file) {
+  return PO_FILE_EXTENSIONS.includes(path.extname(file).toLowerCase()) && !path.basename(file).startsWith('~$');
+}
+
+/**
+ * Resolve command line inputs to PO workbook paths
+ * Files are taken as given; directories and globs only yield .xls / .xlsx files.
+ * Duplicates are dropped, the order of the inputs is kept.
+ * @param {string[]} inputs - Files, directories or glob patterns (e.g. "mail/**\/*.xls")
+ * @param {Object} [options]
+ * @param {boolean} [options.recursive] - Include subdirectories of directory inputs
+ * @returns {string[]} File paths
+ */
+export function resolveInputFiles(inputs, { recursive = false } = {}) {
+  const files = [];
+
+  for (const input of inputs) {
+    let matches;
+
+    if (hasWildcard(input)) {
+      // Walk from the part of the pattern before the first wildcard
+      const segments = input.split(path.sep).join('/').split('/');
+      const firstWildcard = segments.findIndex(hasWildcard);
+      const baseDir = segments.slice(0, firstWildcard).join('/') || '.';
+      const pattern = segments.slice(firstWildcard).join('/');
+      const regex = globToRegExp(pattern);
+
+      matches = fs.existsSync(baseDir)
+        ? listFiles(baseDir, pattern.includes('/') || pattern.includes('**'))
+          .filter(file => regex.test(file))
+          .map(file => path.join(baseDir, file))
+          .filter(isPoWorkbook)
+        : [];
+    } else if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+      matches = listFiles(input, recursive).map(file => path.join(input, file)).filter(isPoWorkbook);
+    } else if (fs.existsSync(input)) {
+      matches = [input];
+    } else {
+      throw new Error(`Input not found: ${input}`);
+    }
+
+    if (matches.length === 0) {
+      log.warn(`⚠️  No PO files found for ${input}`);
+    }
+    files.push(...matches);
+  }
+
+  // Drop files given twice (e.g. by a directory and a glob)
+  const seen = new Set();
+  return files.filter(file => {
+    const key = path.resolve(file);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
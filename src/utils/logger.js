@@ -0,0 +1,150 @@
+/**
+ * Logger
+ * Levelled logging (debug/info/warn/error) with context fields such as the
+ * task name, page and PO number. Writes human readable lines or JSON lines
+ * (one object per line, for log shippers), optionally also to a log file.
+ */
+
+import path from 'path';
+import fs from 'fs';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+export const LOG_FORMATS = ['text', 'json'];
+
+const settings = {
+  level: 'info',
+  format: 'text',
+  filePath: null,
+  fileStream: null
+};
+
+/**
+ * Configure all loggers
+ * @param {Object} options
+ * @param {string} [options.level] - Minimum level to write (default info)
+ * @param {string} [options.format] - "text" or "json" (default text)
+ * @param {string} [options.file] - Also append log lines to this file
+ */
+export function configureLogger({ level, format, file } = {}) {
+  if (level) {
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(`Unknown log level: ${level} (supported: ${LOG_LEVELS.join(', ')})`);
+    }
+    settings.level = level;
+  }
+
+  if (format) {
+    if (!LOG_FORMATS.includes(format)) {
+      throw new Error(`Unknown log format: ${format} (supported: ${LOG_FORMATS.join(', ')})`);
+    }
+    settings.format = format;
+  }
+
+  if (file && file !== settings.filePath) {
+    closeLogFile();
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    settings.filePath = file;
+    settings.fileStream = fs.createWriteStream(file, { flags: 'a' });
+  }
+}
+
+/**
+ * Path of the current log file, if any
+ * @returns {string|null}
+ */
+export function getLogFile() {
+  return settings.filePath;
+}
+
+/**
+ * Flush and close the log file
+ */
+export function closeLogFile() {
+  if (settings.fileStream) {
+    settings.fileStream.end();
+  }
+  settings.filePath = null;
+  settings.fileStream = null;
+}
+
+/**
+ * Format context fields as "key=value" pairs
+ * @param {Object} fields
+ * @returns {string}
+ */
+function formatFields(fields) {
+  return Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}=${value}`)
+    .join(' ');
+}
+
+/**
+ * Write one log line
+ */
+function write(level, context, message, fields) {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(settings.level)) return;
+
+  const text = String(message);
+  const time = new Date().toISOString();
+  const allFields = { ...context, ...fields };
+  let line;
+
+  if (settings.format === 'json') {
+    // Banners and spacer lines only make sense on a terminal
+    if (/^[\s=-]*$/.test(text)) return;
+    line = JSON.stringify({ time, level, msg: text.trim(), ...allFields });
+  } else {
+    // Keep the blank lines messages start with as spacing, before the prefix
+    const leading = text.match(/^\n*/)[0];
+    const tags = formatFields(allFields);
+    line = `${leading}${time.slice(11, 19)} ${level.toUpperCase().padEnd(5)} ${tags ? `[${tags}] ` : ''}${text.slice(leading.length)}`;
+  }
+
+  if (level === 'error') {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+
+  if (settings.fileStream) {
+    settings.fileStream.write(line + '\n');
+  }
+}
+
+/**
+ * Create a logger with context fields added to every line
+ * @param {Object} [context] - e.g. { task: 'FlipkartDownloadPOTask' }
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function, child: Function, setContext: Function }}
+ */
+export function createLogger(context = {}) {
+  const ownContext = { ...context };
+  const logger = {};
+
+  for (const level of LOG_LEVELS) {
+    logger[level] = (message = '', fields = {}) => write(level, ownContext, message, fields);
+  }
+
+  /**
+   * Logger with extra context fields
+   */
+  logger.child = fields => createLogger({ ...ownContext, ...fields });
+
+  /**
+   * Update context fields (e.g. the current page); undefined removes a field
+   */
+  logger.setContext = fields => {
+    for (const [key, value] of Object.entries(fields)) {
+      if (value === undefined) {
+        delete ownContext[key];
+      } else {
+        ownContext[key] = value;
+      }
+    }
+  };
+
+  return logger;
+}
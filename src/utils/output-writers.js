@@ -0,0 +1,175 @@
+/**
+ * Output Writers
+ * Write parsed PO data (from parsePoFiles) as XLSX, CSV, JSON or NDJSON
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { writeWorkbook, buildNormalizedSheets } from './xls-merger.js';
+import { formatDate } from './date-utils.js';
+import { buildTallyXml, findTallyMappingProblems, formatTallyProblems } from './tally-export.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger({ module: 'output-writers' });
+
+export const OUTPUT_FORMATS = ['xlsx', 'csv', 'json', 'ndjson', 'tally'];
+
+// File extension per format, where it differs from the format name
+export const FORMAT_EXTENSIONS = { tally: 'xml' };
+
+/**
+ * Output format for a file extension ("xml" -> "tally")
+ * @param {string} extension - Extension without the dot
+ * @returns {string|null}
+ */
+export function formatForExtension(extension) {
+  return OUTPUT_FORMATS.find(format => (FORMAT_EXTENSIONS[format] || format) === extension) || null;
+}
+
+/**
+ * Ensure the directory of an output file exists
+ * @param {string} outputPath
+ */
+function ensureOutputDir(outputPath) {
+  const outputDir = path.dirname(outputPath);
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+}
+
+/**
+ * Escape a single CSV value (RFC 4180)
+ * @param {*} value
+ * @returns {string}
+ */
+function csvEscape(value) {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert rows to CSV text
+ * @param {Array[]} rows - Rows including the header row
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(csvEscape).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * JSON replacer writing typed dates as YYYY-MM-DD
+ */
+function jsonReplacer(key, value) {
+  // Date.prototype.toJSON runs before the replacer, so check the original value
+  const original = this[key];
+  return original instanceof Date ? formatDate(original) : value;
+}
+
+/**
+ * Convert a parsed PO to a plain object: PO metadata with nested line items
+ * @param {{ metadata: Object, lineItems: Object[] }} po
+ * @returns {Object}
+ */
+export function poToObject(po) {
+  return { ...po.metadata, lineItems: po.lineItems };
+}
+
+/**
+ * Write parsed PO data in a single format
+ * @param {Object} parsed - Result of parsePoFiles()
+ * @param {string} outputPath - Output file path (with extension)
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @param {Object} [options]
+ * @param {boolean} [options.csvBom] - Prefix CSV with a UTF-8 BOM (for Excel)
+ * @param {boolean} [options.normalized] - Add "POs" and "Line Items" sheets to the XLSX
+ * @param {Object} [options.tallyMapping] - Tally ledgers and stock items (see config/tally-mapping.js), needed for tally
+ * @param {Array[]} [options.changes] - Rows (with headers) of a "Changes" sheet added to the XLSX (see po-changes.js)
+ * @returns {string} Path to the written file
+ */
+export function writePoOutput(parsed, outputPath, format, options = {}) {
+  ensureOutputDir(outputPath);
+
+  switch (format) {
+    case 'xlsx': {
+      const sheets = [{ name: 'All POs', rows: [parsed.headers, ...parsed.rows] }];
+      if (options.normalized) {
+        sheets.push(...buildNormalizedSheets(parsed));
+      }
+      if (options.changes) {
+        sheets.push({ name: 'Changes', rows: options.changes });
+      }
+      writeWorkbook(sheets, outputPath);
+      break;
+    }
+    case 'csv': {
+      const bom = options.csvBom ? '\uFEFF' : '';
+      fs.writeFileSync(outputPath, bom + toCsv([parsed.headers, ...parsed.rows]), 'utf8');
+      break;
+    }
+    case 'json':
+      fs.writeFileSync(outputPath, JSON.stringify(parsed.pos.map(poToObject), jsonReplacer, 2));
+      break;
+    case 'ndjson':
+      // One PO (with its line items) per line
+      fs.writeFileSync(outputPath, parsed.pos.map(po => JSON.stringify(poToObject(po), jsonReplacer) + '\n').join(''));
+      break;
+    case 'tally':
+      if (!options.tallyMapping) {
+        throw new Error('The tally format needs a Tally mapping (set TALLY_MAPPING)');
+      }
+      // Built before writing, so an incomplete mapping leaves no partial file
+      fs.writeFileSync(outputPath, buildTallyXml(parsed, options.tallyMapping), 'utf8');
+      break;
+    default:
+      throw new Error(`Unknown output format: ${format} (supported: ${OUTPUT_FORMATS.join(', ')})`);
+  }
+
+  return outputPath;
+}
+
+/**
+ * Drop the tally format when the mapping doesn't cover these POs
+ * Used by download runs, where a new SKU must not stop the other formats and
+ * the ledger; the raw files stay in the archive for a later `merge --format tally`
+ * @param {Object} parsed - Result of parsePoFiles()
+ * @param {string[]} formats - Requested formats
+ * @param {Object} [tallyMapping] - Tally mapping (see config/tally-mapping.js)
+ * @returns {{ formats: string[], tallyProblems: string[] }} Formats to write and what the mapping is missing
+ */
+export function skipIncompleteTally(parsed, formats, tallyMapping) {
+  if (!formats.includes('tally') || !tallyMapping) {
+    return { formats, tallyProblems: [] };
+  }
+
+  const tallyProblems = findTallyMappingProblems(parsed, tallyMapping);
+  if (tallyProblems.length === 0) {
+    return { formats, tallyProblems };
+  }
+
+  log.warn(`⚠️  Skipping the Tally file. ${formatTallyProblems(tallyProblems)}`);
+  log.warn('   Add them to TALLY_MAPPING, then build the file from the archived raw files with: merge <files> --format tally');
+  return { formats: formats.filter(format => format !== 'tally'), tallyProblems };
+}
+
+/**
+ * Write parsed PO data in several formats next to each other
+ * @param {Object} parsed - Result of parsePoFiles()
+ * @param {string} basePath - Output path without extension
+ * @param {string[]} formats - Formats to write (see OUTPUT_FORMATS)
+ * @param {Object} [options] - Passed to writePoOutput()
+ * @returns {string[]} Paths to the written files
+ */
+export function writePoOutputs(parsed, basePath, formats, options = {}) {
+  const outputPaths = [];
+
+  for (const format of formats) {
+    const outputPath = `${basePath}.${FORMAT_EXTENSIONS[format] || format}`;
+    writePoOutput(parsed, outputPath, format, options);
+    log.info(`✅ ${format.toUpperCase()} file saved: ${outputPath}`);
+    outputPaths.push(outputPath);
+  }
+
+  log.info(`   📊 ${parsed.pos.length} PO(s), ${parsed.rows.length} line item row(s)`);
+  return outputPaths;
+}
@@ -0,0 +1,125 @@
+/**
+ * PO Archive Utility
+ * Keeps the raw PO files of every run in a dated archive folder
+ * (archive/<YYYY-MM-DD>/<run id>/<PO number>.xls), optionally zipped per run,
+ * and prunes old runs according to a retention policy
+ */
+
+import path from 'path';
+import fs from 'fs';
+import AdmZip from 'adm-zip';
+import { formatDate, today } from './date-utils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger({ module: 'po-archive' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_FOLDER_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Create the archive folder for a run
+ * @param {string} archiveRoot - Archive root folder
+ * @param {string} runId - Unique, sortable run id (e.g. run_2024-01-15T09-00-00)
+ * @returns {string} Path to the run folder
+ */
+export function createRunArchive(archiveRoot, runId) {
+  const runDir = path.join(archiveRoot, formatDate(today()), runId);
+  fs.mkdirSync(runDir, { recursive: true });
+  return runDir;
+}
+
+/**
+ * File name for a raw PO file in the archive: the PO number, or the original
+ * name when the PO number is unknown; a suffix keeps names unique
+ * @param {string} runDir - Run folder
+ * @param {string|null} poNumber
+ * @param {string} originalName - Name suggested by the download
+ * @returns {string} Path to save the file to
+ */
+export function archiveFilePath(runDir, poNumber, originalName) {
+  const extension = path.extname(originalName) || '.xls';
+  const baseName = poNumber || path.basename(originalName, extension);
+
+  let filePath = path.join(runDir, `${baseName}${extension}`);
+  for (let n = 2; fs.existsSync(filePath); n++) {
+    filePath = path.join(runDir, `${baseName}_${n}${extension}`);
+  }
+  return filePath;
+}
+
+/**
+ * Compress a run folder into <run id>.zip next to it and remove the folder
+ * @param {string} runDir - Run folder
+ * @returns {string} Path to the zip file
+ */
+export function zipRunArchive(runDir) {
+  const zipPath = `${runDir}.zip`;
+  const zip = new AdmZip();
+  zip.addLocalFolder(runDir);
+  zip.writeZip(zipPath);
+  fs.rmSync(runDir, { recursive: true, force: true });
+  log.info(`🗜️  Raw PO files zipped: ${zipPath}`);
+  return zipPath;
+}
+
+/**
+ * List archived runs, newest first
+ * @param {string} archiveRoot - Archive root folder
+ * @returns {{ date: string, runId: string, path: string }[]}
+ */
+export function listArchivedRuns(archiveRoot) {
+  if (!fs.existsSync(archiveRoot)) return [];
+
+  const runs = [];
+  for (const date of fs.readdirSync(archiveRoot)) {
+    const dateDir = path.join(archiveRoot, date);
+    if (!DATE_FOLDER_PATTERN.test(date) || !fs.statSync(dateDir).isDirectory()) continue;
+
+    for (const entry of fs.readdirSync(dateDir)) {
+      runs.push({ date, runId: entry.replace(/\.zip$/, ''), path: path.join(dateDir, entry) });
+    }
+  }
+
+  return runs.sort((a, b) => b.runId.localeCompare(a.runId));
+}
+
+/**
+ * Delete archived runs outside the retention policy
+ * @param {string} archiveRoot - Archive root folder
+ * @param {Object} retention
+ * @param {number} [retention.keepDays] - Keep runs from the last N days (0 = no limit)
+ * @param {number} [retention.keepRuns] - Keep the N most recent runs (0 = no limit)
+ * @param {string} [retention.currentRunId] - Never delete this run
+ * @returns {string[]} Paths of the deleted runs
+ */
+export function pruneArchive(archiveRoot, { keepDays = 0, keepRuns = 0, currentRunId = null } = {}) {
+  const runs = listArchivedRuns(archiveRoot);
+  const oldestDate = keepDays > 0 ? formatDate(new Date(today().getTime() - (keepDays - 1) * DAY_MS)) : null;
+
+  const deleted = [];
+  runs.forEach((run, index) => {
+    if (run.runId === currentRunId) return;
+
+    const tooOld = oldestDate && run.date < oldestDate;
+    const tooMany = keepRuns > 0 && index >= keepRuns;
+    if (tooOld || tooMany) {
+      fs.rmSync(run.path, { recursive: true, force: true });
+      deleted.push(run.path);
+    }
+  });
+
+  // Remove date folders left empty
+  if (fs.existsSync(archiveRoot)) {
+    for (const date of fs.readdirSync(archiveRoot).filter(name => DATE_FOLDER_PATTERN.test(name))) {
+      const dateDir = path.join(archiveRoot, date);
+      if (fs.statSync(dateDir).isDirectory() && fs.readdirSync(dateDir).length === 0) {
+        fs.rmdirSync(dateDir);
+      }
+    }
+  }
+
+  if (deleted.length > 0) {
+    log.info(`🧹 Archive retention: removed ${deleted.length} old run(s)`);
+  }
+  return deleted;
+}
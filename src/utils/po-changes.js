@@ -0,0 +1,237 @@
+/**
+ * PO Change Report
+ * Compares a run's POs with the previous run's: new POs, POs that left a
+ * status list, and line-level changes to quantity, price or dates, with old
+ * and new values side by side. The previous state is kept in a snapshot file
+ * next to the downloads.
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { formatDate, parseFlipkartDate } from './date-utils.js';
+import { parseIndianNumber } from './value-types.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger({ module: 'po-changes' });
+
+// PO-level and line item fields compared between runs
+const PO_FIELDS = ['Order_Date', 'PO_Expiry'];
+const LINE_FIELDS = ['Quantity', 'Supplier Price'];
+
+export const CHANGE_HEADERS = ['Change', 'PO_Number', 'SKU/FSN', 'Field', 'Old Value', 'New Value'];
+
+/**
+ * A date value (typed or raw) as YYYY-MM-DD, other values as text
+ */
+function dateText(value) {
+  if (value instanceof Date) return formatDate(value);
+  const date = value ? parseFlipkartDate(value) : null;
+  return date ? formatDate(date) : String(value ?? '');
+}
+
+/**
+ * A number value (typed or raw), or its text if it isn't one
+ */
+function numberValue(value) {
+  return parseIndianNumber(value) ?? String(value ?? '');
+}
+
+/**
+ * Key of each line item within its PO: SKU Id, else FSN, else the line number
+ * A key that repeats within the PO gets "#2", "#3", ...
+ * @param {Object[]} lineItems
+ * @returns {string[]}
+ */
+function lineKeys(lineItems) {
+  const counts = {};
+  return lineItems.map((lineItem, index) => {
+    const key = String(lineItem['SKU Id'] || lineItem['FSN/ISBN13'] || `line ${index + 1}`).trim();
+    counts[key] = (counts[key] || 0) + 1;
+    return counts[key] > 1 ? `${key} #${counts[key]}` : key;
+  });
+}
+
+/**
+ * Reduce parsed POs to the values the change report compares
+ * @param {Object} parsed - Result of parsePoFiles()
+ * @returns {Object} Map of PO number -> { status, fields, lines: { key: { field: value } } };
+ *   fields and lines are null for POs only seen in a list
+ */
+export function snapshotPOs(parsed) {
+  const snapshot = {};
+  for (const { metadata, lineItems } of parsed.pos) {
+    if (!metadata.PO_Number) continue;
+
+    const keys = lineKeys(lineItems);
+    snapshot[String(metadata.PO_Number)] = {
+      status: metadata.PO_Status || null,
+      fields: Object.fromEntries(PO_FIELDS.map(field => [field, dateText(metadata[field])])),
+      lines: Object.fromEntries(lineItems.map((lineItem, index) => [
+        keys[index],
+        Object.fromEntries(LINE_FIELDS.map(field => [field, numberValue(lineItem[field])]))
+      ]))
+    };
+  }
+  return snapshot;
+}
+
+/**
+ * Load the snapshot of the previous run
+ * @param {string} snapshotPath - Path to the snapshot JSON file
+ * @returns {Object|null} Map of PO number -> snapshot entry, or null if there is no previous run
+ */
+export function loadPoSnapshot(snapshotPath) {
+  if (!snapshotPath || !fs.existsSync(snapshotPath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(snapshotPath, 'utf8')).pos || {};
+  } catch (error) {
+    log.warn(`⚠️  Could not read PO snapshot (${error.message}), starting a new one`);
+    return null;
+  }
+}
+
+/**
+ * Save the snapshot for the next run
+ * @param {string} snapshotPath - Path to the snapshot JSON file
+ * @param {Object} pos - Map of PO number -> snapshot entry
+ */
+export function savePoSnapshot(snapshotPath, pos) {
+  const dir = path.dirname(snapshotPath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  fs.writeFileSync(snapshotPath, JSON.stringify({ updatedAt: new Date().toISOString(), count: Object.keys(pos).length, pos }, null, 2));
+  log.debug(`PO snapshot updated: ${Object.keys(pos).length} PO(s)`);
+}
+
+/**
+ * Compare this run with the previous snapshot
+ * POs only seen in the list (already downloaded and not fetched again) can't
+ * show line changes, but a different status or a PO missing from a list is still noticed.
+ * @param {Object} previous - Snapshot of the previous run (from loadPoSnapshot)
+ * @param {Object} current - Snapshot of the POs parsed in this run (from snapshotPOs)
+ * @param {Object} [options]
+ * @param {Object[]} [options.seen] - { poNumber, status } of every PO row seen in the lists this run;
+ *   those not downloaded before are added with their status only, so they can be reported as removed later
+ * @param {string[]} [options.completeStatuses] - Statuses whose list was read to the end; only these can have removed POs
+ * @returns {{ newPOs: string[], removedPOs: Object[], changes: Object[], snapshot: Object }}
+ *   changes are { change, poNumber, line, field, oldValue, newValue }; snapshot is the state to save for the next run
+ */
+export function comparePoSnapshots(previous, current, { seen = [], completeStatuses = [] } = {}) {
+  const changes = [];
+  const newPOs = [];
+  const removedPOs = [];
+  const snapshot = { ...previous };
+
+  const seenStatuses = new Map();
+  for (const { poNumber, status } of seen) {
+    if (!poNumber) continue;
+    if (!seenStatuses.has(poNumber)) seenStatuses.set(poNumber, new Set());
+    seenStatuses.get(poNumber).add(status);
+  }
+
+  for (const [poNumber, po] of Object.entries(current)) {
+    const before = previous[poNumber];
+    snapshot[poNumber] = po;
+    if (before && !before.lines) {
+      // Only its status was known, nothing to compare the contents with
+      continue;
+    }
+    if (!before) {
+      newPOs.push(poNumber);
+      changes.push({ change: 'new', poNumber, line: '', field: '', oldValue: '', newValue: `${Object.keys(po.lines).length} line item(s)` });
+      continue;
+    }
+
+    for (const field of PO_FIELDS) {
+      if (before.fields[field] !== po.fields[field]) {
+        changes.push({ change: 'changed', poNumber, line: '', field, oldValue: before.fields[field], newValue: po.fields[field] });
+      }
+    }
+    for (const [line, values] of Object.entries(po.lines)) {
+      const oldValues = before.lines[line];
+      if (!oldValues) {
+        changes.push({ change: 'line added', poNumber, line, field: '', oldValue: '', newValue: LINE_FIELDS.map(f => `${f} ${values[f]}`).join(', ') });
+        continue;
+      }
+      for (const field of LINE_FIELDS) {
+        if (oldValues[field] !== values[field]) {
+          changes.push({ change: 'changed', poNumber, line, field, oldValue: oldValues[field], newValue: values[field] });
+        }
+      }
+    }
+    for (const [line, values] of Object.entries(before.lines)) {
+      if (!po.lines[line]) {
+        changes.push({ change: 'line removed', poNumber, line, field: '', oldValue: LINE_FIELDS.map(f => `${f} ${values[f]}`).join(', '), newValue: '' });
+      }
+    }
+  }
+
+  // POs already downloaded before the snapshot existed: status only
+  for (const [poNumber, statuses] of seenStatuses) {
+    if (!snapshot[poNumber]) {
+      snapshot[poNumber] = { status: [...statuses][0], fields: null, lines: null };
+    }
+  }
+
+  // Status moves and POs gone from a list that was read completely
+  for (const [poNumber, before] of Object.entries(previous)) {
+    const statuses = seenStatuses.get(poNumber);
+    const status = current[poNumber]?.status || (statuses ? [...statuses][0] : null);
+
+    if (status && before.status && status !== before.status && !statuses?.has(before.status)) {
+      changes.push({ change: 'status', poNumber, line: '', field: 'PO_Status', oldValue: before.status, newValue: status });
+      snapshot[poNumber] = { ...snapshot[poNumber], status };
+    } else if (!status && completeStatuses.includes(before.status)) {
+      removedPOs.push({ poNumber, status: before.status });
+      changes.push({ change: 'removed', poNumber, line: '', field: 'PO_Status', oldValue: before.status, newValue: '' });
+      delete snapshot[poNumber];
+    }
+  }
+
+  return { newPOs, removedPOs, changes, snapshot };
+}
+
+/**
+ * Rows for the "Changes" sheet, headers first
+ * @param {Object} report - Result of comparePoSnapshots()
+ * @returns {Array[]}
+ */
+export function changeReportRows(report) {
+  return [
+    CHANGE_HEADERS,
+    ...report.changes.map(({ change, poNumber, line, field, oldValue, newValue }) => [change, poNumber, line, field, oldValue, newValue])
+  ];
+}
+
+/**
+ * Plain text report, one line per change
+ * @param {Object} report - Result of comparePoSnapshots()
+ * @param {number} [maxLines] - Lines listed before "... and N more"
+ * @returns {string}
+ */
+export function formatChangeReport(report, maxLines = 50) {
+  const changed = new Set(report.changes.filter(c => !['new', 'removed'].includes(c.change)).map(c => c.poNumber));
+  const lines = [`Changes since the last run: ${report.newPOs.length} new, ${report.removedPOs.length} removed, ${changed.size} changed PO(s)`];
+
+  for (const { change, poNumber, line, field, oldValue, newValue } of report.changes.slice(0, maxLines)) {
+    const target = [poNumber, line, field].filter(Boolean).join(' / ');
+    if (change === 'new') {
+      lines.push(`  + ${target}: new (${newValue})`);
+    } else if (change === 'removed') {
+      lines.push(`  - ${target}: no longer in the ${oldValue} list`);
+    } else if (change === 'line added' || change === 'line removed') {
+      lines.push(`  ~ ${target}: ${change} (${oldValue || newValue})`);
+    } else {
+      lines.push(`  ~ ${target}: ${oldValue} -> ${newValue}`);
+    }
+  }
+  if (report.changes.length > maxLines) {
+    lines.push(`  ... and ${report.changes.length - maxLines} more`);
+  }
+  return lines.join('\n');
+}
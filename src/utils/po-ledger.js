@@ -0,0 +1,64 @@
+/**
+ * PO Ledger Utility
+ * Keeps a local record of PO numbers that were already downloaded
+ * so incremental runs only fetch new POs
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { createLogger } from './logger.js';
+
+const log = createLogger({ module: 'po-ledger' });
+
+// PO numbers look like "FLGWN07529757"
+const PO_NUMBER_PATTERN = /[A-Z]{2,5}\d{8,}/;
+
+/**
+ * Extract a PO number from a piece of text (e.g. a table row)
+ * @param {string} text - Text to search
+ * @returns {string|null} PO number or null if not found
+ */
+export function extractPoNumber(text) {
+  if (!text) return null;
+  const match = String(text).match(PO_NUMBER_PATTERN);
+  return match ? match[0] : null;
+}
+
+/**
+ * Load the PO ledger from disk
+ * @param {string} ledgerPath - Path to the ledger JSON file
+ * @returns {Object} Map of PO number -> { downloadedAt, file }
+ */
+export function loadPoLedger(ledgerPath) {
+  if (!ledgerPath || !fs.existsSync(ledgerPath)) {
+    return {};
+  }
+
+  try {
+    const content = JSON.parse(fs.readFileSync(ledgerPath, 'utf8'));
+    return content.pos || {};
+  } catch (error) {
+    log.warn(`⚠️  Could not read PO ledger (${error.message}), starting fresh`);
+    return {};
+  }
+}
+
+/**
+ * Save the PO ledger to disk
+ * @param {string} ledgerPath - Path to the ledger JSON file
+ * @param {Object} pos - Map of PO number -> { downloadedAt, file }
+ */
+export function savePoLedger(ledgerPath, pos) {
+  const dir = path.dirname(ledgerPath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const content = {
+    updatedAt: new Date().toISOString(),
+    count: Object.keys(pos).length,
+    pos
+  };
+  fs.writeFileSync(ledgerPath, JSON.stringify(content, null, 2));
+  log.info(`📒 PO ledger updated: ${content.count} PO(s) recorded`);
+}
@@ -0,0 +1,63 @@
+/**
+ * Run History Utility
+ * Keeps a record of scheduled runs and their outcomes
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { createLogger } from './logger.js';
+
+const log = createLogger({ module: 'run-history' });
+
+/**
+ * Load the run history from disk
+ * @param {string} historyPath - Path to the history JSON file
+ * @returns {Object[]} Runs, oldest first
+ */
+export function loadRunHistory(historyPath) {
+  if (!historyPath || !fs.existsSync(historyPath)) {
+    return [];
+  }
+
+  try {
+    const content = JSON.parse(fs.readFileSync(historyPath, 'utf8'));
+    return content.runs || [];
+  } catch (error) {
+    log.warn(`⚠️  Could not read run history (${error.message}), starting fresh`);
+    return [];
+  }
+}
+
+/**
+ * Add a run to the history, keeping only the most recent ones
+ * @param {string} historyPath - Path to the history JSON file
+ * @param {Object} run - { trigger, startedAt, finishedAt, durationMs, status, attempts, error }
+ * @param {number} [limit] - Number of runs to keep (default 200)
+ */
+export function appendRunHistory(historyPath, run, limit = 200) {
+  const dir = path.dirname(historyPath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const runs = [...loadRunHistory(historyPath), run].slice(-limit);
+  const content = {
+    updatedAt: new Date().toISOString(),
+    count: runs.length,
+    runs
+  };
+  fs.writeFileSync(historyPath, JSON.stringify(content, null, 2));
+}
+
+/**
+ * Format a run for display
+ * @param {Object} run
+ * @returns {string}
+ */
+export function formatRun(run) {
+  const icon = { success: '✅', failed: '❌', skipped: '⏭️ ' }[run.status] || '•';
+  const duration = run.durationMs !== undefined ? ` in ${Math.round(run.durationMs / 1000)}s` : '';
+  const attempts = run.attempts > 1 ? `, ${run.attempts} attempts` : '';
+  const error = run.error ? ` - ${run.error}` : '';
+  return `${icon} ${run.startedAt} [${run.trigger}] ${run.status}${duration}${attempts}${error}`;
+}
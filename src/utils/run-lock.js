@@ -0,0 +1,97 @@
+/**
+ * Run Lock Utility
+ * A lock file that keeps two PO downloads (scheduled or manual) from running
+ * at the same time against the same download folder and ledger
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { createLogger } from './logger.js';
+
+const log = createLogger({ module: 'run-lock' });
+
+// An unreadable lock file younger than this may still be being written by another run
+const UNREADABLE_LOCK_GRACE_MS = 5000;
+
+/**
+ * Check whether a process is still running
+ * @param {number} pid
+ * @returns {boolean}
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM = the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Read the current lock holder
+ * @param {string} lockPath - Path to the lock file
+ * @returns {Object|null} { pid, startedAt, label } or null if there is no (readable) lock
+ */
+export function readLock(lockPath) {
+  if (!fs.existsSync(lockPath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch (error) {
+    // Empty or half-written, see acquireLock()
+    return null;
+  }
+}
+
+/**
+ * Take the lock, clearing it first if its process has died
+ * A lock file that can't be read (empty or cut off while being written) is
+ * cleared as well once it is a few seconds old
+ * @param {string} lockPath - Path to the lock file
+ * @param {string} [label] - What holds the lock (shown to other runs)
+ * @returns {Object|null} The held lock, or null if another live run holds it
+ */
+export function acquireLock(lockPath, label = '') {
+  const dir = path.dirname(lockPath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const existing = readLock(lockPath);
+  if (existing && existing.pid !== process.pid && isProcessAlive(existing.pid)) {
+    return null;
+  }
+  if (existing) {
+    log.info(`🔓 Removing stale lock from process ${existing.pid} (${existing.label || 'unknown'})`);
+    fs.unlinkSync(lockPath);
+  } else if (fs.existsSync(lockPath)) {
+    const ageMs = Date.now() - fs.statSync(lockPath).mtimeMs;
+    if (ageMs < UNREADABLE_LOCK_GRACE_MS) {
+      return null;
+    }
+    log.info(`🔓 Removing unreadable lock file ${lockPath} (${Math.round(ageMs / 1000)}s old)`);
+    fs.unlinkSync(lockPath);
+  }
+
+  const lock = { pid: process.pid, startedAt: new Date().toISOString(), label };
+  try {
+    // 'wx' fails if another process created the file in the meantime
+    fs.writeFileSync(lockPath, JSON.stringify(lock, null, 2), { flag: 'wx' });
+  } catch (error) {
+    if (error.code === 'EEXIST') return null;
+    throw error;
+  }
+  return lock;
+}
+
+/**
+ * Release the lock if this process holds it
+ * @param {string} lockPath - Path to the lock file
+ */
+export function releaseLock(lockPath) {
+  const existing = readLock(lockPath);
+  if (existing && existing.pid === process.pid) {
+    fs.unlinkSync(lockPath);
+  }
+}
@@ -0,0 +1,44 @@
+/**
+ * Run Manifest Utility
+ * Writes a JSON description of a download run (POs seen, files, warnings,
+ * timings, config) next to the combined output, for downstream imports
+ */
+
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+
+const log = createLogger({ module: 'run-manifest' });
+
+export const MANIFEST_VERSION = 1;
+
+/**
+ * SHA-256 of a file, as hex
+ * @param {string} filePath
+ * @returns {string|null} Hash, or null if the file can't be read
+ */
+export function sha256File(filePath) {
+  try {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Write a run manifest
+ * @param {string} manifestPath - Output path (usually <combined file base>.manifest.json)
+ * @param {Object} manifest - Manifest content, see FlipkartDownloadPOTask.writeManifest()
+ * @returns {string} Path to the manifest
+ */
+export function writeRunManifest(manifestPath, manifest) {
+  const dir = path.dirname(manifestPath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  fs.writeFileSync(manifestPath, JSON.stringify({ manifestVersion: MANIFEST_VERSION, ...manifest }, null, 2));
+  log.info(`🧾 Run manifest saved: ${manifestPath}`);
+  return manifestPath;
+}
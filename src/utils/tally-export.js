@@ -0,0 +1,258 @@
+/**
+ * Tally Export
+ * Writes parsed POs (from parsePoFiles) as Tally import XML: one Sales Order
+ * voucher per PO with its stock items, sales ledger and GST ledgers, using the
+ * mapping from config/tally-mapping.js
+ */
+
+import { GST_COMPONENTS } from '../config/tally-mapping.js';
+import { formatDate, parseFlipkartDate } from './date-utils.js';
+import { parseIndianNumber } from './value-types.js';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Escape text for an XML element
+ * @param {*} value
+ * @returns {string}
+ */
+function xmlEscape(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * A line item or PO value as a number (typed or raw), 0 if empty
+ * @param {*} value
+ * @returns {number}
+ */
+function amount(value) {
+  return parseIndianNumber(value) ?? 0;
+}
+
+/**
+ * Format an amount with two decimals, as Tally expects
+ * @param {number} value
+ * @returns {string}
+ */
+function formatAmount(value) {
+  return (Math.round(value * 100) / 100).toFixed(2);
+}
+
+/**
+ * A PO date (typed or raw) as a Date, or null
+ */
+function toDate(value) {
+  if (value instanceof Date) return value;
+  return value ? parseFlipkartDate(value) : null;
+}
+
+/**
+ * Tally voucher date: YYYYMMDD (PO dates are UTC midnight, see date-utils.js)
+ */
+function tallyDate(date) {
+  return formatDate(date).replace(/-/g, '');
+}
+
+/**
+ * Tally order due date: 15-Jan-2024
+ */
+function tallyDueDate(date) {
+  return `${date.getUTCDate()}-${MONTHS[date.getUTCMonth()]}-${date.getUTCFullYear()}`;
+}
+
+/**
+ * Find the stock item of a line item
+ * @returns {{ key: string, item: { name: string, unit: string }|null }} Looked up value and the item, if mapped
+ */
+function resolveStockItem(lineItem, mapping) {
+  const keys = mapping.itemColumns.map(column => String(lineItem[column] ?? '').trim()).filter(Boolean);
+  for (const key of keys) {
+    const item = mapping.items[key];
+    if (item) {
+      return { key, item: typeof item === 'string' ? { name: item, unit: mapping.unit } : { unit: mapping.unit, ...item } };
+    }
+  }
+  return { key: keys[0] || '', item: null };
+}
+
+/**
+ * Build the voucher data of one PO, collecting everything the mapping lacks
+ * @returns {{ voucher: Object, problems: string[] }}
+ */
+function buildVoucher(po, mapping) {
+  const { metadata } = po;
+  const poNumber = String(metadata.PO_Number || po.file);
+  const problems = [];
+
+  const gstin = String(metadata.Billing_GSTIN ?? '').trim();
+  const party = mapping.party.byGstin[gstin] || mapping.party.default;
+  if (!party) {
+    problems.push(`no party ledger for Billing_GSTIN "${gstin}"`);
+  }
+
+  const orderDate = toDate(metadata.Order_Date);
+  if (!orderDate) {
+    problems.push(`no valid Order_Date ("${metadata.Order_Date ?? ''}")`);
+  }
+
+  const taxes = Object.fromEntries(Object.keys(GST_COMPONENTS).map(component => [component, 0]));
+  const items = [];
+  po.lineItems.forEach((lineItem, index) => {
+    const quantity = amount(lineItem.Quantity);
+    if (quantity === 0) return;
+
+    const { key, item } = resolveStockItem(lineItem, mapping);
+    if (!item) {
+      problems.push(key ? `no stock item for "${key}"` : `line ${index + 1} has no ${mapping.itemColumns.join(' / ')}`);
+      return;
+    }
+
+    const value = amount(lineItem['Taxable Value']) || quantity * amount(lineItem['Supplier Price']);
+    const rate = amount(lineItem['Supplier Price']) || value / quantity;
+    items.push({ ...item, quantity, rate, value });
+
+    for (const [component, column] of Object.entries(GST_COMPONENTS)) {
+      taxes[component] += amount(lineItem[column]);
+    }
+  });
+
+  const taxEntries = Object.entries(taxes).filter(([, total]) => Math.abs(total) >= 0.005);
+  for (const [component] of taxEntries) {
+    if (!mapping.gstLedgers[component]) {
+      problems.push(`no ${component} ledger (gstLedgers.${component})`);
+    }
+  }
+
+  return {
+    voucher: {
+      poNumber,
+      party,
+      orderDate,
+      dueDate: toDate(metadata.PO_Expiry),
+      items,
+      taxes: taxEntries.map(([component, total]) => ({ ledger: mapping.gstLedgers[component], amount: total }))
+    },
+    problems: problems.map(problem => `PO ${poNumber}: ${problem}`)
+  };
+}
+
+/**
+ * Voucher XML for one PO
+ * Sales order: party debited with the PO total, sales and GST ledgers credited
+ */
+function voucherXml(voucher, mapping) {
+  const { poNumber, party, orderDate, dueDate, items, taxes } = voucher;
+  const total = items.reduce((sum, item) => sum + item.value, 0) + taxes.reduce((sum, tax) => sum + tax.amount, 0);
+
+  const inventoryXml = items.map(item => {
+    const quantity = `${item.quantity} ${item.unit}`;
+    return `        <ALLINVENTORYENTRIES.LIST>
+          <STOCKITEMNAME>${xmlEscape(item.name)}</STOCKITEMNAME>
+          <ISDEEMEDPOSITIVE>No</ISDEEMEDPOSITIVE>
+          <RATE>${formatAmount(item.rate)}/${xmlEscape(item.unit)}</RATE>
+          <AMOUNT>${formatAmount(item.value)}</AMOUNT>
+          <ACTUALQTY>${xmlEscape(quantity)}</ACTUALQTY>
+          <BILLEDQTY>${xmlEscape(quantity)}</BILLEDQTY>
+          <BATCHALLOCATIONS.LIST>
+${mapping.godown ? `            <GODOWNNAME>${xmlEscape(mapping.godown)}</GODOWNNAME>\n` : ''}            <ORDERNO>${xmlEscape(poNumber)}</ORDERNO>
+            <AMOUNT>${formatAmount(item.value)}</AMOUNT>
+            <ACTUALQTY>${xmlEscape(quantity)}</ACTUALQTY>
+            <BILLEDQTY>${xmlEscape(quantity)}</BILLEDQTY>
+${dueDate ? `            <ORDERDUEDATE P="${tallyDueDate(dueDate)}">${tallyDueDate(dueDate)}</ORDERDUEDATE>\n` : ''}          </BATCHALLOCATIONS.LIST>
+          <ACCOUNTINGALLOCATIONS.LIST>
+            <LEDGERNAME>${xmlEscape(mapping.salesLedger)}</LEDGERNAME>
+            <ISDEEMEDPOSITIVE>No</ISDEEMEDPOSITIVE>
+            <AMOUNT>${formatAmount(item.value)}</AMOUNT>
+          </ACCOUNTINGALLOCATIONS.LIST>
+        </ALLINVENTORYENTRIES.LIST>`;
+  });
+
+  const ledgerXml = [
+    { ledger: party, amount: -total, deemedPositive: 'Yes' },
+    ...taxes.map(tax => ({ ...tax, deemedPositive: 'No' }))
+  ].map(entry => `        <LEDGERENTRIES.LIST>
+          <LEDGERNAME>${xmlEscape(entry.ledger)}</LEDGERNAME>
+          <ISDEEMEDPOSITIVE>${entry.deemedPositive}</ISDEEMEDPOSITIVE>
+          <AMOUNT>${formatAmount(entry.amount)}</AMOUNT>
+        </LEDGERENTRIES.LIST>`);
+
+  return `      <VOUCHER VCHTYPE="${xmlEscape(mapping.voucherType)}" ACTION="Create" OBJVIEW="Invoice Voucher View">
+        <DATE>${tallyDate(orderDate)}</DATE>
+        <VOUCHERTYPENAME>${xmlEscape(mapping.voucherType)}</VOUCHERTYPENAME>
+        <VOUCHERNUMBER>${xmlEscape(poNumber)}</VOUCHERNUMBER>
+        <REFERENCE>${xmlEscape(poNumber)}</REFERENCE>
+        <PARTYLEDGERNAME>${xmlEscape(party)}</PARTYLEDGERNAME>
+        <PERSISTEDVIEW>Invoice Voucher View</PERSISTEDVIEW>
+        <ISINVOICE>Yes</ISINVOICE>
+        <NARRATION>${xmlEscape(`Flipkart PO ${poNumber}${dueDate ? `, expires ${tallyDueDate(dueDate)}` : ''}`)}</NARRATION>
+${[...inventoryXml, ...ledgerXml].join('\n')}
+      </VOUCHER>`;
+}
+
+/**
+ * Everything the POs need that is missing from the Tally mapping
+ * @param {Object} parsed - Result of parsePoFiles()
+ * @param {Object} mapping - Tally mapping (see config/tally-mapping.js)
+ * @returns {string[]} Problems, e.g. 'PO FLGWN07529757: no stock item for "SKU-RED-M"'; empty if the mapping is complete
+ */
+export function findTallyMappingProblems(parsed, mapping) {
+  return [...new Set(parsed.pos.flatMap(po => buildVoucher(po, mapping).problems))];
+}
+
+/**
+ * One message listing the mapping problems (the first 20)
+ * @param {string[]} problems - From findTallyMappingProblems()
+ * @returns {string}
+ */
+export function formatTallyProblems(problems) {
+  const shown = problems.slice(0, 20).map(problem => `  - ${problem}`).join('\n');
+  const more = problems.length > 20 ? `\n  ... and ${problems.length - 20} more` : '';
+  return `Tally mapping is incomplete, ${problems.length} problem(s):\n${shown}${more}`;
+}
+
+/**
+ * Build Tally import XML with one voucher per PO
+ * Every party, stock item and GST ledger the POs need must be in the mapping;
+ * otherwise nothing is written and the error lists all that is missing.
+ * @param {Object} parsed - Result of parsePoFiles()
+ * @param {Object} mapping - Tally mapping (see config/tally-mapping.js)
+ * @returns {string} XML document
+ */
+export function buildTallyXml(parsed, mapping) {
+  const built = parsed.pos.map(po => buildVoucher(po, mapping));
+
+  const problems = [...new Set(built.flatMap(({ problems }) => problems))];
+  if (problems.length > 0) {
+    throw new Error(formatTallyProblems(problems));
+  }
+
+  const vouchers = built.map(({ voucher }) => voucher).filter(voucher => voucher.items.length > 0);
+  const company = mapping.company
+    ? `\n        <STATICVARIABLES>\n          <SVCURRENTCOMPANY>${xmlEscape(mapping.company)}</SVCURRENTCOMPANY>\n        </STATICVARIABLES>`
+    : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ENVELOPE>
+  <HEADER>
+    <TALLYREQUEST>Import Data</TALLYREQUEST>
+  </HEADER>
+  <BODY>
+    <IMPORTDATA>
+      <REQUESTDESC>
+        <REPORTNAME>Vouchers</REPORTNAME>${company}
+      </REQUESTDESC>
+      <REQUESTDATA>
+        <TALLYMESSAGE xmlns:UDF="TallyUDF">
+${vouchers.map(voucher => voucherXml(voucher, mapping).replace(/^/gm, '    ')).join('\n')}
+        </TALLYMESSAGE>
+      </REQUESTDATA>
+    </IMPORTDATA>
+  </BODY>
+</ENVELOPE>
+`;
+}
@@ -0,0 +1,55 @@
+/**
+ * Value Type Conversion
+ * Converts raw PO cell values to dates, numbers and text
+ */
+
+import { parseFlipkartDate } from './date-utils.js';
+
+/**
+ * Parse a number written with Indian ("1,23,456.00") or international ("123,456.00")
+ * digit grouping, optionally prefixed with ₹ / Rs.
+ * @param {*} value
+ * @returns {number|null} Parsed number or null if not a number
+ */
+export function parseIndianNumber(value) {
+  if (typeof value === 'number') return isFinite(value) ? value : null;
+  if (value === undefined || value === null) return null;
+
+  const text = String(value).trim().replace(/^(₹|rs\.?|inr)\s*/i, '').replace(/\s+/g, '');
+  if (!/^-?(\d+|\d{1,3}(,\d{2})*,\d{3}|\d{1,3}(,\d{3})+)(\.\d+)?$/.test(text)) {
+    return null;
+  }
+  return parseFloat(text.replace(/,/g, ''));
+}
+
+/**
+ * Convert a raw cell value to the given type
+ * Empty cells stay empty and always convert.
+ * @param {*} value - Raw cell value
+ * @param {'date'|'integer'|'decimal'|'text'} type
+ * @returns {{ value: *, ok: boolean }} Converted value, or the original value with ok = false
+ */
+export function convertValue(value, type) {
+  if (value === undefined || value === null || value === '') {
+    return { value: '', ok: true };
+  }
+
+  switch (type) {
+    case 'date': {
+      const date = parseFlipkartDate(value);
+      return date ? { value: date, ok: true } : { value, ok: false };
+    }
+    case 'integer': {
+      const number = parseIndianNumber(value);
+      return number !== null && Number.isInteger(number) ? { value: number, ok: true } : { value, ok: false };
+    }
+    case 'decimal': {
+      const number = parseIndianNumber(value);
+      return number !== null ? { value: number, ok: true } : { value, ok: false };
+    }
+    case 'text':
+      return { value: String(value).trim(), ok: true };
+    default:
+      return { value, ok: true };
+  }
+}
@@ -6,6 +6,20 @@
 import XLSX from 'xlsx';
 import path from 'path';
 import fs from 'fs';
+import { DEFAULT_PO_FIELDS, PO_SUMMARY_FIELDS, normalizeLabel } from '../config/po-fields.js';
+import { DEFAULT_COLUMN_TYPES } from '../config/column-types.js';
+import { LINE_ITEM_COLUMNS, normalizeHeaderKey } from '../config/line-item-columns.js';
+import { parseIndianNumber, convertValue } from './value-types.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger({ module: 'xls-merger' });
+
+// First cell of the line items header row ("S. no.", "S.no.", "Sno", "S No", ...) after normalizeHeaderKey()
+const SERIAL_HEADER_KEYS = new Set(['sno', 'srno', 'serialno']);
+
+// Line item columns used for the per-PO totals of the normalized workbook (first match wins)
+const QUANTITY_HEADER_PATTERNS = [/^quantity$/i, /^qty$/i, /quantity|qty/i];
+const VALUE_HEADER_PATTERNS = [/^total\s*amount$/i, /total\s*(amount|value)/i, /amount|value/i];
 
 /**
  * Merge multiple XLS/XLSX files into a single file
@@ -18,7 +32,7 @@ export function mergeXlsFiles(filePaths, outputPath) {
     throw new Error('No files provided to merge');
   }
 
-  console.log(`\n📊 Merging ${filePaths.length} XLS file(s)...`);
+  log.info(`\n📊 Merging ${filePaths.length} XLS file(s)...`);
 
   const allData = [];
   let headers = null;
@@ -26,7 +40,7 @@ export function mergeXlsFiles(filePaths, outputPath) {
 
   for (const filePath of filePaths) {
     try {
-      console.log(`   📄 Reading: ${path.basename(filePath)}`);
+      log.info(`   📄 Reading: ${path.basename(filePath)}`);
 
       const workbook = XLSX.readFile(filePath);
       const sheetName = workbook.SheetNames[0];
@@ -34,7 +48,7 @@ export function mergeXlsFiles(filePaths, outputPath) {
       const data = XLSX.utils.sheet_to_json(sheet, { header: 1 });
 
       if (data.length === 0) {
-        console.log(`   ⚠️  Empty file: ${path.basename(filePath)}`);
+        log.warn(`   ⚠️  Empty file: ${path.basename(filePath)}`);
         continue;
       }
 
@@ -50,9 +64,9 @@ export function mergeXlsFiles(filePaths, outputPath) {
       allData.push(...nonEmptyRows);
       totalRows += nonEmptyRows.length;
 
-      console.log(`   ✅ Added ${nonEmptyRows.length} rows from ${path.basename(filePath)}`);
+      log.info(`   ✅ Added ${nonEmptyRows.length} rows from ${path.basename(filePath)}`);
     } catch (error) {
-      console.error(`   ❌ Error reading ${path.basename(filePath)}: ${error.message}`);
+      log.error(`   ❌ Error reading ${path.basename(filePath)}: ${error.message}`);
     }
   }
 
@@ -60,10 +74,36 @@ export function mergeXlsFiles(filePaths, outputPath) {
     throw new Error('No data found in any of the files');
   }
 
-  // Create new workbook with merged data
+  // Write the merged file
+  writeWorkbook([{ name: 'Combined POs', rows: allData }], outputPath);
+
+  log.info(`\n✅ Merged file saved: ${outputPath}`);
+  log.info(`   📊 Total rows: ${totalRows} (+ 1 header row)`);
+
+  return outputPath;
+}
+
+/**
+ * Write one or more sheets (arrays of rows) to a workbook
+ * @param {{ name: string, rows: Array[] }[]} sheets - Sheets in output order
+ * @param {string} outputPath - Path for the output file
+ * @returns {string} Path to the written file
+ */
+export function writeWorkbook(sheets, outputPath) {
   const newWorkbook = XLSX.utils.book_new();
-  const newSheet = XLSX.utils.aoa_to_sheet(allData);
-  XLSX.utils.book_append_sheet(newWorkbook, newSheet, 'Combined POs');
+  for (const { name, rows } of sheets) {
+    const sheet = XLSX.utils.aoa_to_sheet(rows);
+
+    // Write typed dates (UTC midnight) as date-formatted serials; SheetJS would
+    // otherwise convert them through the local timezone
+    rows.forEach((row, r) => row.forEach((cell, c) => {
+      if (cell instanceof Date) {
+        sheet[XLSX.utils.encode_cell({ r, c })] = { t: 'n', v: toExcelSerial(cell), z: 'yyyy-mm-dd' };
+      }
+    }));
+
+    XLSX.utils.book_append_sheet(newWorkbook, sheet, name);
+  }
 
   // Ensure output directory exists
   const outputDir = path.dirname(outputPath);
@@ -71,15 +111,19 @@ export function mergeXlsFiles(filePaths, outputPath) {
     fs.mkdirSync(outputDir, { recursive: true });
   }
 
-  // Write the merged file
   XLSX.writeFile(newWorkbook, outputPath);
-
-  console.log(`\n✅ Merged file saved: ${outputPath}`);
-  console.log(`   📊 Total rows: ${totalRows} (+ 1 header row)`);
-
   return outputPath;
 }
 
+/**
+ * Convert a UTC midnight date to an Excel date serial
+ * @param {Date} date
+ * @returns {number}
+ */
+function toExcelSerial(date) {
+  return Math.round((date.getTime() - Date.UTC(1899, 11, 30)) / (24 * 60 * 60 * 1000));
+}
+
 /**
  * Generate a timestamped filename for merged files
  * @param {string} prefix - Filename prefix
@@ -92,7 +136,32 @@ export function generateMergedFilename(prefix = 'combined_po', extension = '.xls
 }
 
 /**
- * Flatten and merge PO XLS files into normalized structure
+ * Flatten and merge PO XLS files into a single "All POs" sheet
+ * See parsePoFiles() for how the files are flattened.
+ *
+ * @param {string[]} filePaths - Array of file paths to merge
+ * @param {string} outputPath - Path for the merged output file
+ * @param {Object} [options] - Passed to parsePoFiles()
+ * @param {boolean} [options.normalized] - Also add the "POs" and "Line Items" sheets
+ * @returns {string} Path to the merged file
+ */
+export function flattenAndMergePoFiles(filePaths, outputPath, options = {}) {
+  const parsed = parsePoFiles(filePaths, options);
+
+  const sheets = [{ name: 'All POs', rows: [parsed.headers, ...parsed.rows] }];
+  if (options.normalized) {
+    sheets.push(...buildNormalizedSheets(parsed));
+  }
+  writeWorkbook(sheets, outputPath);
+
+  log.info(`\n✅ Flattened file saved: ${outputPath}`);
+  log.info(`   📊 Total rows: ${parsed.rows.length} (+ 1 header row)`);
+
+  return outputPath;
+}
+
+/**
+ * Parse and flatten PO XLS files into a normalized structure
  * Each individual PO XLS may have:
  * - Header rows with PO info (PO ID, date, warehouse, etc.)
  * - Line item rows (SKU, product name, qty, price)
@@ -102,23 +171,76 @@ export function generateMergedFilename(prefix = 'combined_po', extension = '.xls
  * 1. First pass: Collect all unique line item headers from all files
  * 2. Second pass: Map each file's data to the canonical header positions
  *
+ * Extra per-file columns (e.g. PO_Status) can be passed via options.fileColumns
+ * and are placed between the metadata and the line item columns.
+ *
+ * The result holds both the flat rows (one per line item, PO metadata repeated)
+ * and the POs with their line items nested, so every output format is written
+ * from the same parsed data.
+ *
+ * PO header fields are found by label anywhere above the line items, using
+ * options.fieldMap (see config/po-fields.js). Required fields are always output;
+ * optional ones only when found in at least one file.
+ *
+ * Summary totals below the line items (see PO_SUMMARY_FIELDS) are added as PO
+ * columns, and each PO's line items are reconciled against them within
+ * options.reconcileTolerance. Results are in the Reconciled / Reconcile_Notes
+ * columns and in the returned reconciliation list.
+ *
+ * Line item headers are mapped to canonical names with options.lineItemColumns
+ * (see config/line-item-columns.js), so "Qty" and "Quantity" end up in one
+ * column. Canonical columns keep the alias table's order; unknown headers follow,
+ * sorted by name, and are returned in unknownHeaders.
+ *
+ * Cell values are converted using options.columnTypes (see config/column-types.js):
+ * dates become real dates and amounts like "1,23,456.00" become numbers. Cells
+ * that can't be converted are kept as-is and listed in typeFailures.
+ *
  * @param {string[]} filePaths - Array of file paths to merge
- * @param {string} outputPath - Path for the merged output file
- * @returns {string} Path to the merged file
+ * @param {Object} [options]
+ * @param {Object} [options.fileColumns] - Map of file path -> { columnName: value }
+ * @param {Object[]} [options.fieldMap] - PO header field map
+ * @param {number} [options.reconcileTolerance] - Allowed difference between line item sums and PO totals (default 1)
+ * @param {Object|false} [options.columnTypes] - Column -> type map, or false to keep raw values
+ * @param {Object[]} [options.lineItemColumns] - Canonical line item columns with aliases
+ * @returns {{ headers: string[], rows: Array[], metadataHeaders: string[], lineItemHeaders: string[], pos: Object[], warnings: Object[], reconciliation: Object[], typeFailures: Object[], unknownHeaders: string[] }}
  */
-export function flattenAndMergePoFiles(filePaths, outputPath) {
+export function parsePoFiles(filePaths, options = {}) {
   if (!filePaths || filePaths.length === 0) {
     throw new Error('No files provided to flatten and merge');
   }
 
-  console.log(`\n📊 Flattening and merging ${filePaths.length} PO file(s)...`);
+  log.info(`\n📊 Flattening and merging ${filePaths.length} PO file(s)...`);
 
-  // Fixed metadata headers (always in this order)
-  const metadataHeaders = ['PO_Number', 'Category', 'Order_Date', 'PO_Expiry', 'Supplier_Name', 'Payment_Term'];
+  const fieldMap = options.fieldMap || DEFAULT_PO_FIELDS;
+  const reconcileTolerance = options.reconcileTolerance ?? 1;
+  const warnings = []; // { file, message }
+  const reconciliation = []; // { file, poNumber, status, notes }
+  const typeFailures = []; // { file, poNumber, row, column, type, value }
+
+  // Alias lookup: normalized header -> canonical column
+  const lineItemColumns = options.lineItemColumns || LINE_ITEM_COLUMNS;
+  const aliasIndex = new Map();
+  for (const { column, aliases } of lineItemColumns) {
+    for (const name of [column, ...aliases]) {
+      aliasIndex.set(normalizeHeaderKey(name), column);
+    }
+  }
+  const unknownHeaders = new Map(); // normalized header -> name as first seen
+
+  // Extra per-file columns, in order of first appearance
+  const fileColumns = options.fileColumns || {};
+  const extraHeaders = [];
+  for (const filePath of filePaths) {
+    for (const column of Object.keys(fileColumns[filePath] || {})) {
+      if (!extraHeaders.includes(column)) {
+        extraHeaders.push(column);
+      }
+    }
+  }
 
   // PASS 1: Collect all unique line item headers from all files
-  console.log(`   🔍 Pass 1: Scanning files for column headers...`);
-  const allLineItemHeadersSet = new Set();
+  log.info(`   🔍 Pass 1: Scanning files for column headers...`);
   const fileDataCache = []; // Cache parsed data to avoid re-reading
 
   for (const filePath of filePaths) {
@@ -128,54 +250,90 @@ export function flattenAndMergePoFiles(filePaths, outputPath) {
       const sheet = workbook.Sheets[sheetName];
       const data = XLSX.utils.sheet_to_json(sheet, { header: 1 });
 
-      if (data.length === 0) {
+      // An .xls without cells still reads as one empty row
+      if (!data.some(row => row && row.length > 0)) {
         fileDataCache.push({ filePath, data: null });
         continue;
       }
 
-      // Get line item headers from this file
-      const lineItemHeaders = getLineItemHeaders(data);
-      lineItemHeaders.forEach(h => {
-        if (h !== undefined && h !== null && h !== '') {
-          allLineItemHeadersSet.add(h);
-        }
-      });
+      // Get PO header fields, line items and summary totals from this file
+      const { metadata, missing, lineItems, summary } = extractPoDataWithMapping(data, fieldMap);
+      if (missing.length > 0) {
+        const message = `Missing required PO field(s): ${missing.join(', ')}`;
+        log.warn(`   ⚠️  ${path.basename(filePath)}: ${message}`);
+        warnings.push({ file: path.basename(filePath), message });
+      }
 
-      fileDataCache.push({ filePath, data, lineItemHeaders });
+      // Map this file's line item headers to canonical column names
+      const lineItemHeaders = Array.from(getLineItemHeaders(data), header => resolveLineItemHeader(header, aliasIndex, unknownHeaders));
+
+      // Reconcile line items against the PO's own totals
+      const result = reconcilePo(lineItemHeaders, lineItems, summary.totals, reconcileTolerance);
+      reconciliation.push({ file: path.basename(filePath), poNumber: metadata.PO_Number || '', ...result });
+      if (result.status === 'mismatch') {
+        const message = `Line items don't match PO totals: ${result.notes}`;
+        log.warn(`   ⚠️  ${path.basename(filePath)}: ${message}`);
+        warnings.push({ file: path.basename(filePath), message });
+      }
+
+      fileDataCache.push({ filePath, data, metadata, lineItems, summary, reconciled: result, lineItemHeaders });
     } catch (error) {
-      console.error(`   ❌ Error reading ${path.basename(filePath)}: ${error.message}`);
+      log.error(`   ❌ Error reading ${path.basename(filePath)}: ${error.message}`);
       fileDataCache.push({ filePath, data: null, error: error.message });
     }
   }
 
-  // Build canonical header order: metadata + all unique line item headers
-  // Preserve order by using the first file's headers as base, then append any extras
-  const canonicalLineItemHeaders = [];
-  for (const { lineItemHeaders } of fileDataCache) {
-    if (lineItemHeaders) {
-      for (const h of lineItemHeaders) {
-        if (h !== undefined && h !== null && h !== '' && !canonicalLineItemHeaders.includes(h)) {
-          canonicalLineItemHeaders.push(h);
-        }
-      }
-    }
+  // Metadata headers in field map order: required fields + optional fields found in any file
+  const metadataHeaders = fieldMap
+    .filter(field => field.required || fileDataCache.some(({ metadata }) => metadata && metadata[field.column] !== undefined))
+    .map(field => field.column);
+
+  // Summary columns found in any file, plus reconciliation flags when any PO has totals
+  const summaryHeaders = PO_SUMMARY_FIELDS
+    .filter(field => fileDataCache.some(({ summary }) => summary && summary.totals[field.column] !== undefined))
+    .map(field => field.column);
+  if (fileDataCache.some(({ summary }) => summary && summary.importantTerms)) {
+    summaryHeaders.push('Important_Terms');
+  }
+  if (summaryHeaders.some(h => h !== 'Important_Terms')) {
+    summaryHeaders.push('Reconciled', 'Reconcile_Notes');
+  }
+
+  const prefixHeaders = [...metadataHeaders, ...summaryHeaders, ...extraHeaders];
+
+  // Build canonical header order: metadata + line item columns present in any file
+  // Known columns follow the alias table order and unknown ones are sorted by name,
+  // so the order doesn't depend on which file came first
+  const presentHeaders = new Set(fileDataCache.flatMap(({ lineItemHeaders }) => lineItemHeaders || []));
+  const unknownHeaderNames = [...unknownHeaders.values()].sort((a, b) => a.localeCompare(b));
+  const canonicalLineItemHeaders = [
+    ...lineItemColumns.map(({ column }) => column).filter(column => presentHeaders.has(column)),
+    ...unknownHeaderNames
+  ];
+
+  if (unknownHeaderNames.length > 0) {
+    log.info(`   ❓ Unknown line item column(s), add them to the alias table if they duplicate a known one: ${unknownHeaderNames.join(', ')}`);
   }
 
-  const canonicalHeaders = [...metadataHeaders, ...canonicalLineItemHeaders];
-  console.log(`   📋 Canonical columns: ${canonicalHeaders.length} (${metadataHeaders.length} metadata + ${canonicalLineItemHeaders.length} line item)`);
+  const canonicalHeaders = [...prefixHeaders, ...canonicalLineItemHeaders];
+  log.info(`   📋 Canonical columns: ${canonicalHeaders.length} (${prefixHeaders.length} metadata + ${canonicalLineItemHeaders.length} line item)`);
+
+  // Type of each output column (null = keep raw value)
+  const columnTypes = options.columnTypes === false ? {} : (options.columnTypes || DEFAULT_COLUMN_TYPES);
+  const typesByColumn = resolveColumnTypes(canonicalHeaders, columnTypes);
 
   // PASS 2: Process data with column mapping
-  console.log(`   🔄 Pass 2: Processing files with column alignment...`);
-  const allRows = [canonicalHeaders]; // Start with header row
-  let totalRows = 0;
+  log.info(`   🔄 Pass 2: Processing files with column alignment...`);
+  const allRows = [];
+  const pos = []; // { file, metadata: { column: value }, lineItems: [{ column: value }] }
 
-  for (const { filePath, data, lineItemHeaders, error } of fileDataCache) {
+  for (const { filePath, data, metadata, lineItems, summary, reconciled, lineItemHeaders, error } of fileDataCache) {
     if (error || !data) {
-      if (!error) console.log(`   ⚠️  Empty file: ${path.basename(filePath)}`);
+      if (!error) log.warn(`   ⚠️  Empty file: ${path.basename(filePath)}`);
       continue;
     }
 
-    console.log(`   📄 Processing: ${path.basename(filePath)}`);
+    log.info(`   📄 Processing: ${path.basename(filePath)}`);
 
     // Build column mapping: source index -> canonical index
     const columnMapping = new Map();
@@ -185,66 +343,237 @@ export function flattenAndMergePoFiles(filePaths, outputPath) {
         if (header !== undefined && header !== null && header !== '') {
           const canonicalIdx = canonicalLineItemHeaders.indexOf(header);
           if (canonicalIdx !== -1) {
-            // Add metadataHeaders.length offset since line items come after metadata
-            columnMapping.set(srcIdx, metadataHeaders.length + canonicalIdx);
+            // Add prefixHeaders.length offset since line items come after metadata
+            columnMapping.set(srcIdx, prefixHeaders.length + canonicalIdx);
           }
         }
       }
     }
 
-    // Flatten this PO's data using the column mapping
-    const { metadata, lineItems } = extractPoDataWithMapping(data);
+    // PO-level values: metadata, summary and extra per-file columns
+    const extraValues = fileColumns[filePath] || {};
+    const summaryValues = {
+      ...summary.totals,
+      Important_Terms: summary.importantTerms,
+      Reconciled: { ok: 'Yes', mismatch: 'No' }[reconciled.status] || '',
+      Reconcile_Notes: reconciled.notes
+    };
+    const rawPrefixValues = [
+      ...metadataHeaders.map(column => metadata[column] ?? ''),
+      ...summaryHeaders.map(column => summaryValues[column] ?? ''),
+      ...extraHeaders.map(column => extraValues[column] ?? '')
+    ];
+
+    // Convert a cell to its column type, recording cells that can't be converted
+    const typeCell = (value, idx, rowNumber) => {
+      const type = typesByColumn[idx];
+      if (!type) return value;
+
+      const converted = convertValue(value, type);
+      if (!converted.ok) {
+        typeFailures.push({
+          file: path.basename(filePath),
+          poNumber: metadata.PO_Number || '',
+          row: rowNumber,
+          column: canonicalHeaders[idx],
+          type,
+          value
+        });
+      }
+      return converted.value;
+    };
+
+    const prefixValues = rawPrefixValues.map((value, idx) => typeCell(value, idx, null));
+
+    const po = { file: path.basename(filePath), metadata: {}, lineItems: [] };
+    prefixHeaders.forEach((header, idx) => {
+      po.metadata[header] = prefixValues[idx];
+    });
 
     // Map each line item row to canonical positions
     for (const row of lineItems) {
       // Create output row with all positions initialized to empty
       const outputRow = new Array(canonicalHeaders.length).fill('');
 
-      // Fill metadata positions (0-5)
-      outputRow[0] = metadata.poNumber || '';
-      outputRow[1] = metadata.category || '';
-      outputRow[2] = metadata.orderDate || '';
-      outputRow[3] = metadata.poExpiry || '';
-      outputRow[4] = metadata.supplierName || '';
-      outputRow[5] = metadata.paymentTerm || '';
+      // Fill PO-level positions
+      prefixValues.forEach((value, idx) => {
+        outputRow[idx] = value;
+      });
 
       // Fill line item positions using column mapping
       for (let srcIdx = 0; srcIdx < row.length; srcIdx++) {
         const targetIdx = columnMapping.get(srcIdx);
         if (targetIdx !== undefined) {
-          outputRow[targetIdx] = row[srcIdx] !== undefined ? row[srcIdx] : '';
+          const value = row[srcIdx] !== undefined ? row[srcIdx] : '';
+          // Two source headers can alias the same column; don't let an empty one overwrite a value
+          if (value !== '' || outputRow[targetIdx] === '') {
+            outputRow[targetIdx] = typeCell(value, targetIdx, po.lineItems.length + 1);
+          }
         }
       }
 
       allRows.push(outputRow);
+      po.lineItems.push(rowToObject(outputRow, canonicalHeaders, prefixHeaders.length));
     }
+    pos.push(po);
 
-    totalRows += lineItems.length;
-    console.log(`   ✅ Added ${lineItems.length} rows from ${path.basename(filePath)}`);
+    log.info(`   ✅ Added ${lineItems.length} rows from ${path.basename(filePath)}`);
   }
 
-  if (allRows.length <= 1) {
+  if (allRows.length === 0) {
     throw new Error('No data found in any of the files');
   }
 
-  // Create new workbook with flattened data
-  const newWorkbook = XLSX.utils.book_new();
-  const newSheet = XLSX.utils.aoa_to_sheet(allRows);
-  XLSX.utils.book_append_sheet(newWorkbook, newSheet, 'All POs');
+  if (typeFailures.length > 0) {
+    log.warn(`   ⚠️  ${typeFailures.length} cell(s) could not be converted and were kept as-is:`);
+    for (const { file, row, column, type, value } of typeFailures.slice(0, 10)) {
+      log.info(`      ${file}${row ? ` row ${row}` : ''}, ${column}: "${value}" is not a valid ${type}`);
+    }
+    if (typeFailures.length > 10) {
+      log.info(`      ... and ${typeFailures.length - 10} more`);
+    }
+    warnings.push({ file: null, message: `${typeFailures.length} cell(s) could not be converted to their column type` });
+  }
 
-  // Ensure output directory exists
-  const outputDir = path.dirname(outputPath);
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
+  return {
+    headers: canonicalHeaders,
+    rows: allRows,
+    metadataHeaders: prefixHeaders,
+    lineItemHeaders: canonicalLineItemHeaders,
+    pos,
+    warnings,
+    reconciliation,
+    typeFailures,
+    unknownHeaders: unknownHeaderNames
+  };
+}
+
+/**
+ * Map a line item header to its canonical column name
+ * @param {*} header - Header as found in the PO file
+ * @param {Map} aliasIndex - Normalized header -> canonical column
+ * @param {Map} unknownHeaders - Collects headers with no alias (normalized -> first seen name)
+ * @returns {string} Canonical name, the header itself when unknown, or '' for empty headers
+ */
+function resolveLineItemHeader(header, aliasIndex, unknownHeaders) {
+  const key = normalizeHeaderKey(header);
+  if (!key) return '';
+
+  if (aliasIndex.has(key)) {
+    return aliasIndex.get(key);
   }
 
-  // Write the merged file
-  XLSX.writeFile(newWorkbook, outputPath);
+  if (!unknownHeaders.has(key)) {
+    unknownHeaders.set(key, String(header).trim());
+  }
+  return unknownHeaders.get(key);
+}
+
+/**
+ * Look up the type of each output column (matching ignores case and extra spaces)
+ * @param {string[]} headers - Output column names
+ * @param {Object} columnTypes - Column -> type map
+ * @returns {Array<string|null>} Type per column index
+ */
+function resolveColumnTypes(headers, columnTypes) {
+  const normalizedTypes = new Map();
+  for (const [column, type] of Object.entries(columnTypes)) {
+    normalizedTypes.set(normalizeLabel(column), type);
+  }
+  return headers.map(header => normalizedTypes.get(normalizeLabel(header)) || null);
+}
+
+/**
+ * Build the normalized sheets from parsed PO data
+ * - "POs": one row per PO with all header fields plus line count, total quantity and total value
+ * - "Line Items": one row per line item, keyed by PO_Number
+ * @param {Object} parsed - Result of parsePoFiles()
+ * @returns {{ name: string, rows: Array[] }[]} Sheets to add next to the flat sheet
+ */
+export function buildNormalizedSheets(parsed) {
+  const quantityHeader = findHeader(parsed.lineItemHeaders, QUANTITY_HEADER_PATTERNS);
+  const valueHeader = findHeader(parsed.lineItemHeaders, VALUE_HEADER_PATTERNS);
 
-  console.log(`\n✅ Flattened file saved: ${outputPath}`);
-  console.log(`   📊 Total rows: ${totalRows} (+ 1 header row)`);
+  const poRows = [[...parsed.metadataHeaders, 'Line_Count', 'Total_Quantity', 'Total_Value']];
+  const lineItemRows = [['PO_Number', ...parsed.lineItemHeaders]];
 
-  return outputPath;
+  for (const po of parsed.pos) {
+    let totalQuantity = 0;
+    let totalValue = 0;
+
+    for (const item of po.lineItems) {
+      totalQuantity += quantityHeader ? toNumber(item[quantityHeader]) : 0;
+      totalValue += valueHeader ? toNumber(item[valueHeader]) : 0;
+      lineItemRows.push([po.metadata.PO_Number, ...parsed.lineItemHeaders.map(h => item[h] ?? '')]);
+    }
+
+    poRows.push([
+      ...parsed.metadataHeaders.map(h => po.metadata[h] ?? ''),
+      po.lineItems.length,
+      quantityHeader ? totalQuantity : '',
+      valueHeader ? Math.round(totalValue * 100) / 100 : ''
+    ]);
+  }
+
+  if (!quantityHeader || !valueHeader) {
+    log.warn(`   ⚠️  Could not find ${!quantityHeader ? 'quantity' : 'value'} column, PO totals left blank`);
+  }
+
+  return [
+    { name: 'POs', rows: poRows },
+    { name: 'Line Items', rows: lineItemRows }
+  ];
+}
+
+/**
+ * Find the first header matching any of the patterns (in pattern priority order)
+ * @param {string[]} headers
+ * @param {RegExp[]} patterns
+ * @returns {string|null}
+ */
+function findHeader(headers, patterns) {
+  for (const pattern of patterns) {
+    const header = headers.find(h => pattern.test(String(h).trim()));
+    if (header) return header;
+  }
+  return null;
+}
+
+/**
+ * Convert a cell value like 1200, "1,23,456.00" or "₹ 250" to a number
+ * @param {*} value
+ * @returns {number} Parsed number or 0 if not numeric
+ */
+function toNumber(value) {
+  return parseIndianNumber(value) ?? 0;
+}
+
+/**
+ * Convert the line item part of a flattened row into an object keyed by header
+ * @param {Array} row - Flattened output row
+ * @param {string[]} headers - Canonical headers
+ * @param {number} startIdx - Index of the first line item column
+ * @returns {Object}
+ */
+function rowToObject(row, headers, startIdx) {
+  const item = {};
+  for (let i = startIdx; i < headers.length; i++) {
+    item[headers[i]] = row[i];
+  }
+  return item;
+}
+
+/**
+ * Read the PO header metadata of a single PO file
+ * @param {string} filePath - Path to the PO XLS file
+ * @param {Object[]} [fieldMap] - PO header field map
+ * @returns {Object} Extracted metadata keyed by output column (PO_Number, Order_Date, PO_Expiry, ...)
+ */
+export function readPoMetadata(filePath, fieldMap = DEFAULT_PO_FIELDS) {
+  const workbook = XLSX.readFile(filePath);
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const data = XLSX.utils.sheet_to_json(sheet, { header: 1 });
+  return extractPoMetadata(data, fieldMap).metadata;
 }
 
 /**
@@ -252,39 +581,28 @@ export function flattenAndMergePoFiles(filePaths, outputPath) {
  * @param {Array[]} data - Raw sheet data as array of arrays
  * @returns {Array} Line item headers array
  */
-function getLineItemHeaders(data) {
+export function getLineItemHeaders(data) {
   if (!data || data.length === 0) return [];
 
-  for (let i = 0; i < data.length; i++) {
-    const row = data[i];
-    if (row && row[0] && (row[0] === 'S. no.' || row[0] === 'S.no.' || row[0] === 'Sno' || row[0] === 'S No')) {
-      return row;
-    }
-  }
-  return [];
+  const headerIndex = findLineItemsHeaderIndex(data);
+  return headerIndex === -1 ? [] : data[headerIndex];
 }
 
 /**
  * Extract PO data with raw line items (no header combining)
  * @param {Array[]} data - Raw sheet data as array of arrays
- * @returns {Object} { metadata, lineItems }
+ * @param {Object[]} [fieldMap] - PO header field map
+ * @returns {Object} { metadata, missing, lineItems, summary }
  */
-function extractPoDataWithMapping(data) {
-  const metadata = extractPoMetadata(data);
+export function extractPoDataWithMapping(data, fieldMap = DEFAULT_PO_FIELDS) {
+  const { metadata, missing } = extractPoMetadata(data, fieldMap);
   const lineItems = [];
+  let summary = { totals: {}, importantTerms: '' };
 
   // Find line items header row
-  let lineItemsHeaderIndex = -1;
-  for (let i = 0; i < data.length; i++) {
-    const row = data[i];
-    if (row && row[0] && (row[0] === 'S. no.' || row[0] === 'S.no.' || row[0] === 'Sno' || row[0] === 'S No')) {
-      lineItemsHeaderIndex = i;
-      break;
-    }
-  }
-
+  const lineItemsHeaderIndex = findLineItemsHeaderIndex(data);
   if (lineItemsHeaderIndex === -1) {
-    return { metadata, lineItems: [] };
+    return { metadata, missing, lineItems, summary };
   }
 
   // Extract line items (rows after header until summary row)
@@ -297,57 +615,176 @@ function extractPoDataWithMapping(data) {
       // This is a line item row - store raw row data
       lineItems.push(row);
     } else if (firstCell && (String(firstCell).includes('Total') || String(firstCell).includes('Important'))) {
-      // Reached summary section, stop processing
+      // Reached summary section, read totals and terms from here on
+      summary = extractPoSummary(data, i, data[lineItemsHeaderIndex]);
       break;
     }
   }
 
-  return { metadata, lineItems };
+  return { metadata, missing, lineItems, summary };
 }
 
 /**
- * Extract PO metadata from header rows
+ * Extract PO summary totals and the "Important" terms block
  * @param {Array[]} data - Raw sheet data
- * @returns {Object} Extracted metadata
+ * @param {number} startIndex - Index of the first summary row
+ * @param {Array} lineItemHeaders - Line items header row (to read the "Total" row by column)
+ * @returns {{ totals: Object, importantTerms: string }} Totals keyed by PO_SUMMARY_FIELDS column
  */
-function extractPoMetadata(data) {
-  const metadata = {
-    poNumber: '',
-    category: '',
-    orderDate: '',
-    poExpiry: '',
-    supplierName: '',
-    paymentTerm: ''
-  };
+function extractPoSummary(data, startIndex, lineItemHeaders) {
+  const totals = {};
+  const importantLines = [];
+  let inImportant = false;
+
+  const labelToColumn = new Map();
+  const headerToColumn = new Map();
+  for (const field of PO_SUMMARY_FIELDS) {
+    field.labels.forEach(label => labelToColumn.set(normalizeLabel(label), field.column));
+    field.lineItemHeaders.forEach(header => headerToColumn.set(normalizeLabel(header), field.column));
+  }
 
-  // Row 1 typically has: PO#, value, Nature Of Supply, value, ..., CATEGORY, value, ORDER DATE, value
-  const row1 = data[1] || [];
-  for (let i = 0; i < row1.length - 1; i++) {
-    const cell = row1[i];
-    const nextCell = row1[i + 1];
-    if (cell === 'PO#') metadata.poNumber = nextCell || '';
-    if (cell === 'CATEGORY') metadata.category = nextCell || '';
-    if (cell === 'ORDER DATE') metadata.orderDate = nextCell || '';
-    if (cell === 'PO Expiry') metadata.poExpiry = nextCell || '';
-  }
-
-  // Row 2 has supplier name
-  const row2 = data[2] || [];
-  for (let i = 0; i < row2.length - 1; i++) {
-    if (row2[i] === 'SUPPLIER NAME') {
-      metadata.supplierName = row2[i + 1] || '';
-      break;
+  for (let i = startIndex; i < data.length; i++) {
+    const row = data[i];
+    if (!row || row.length === 0) continue;
+
+    const cells = row.filter(cell => cell !== undefined && cell !== null && cell !== '');
+    const firstCell = String(row[0] ?? '').trim();
+
+    // Everything from the "Important" row on is free text
+    if (inImportant || /important/i.test(firstCell)) {
+      inImportant = true;
+      if (cells.length > 0) importantLines.push(cells.join(' '));
+      continue;
+    }
+
+    // Label/value pairs, e.g. "GRAND TOTAL" | 1234.00
+    for (let j = 0; j < row.length; j++) {
+      if (typeof row[j] !== 'string') continue;
+      const column = labelToColumn.get(normalizeLabel(row[j]));
+      if (!column || totals[column] !== undefined) continue;
+
+      const valueCell = row.slice(j + 1).find(cell => cell !== undefined && cell !== null && cell !== '');
+      if (valueCell !== undefined && isNumeric(valueCell)) {
+        totals[column] = toNumber(valueCell);
+      }
+    }
+
+    // "Total" row with values under the line item columns
+    if (/^total$/i.test(firstCell)) {
+      for (let j = 1; j < row.length; j++) {
+        const column = headerToColumn.get(normalizeLabel(lineItemHeaders[j] ?? ''));
+        if (column && totals[column] === undefined && isNumeric(row[j])) {
+          totals[column] = toNumber(row[j]);
+        }
+      }
     }
   }
 
-  // Row 6 has payment term
-  const row6 = data[6] || [];
-  for (let i = 0; i < row6.length - 1; i++) {
-    if (row6[i] === 'CREDIT TERM') {
-      metadata.paymentTerm = row6[i + 1] || '';
-      break;
+  return { totals, importantTerms: importantLines.join('\n') };
+}
+
+/**
+ * Reconcile a PO's line items against its summary totals
+ * @param {Array} lineItemHeaders - Line items header row
+ * @param {Array[]} lineItems - Raw line item rows
+ * @param {Object} totals - From extractPoSummary()
+ * @param {number} tolerance - Allowed absolute difference
+ * @returns {{ status: 'ok'|'mismatch'|'unchecked', notes: string }}
+ */
+function reconcilePo(lineItemHeaders, lineItems, totals, tolerance) {
+  const mismatches = [];
+  let checked = 0;
+
+  for (const field of PO_SUMMARY_FIELDS) {
+    if (totals[field.column] === undefined) continue;
+
+    const idx = lineItemHeaders.findIndex(h => h && field.lineItemHeaders.includes(normalizeLabel(h)));
+    if (idx === -1) continue;
+
+    const sum = Math.round(lineItems.reduce((acc, row) => acc + toNumber(row[idx]), 0) * 100) / 100;
+    checked++;
+    if (Math.abs(sum - totals[field.column]) > tolerance) {
+      mismatches.push(`${field.column} ${totals[field.column]} vs line items ${sum}`);
     }
   }
 
-  return metadata;
+  if (checked === 0) {
+    return { status: 'unchecked', notes: Object.keys(totals).length === 0 ? 'No PO totals found' : 'No matching line item columns' };
+  }
+  return mismatches.length > 0
+    ? { status: 'mismatch', notes: mismatches.join('; ') }
+    : { status: 'ok', notes: '' };
+}
+
+/**
+ * Check if a cell holds a number (including "1,23,456.00" style text)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isNumeric(value) {
+  return parseIndianNumber(value) !== null;
+}
+
+/**
+ * Find the index of the line items header row ("S. no.")
+ * @param {Array[]} data - Raw sheet data
+ * @returns {number} Row index or -1 if not found
+ */
+function findLineItemsHeaderIndex(data) {
+  for (let i = 0; i < data.length; i++) {
+    const row = data[i];
+    if (row && row[0] && SERIAL_HEADER_KEYS.has(normalizeHeaderKey(row[0]))) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Extract PO metadata from the header block above the line items
+ * Every string cell is looked up in the field map; its value is the next
+ * non-empty cell to the right that is not itself a label.
+ * @param {Array[]} data - Raw sheet data
+ * @param {Object[]} [fieldMap] - Label variants -> output column (see config/po-fields.js)
+ * @returns {{ metadata: Object, missing: string[] }} Metadata keyed by output column, and missing required columns
+ */
+export function extractPoMetadata(data, fieldMap = DEFAULT_PO_FIELDS) {
+  const labelToColumn = new Map();
+  for (const field of fieldMap) {
+    for (const label of field.labels) {
+      labelToColumn.set(normalizeLabel(label), field.column);
+    }
+  }
+
+  const metadata = {};
+  const headerEnd = findLineItemsHeaderIndex(data);
+  const headerRows = data.slice(0, headerEnd === -1 ? data.length : headerEnd);
+
+  for (const row of headerRows) {
+    if (!row) continue;
+
+    for (let i = 0; i < row.length; i++) {
+      if (typeof row[i] !== 'string') continue;
+
+      const column = labelToColumn.get(normalizeLabel(row[i]));
+      if (!column || metadata[column]) continue;
+
+      // Value is the next non-empty cell, unless a new label comes first
+      let value = '';
+      for (let j = i + 1; j < row.length; j++) {
+        const cell = row[j];
+        if (cell === undefined || cell === null || cell === '') continue;
+        if (typeof cell === 'string' && labelToColumn.has(normalizeLabel(cell))) break;
+        value = typeof cell === 'string' ? cell.trim() : cell;
+        break;
+      }
+      metadata[column] = value;
+    }
+  }
+
+  const missing = fieldMap
+    .filter(field => field.required && (metadata[field.column] === undefined || metadata[field.column] === ''))
+    .map(field => field.column);
+
+  return { metadata, missing };
 }
@@ -0,0 +1,224 @@
+/**
+ * End-to-end tests: FlipkartLoginAndDownloadPOTask against the mock Vendor Hub
+ * Runs headless Chromium (npx playwright install chromium). The tests share the
+ * saved session and ledger, so they run in order.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import { startMockVendorHub, MOCK_ACCOUNT } from '../mock-vendor-hub/server.js';
+import { samplePOs } from '../mock-vendor-hub/po-files.js';
+import { FlipkartLoginAndDownloadPOTask } from '../../src/tasks/flipkart/login-and-download-po.js';
+import { FlipkartLoginTask } from '../../src/tasks/flipkart/login.js';
+import { configureLogger } from '../../src/utils/logger.js';
+import { DEFAULT_SELECTORS } from '../../src/config/selectors.js';
+
+const TIMEOUT = 5 * 60 * 1000;
+const [RETAIL, HOME] = MOCK_ACCOUNT.companies;
+
+// Two full pages for the first company, one page for the second
+const retailPOs = samplePOs({ company: RETAIL, count: 20 });
+const homePOs = samplePOs({ company: HOME, count: 10, prefix: 'FLBLR', firstNumber: 7531200 });
+
+let hub;
+let workDir;
+
+configureLogger({ level: process.env.LOG_LEVEL || 'warn' });
+
+before(async () => {
+  hub = await startMockVendorHub({ pos: [...retailPOs, ...homePOs] });
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'filflo-e2e-'));
+});
+
+after(async () => {
+  await hub?.close();
+  if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Task config pointing at the mock, with everything written below workDir
+ */
+function taskConfig(overrides = {}) {
+  const downloadPath = path.join(workDir, overrides.folder || 'downloads');
+  return {
+    baseUrl: hub.url,
+    headless: true,
+    flipkartEmail: MOCK_ACCOUNT.email,
+    flipkartPassword: MOCK_ACCOUNT.password,
+    companyName: RETAIL,
+    sessionPath: path.join(workDir, 'session.json'),
+    downloadPath,
+    ledgerPath: path.join(downloadPath, 'po-ledger.json'),
+    outputFormats: ['xlsx', 'json'],
+    downloadRetryDelayMs: 500,
+    ...overrides
+  };
+}
+
+/**
+ * POs in the JSON output of a run
+ */
+function readJsonOutput(task) {
+  const jsonFile = task.outputFiles.find(file => file.endsWith('.json'));
+  assert.ok(jsonFile, `no JSON output in ${task.outputFiles.join(', ')}`);
+  return JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+}
+
+test('logs in, selects the company and downloads the POs of every list page', { timeout: TIMEOUT }, async () => {
+  const task = new FlipkartLoginAndDownloadPOTask(taskConfig());
+  await task.execute();
+
+  assert.equal(hub.logins, 1);
+  assert.ok(fs.existsSync(path.join(workDir, 'session.json')), 'session is saved');
+  assert.deepEqual(hub.downloads.map(d => d.poNumber).sort(), retailPOs.map(po => po.poNumber).sort());
+
+  const pos = readJsonOutput(task);
+  assert.equal(pos.length, 20);
+  for (const po of retailPOs) {
+    const output = pos.find(p => p.PO_Number === po.poNumber);
+    assert.ok(output, `${po.poNumber} is in the combined file`);
+    assert.equal(output.PO_Status, 'open');
+    assert.equal(output.Order_Date, po.orderDate.toISOString().slice(0, 10));
+    assert.deepEqual(output.lineItems.map(item => item['SKU Id']), po.lineItems.map(item => item.sku));
+    assert.deepEqual(output.lineItems.map(item => item.Quantity), po.lineItems.map(item => item.quantity));
+  }
+
+  const { downloadTask } = task.companyRuns[0];
+  assert.equal(downloadTask.currentPage, 2);
+  assert.equal(downloadTask.failedDownloads.length, 0);
+
+  const manifest = JSON.parse(fs.readFileSync(task.manifestPaths[0], 'utf8'));
+  assert.equal(manifest.outcome, 'complete');
+  assert.equal(manifest.summary.downloaded, 20);
+  assert.deepEqual(manifest.selectors.keys['login.email'], { primary: 'email-type', matched: { 'email-type': 1 }, misses: 0, fallback: false });
+  assert.deepEqual(manifest.selectors.keys['poList.rowDownload'].matched, { 'button-text': 20 });
+  assert.deepEqual(task.getSummary().selectorFallbacks, []);
+
+  const ledger = JSON.parse(fs.readFileSync(taskConfig().ledgerPath, 'utf8'));
+  assert.equal(ledger.count, 20);
+});
+
+test('reuses the saved session, only outputs new POs and reports amended ones', { timeout: TIMEOUT }, async () => {
+  // A new PO at the top of the list; the oldest one is closed and leaves the open list
+  const [newPO] = samplePOs({ company: RETAIL, count: 1, firstNumber: 7529699, newestOrderDate: new Date(Date.UTC(2024, 3, 1)) });
+  const closedPO = retailPOs[retailPOs.length - 1];
+  closedPO.status = 'closed';
+  retailPOs.unshift(newPO);
+  hub.pos.unshift(newPO);
+
+  // An already downloaded PO is amended: quantity cut, expiry extended by a week
+  const amendedPO = retailPOs[1];
+  const [amendedLine] = amendedPO.lineItems;
+  const oldQuantity = amendedLine.quantity;
+  const oldExpiry = amendedPO.expiry.toISOString().slice(0, 10);
+  amendedLine.quantity -= 4;
+  amendedPO.expiry = new Date(amendedPO.expiry.getTime() + 7 * 24 * 60 * 60 * 1000);
+  let downloadsBefore = hub.downloads.length;
+
+  // By default only the new PO is downloaded; the removal shows from the list
+  const task = new FlipkartLoginAndDownloadPOTask(taskConfig());
+  await task.execute();
+
+  assert.equal(hub.logins, 1, 'no second login');
+  assert.deepEqual(hub.downloads.slice(downloadsBefore).map(d => d.poNumber), [newPO.poNumber]);
+  assert.deepEqual(readJsonOutput(task).map(po => po.PO_Number), [newPO.poNumber]);
+
+  let { downloadTask } = task.companyRuns[0];
+  assert.equal(downloadTask.runSummary().skipped, 19);
+  assert.deepEqual(downloadTask.changes.newPOs, [newPO.poNumber]);
+  assert.deepEqual(downloadTask.changes.removedPOs, [{ poNumber: closedPO.poNumber, status: 'open' }]);
+  assert.deepEqual(downloadTask.changes.changes.filter(change => change.change === 'changed'), []);
+
+  // refreshKnown downloads the known POs again to find the amendment, none of them goes into the output
+  downloadsBefore = hub.downloads.length;
+  const refreshTask = new FlipkartLoginAndDownloadPOTask(taskConfig({ refreshKnown: true }));
+  await refreshTask.execute();
+
+  const openPOs = retailPOs.filter(po => po.status === 'open').map(po => po.poNumber);
+  assert.deepEqual(hub.downloads.slice(downloadsBefore).map(d => d.poNumber).sort(), openPOs.sort());
+
+  ({ downloadTask } = refreshTask.companyRuns[0]);
+  assert.equal(downloadTask.runSummary().skipped, 20);
+  assert.equal(downloadTask.parsed, null);
+  assert.deepEqual(downloadTask.changes.newPOs, []);
+  assert.deepEqual(downloadTask.changes.changes, [
+    { change: 'changed', poNumber: amendedPO.poNumber, line: '', field: 'PO_Expiry', oldValue: oldExpiry, newValue: amendedPO.expiry.toISOString().slice(0, 10) },
+    { change: 'changed', poNumber: amendedPO.poNumber, line: amendedLine.sku, field: 'Quantity', oldValue: oldQuantity, newValue: oldQuantity - 4 }
+  ]);
+});
+
+test('switches company and downloads each company into its own folder', { timeout: TIMEOUT }, async () => {
+  const downloadsBefore = hub.downloads.length;
+  const config = taskConfig({ folder: 'companies', maxOrders: 3 });
+  const task = new FlipkartLoginAndDownloadPOTask({
+    ...config,
+    profiles: [{
+      name: 'vendor',
+      email: MOCK_ACCOUNT.email,
+      password: MOCK_ACCOUNT.password,
+      sessionPath: config.sessionPath,
+      companies: [RETAIL, HOME]
+    }]
+  });
+  await task.execute();
+
+  const downloads = hub.downloads.slice(downloadsBefore);
+  assert.equal(downloads.filter(d => d.company === RETAIL).length, 3);
+  assert.equal(downloads.filter(d => d.company === HOME).length, 3);
+
+  for (const { company, downloadTask } of task.companyRuns) {
+    const pos = readJsonOutput(downloadTask);
+    assert.equal(pos.length, 3);
+    assert.ok(pos.every(po => po.Company === company), `${company} output only holds its own POs`);
+    assert.notEqual(downloadTask.downloadPath, config.downloadPath);
+  }
+
+  // Plus the file with both companies
+  const combined = task.outputFiles.find(file => file.includes('all_companies') && file.endsWith('.json'));
+  assert.equal(JSON.parse(fs.readFileSync(combined, 'utf8')).length, 6);
+});
+
+test('records fallback selectors when the primary ones no longer match', { timeout: TIMEOUT }, async () => {
+  // A deployment override whose primary strategies don't exist on the page
+  const broken = { name: 'renamed-markup', selector: '#no-such-element' };
+  const selectors = {
+    ...DEFAULT_SELECTORS,
+    'login.email': [broken, ...DEFAULT_SELECTORS['login.email']],
+    'poList.rowDownload': [broken, ...DEFAULT_SELECTORS['poList.rowDownload']]
+  };
+  const loginsBefore = hub.logins;
+
+  const task = new FlipkartLoginAndDownloadPOTask(taskConfig({
+    folder: 'selectors',
+    sessionPath: path.join(workDir, 'selectors-session.json'),
+    maxOrders: 2,
+    selectors
+  }));
+  await task.execute();
+
+  assert.equal(hub.logins, loginsBefore + 1);
+  const manifest = JSON.parse(fs.readFileSync(task.manifestPaths[0], 'utf8'));
+  assert.equal(manifest.outcome, 'complete');
+  assert.deepEqual(manifest.selectors.keys['login.email'], { primary: 'renamed-markup', matched: { 'email-type': 1 }, misses: 0, fallback: true });
+  assert.deepEqual(manifest.selectors.keys['poList.rowDownload'], { primary: 'renamed-markup', matched: { 'button-text': 2 }, misses: 0, fallback: true });
+  assert.equal(manifest.selectors.keys['login.password'].fallback, false);
+  assert.deepEqual(task.getSummary().selectorFallbacks, [
+    'login.email: email-type (primary "renamed-markup" did not match)',
+    'poList.rowDownload: button-text (primary "renamed-markup" did not match)'
+  ]);
+});
+
+test('stops with a clear error when the saved session expired in headless mode', { timeout: TIMEOUT }, async () => {
+  hub.expireSessions();
+
+  const task = new FlipkartLoginTask(taskConfig());
+  await task.initialize();
+  try {
+    await assert.rejects(task.run(), /Saved session has expired/);
+  } finally {
+    await task.cleanup();
+  }
+});
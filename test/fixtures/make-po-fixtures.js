@@ -0,0 +1,82 @@
+/**
+ * PO Fixture Generator
+ * Writes the anonymised PO workbooks in test/fixtures/po-files/ used by the
+ * merger tests. The layouts follow real Vendor Hub downloads of different
+ * template versions; names, GSTINs and addresses are made up.
+ *
+ * Run after changing a fixture: node test/fixtures/make-po-fixtures.js
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import XLSX from 'xlsx';
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'po-files');
+
+export const FIXTURES = {
+  // Current template: full header block, GST columns, "Total" row and "Important" terms
+  'template-v1.xls': [
+    ['PURCHASE ORDER'],
+    ['PO#', 'FLGWN07500001', 'Nature Of Supply', 'Goods', 'CATEGORY', 'Kitchen', 'ORDER DATE', '05-01-2024', 'PO Expiry', '20-01-2024'],
+    ['SUPPLIER NAME', 'SAMPLE TRADERS PVT LTD', 'SUPPLIER ADDRESS', '1 Test Street, Pune', 'SUPPLIER GSTIN', '27AAAAA0000A1Z5'],
+    ['BILLED BY', 'Buyer India Pvt Ltd', 'BILLING ADDRESS', 'Plot 2, Bhiwandi', 'BILLING GSTIN', '27BBBBB1111B1Z5'],
+    ['SHIPPED FROM', 'Pune', 'SHIPPING ADDRESS', 'Plot 2, Bhiwandi', 'SHIPPING GSTIN', '27BBBBB1111B1Z5'],
+    ['CONTACT PERSON', 'Vendor Desk', 'PHONE', '9000000001', 'EMAIL', 'desk@example.com'],
+    ['CREDIT TERM', '30 days', 'WAREHOUSE', 'GWN_WH1'],
+    [],
+    ['S. no.', 'FSN/ISBN13', 'SKU Id', 'Title', 'HSN/SA Code', 'Quantity', 'Supplier Price', 'Taxable Value', 'IGST Rate', 'IGST Amount', 'Tax Amount', 'Total Amount'],
+    [1, 'FSNAAAA00001', 'SKU-001', 'Steel Bottle 750ml', '73239390', 10, 200, 2000, 18, 360, 360, 2360],
+    [2, 'FSNAAAA00002', 'SKU-002', 'Glass Jar 1L', '70133700', 5, '1,000.00', '5,000.00', 12, 600, 600, 5600],
+    ['Total', '', '', '', '', 15, '', 7000, '', 960, 960, 7960],
+    ['Important Notification'],
+    ['1. Deliver before the PO expiry date'],
+    ['2. Quote the PO number on the invoice']
+  ],
+
+  // Older template: other labels, aliased and extra line item columns, numeric-string
+  // serials, label/value totals and no Nature Of Supply / GSTIN rows
+  'template-v0.xls': [
+    ['Purchase Order'],
+    ['PO NUMBER :', 'FLBLR07500002', 'PO DATE', '2024-01-08'],
+    ['EXPIRY DATE', '23 Jan 2024', 'CATEGORY', 'Home'],
+    ['VENDOR NAME', 'SAMPLE TRADERS PVT LTD', 'PAYMENT TERMS', '45 days'],
+    ['WAREHOUSE NAME', 'BLR_WH2'],
+    ['Sr No', 'FSN', 'Seller SKU', 'Product Name', 'Qty', 'Unit Price', 'Amount', 'Brand', 'Colour'],
+    ['1', 'FSNBBBB00001', 'SKU-101', 'Lunch Box 3 Compartment', '4', 250, 1000, 'Acme', 'Blue'],
+    ['2', 'FSNBBBB00002', 'SKU-102', 'Ceramic Mug 350ml', 6, 150, 900, 'Acme', ''],
+    [],
+    ['Total Qty', '', 10],
+    ['Grand Total', '', '1,900.00']
+  ],
+
+  // Header block without CATEGORY and CREDIT TERM, no summary below the line items
+  'missing-metadata.xls': [
+    ['PO#', 'FLGWN07500003', 'ORDER DATE', '10-01-2024', 'PO Expiry', '25-01-2024'],
+    ['SUPPLIER NAME', 'SAMPLE TRADERS PVT LTD'],
+    ['S. no.', 'FSN/ISBN13', 'SKU Id', 'Title', 'Quantity', 'Supplier Price', 'Total Amount'],
+    [1, 'FSNAAAA00003', 'SKU-003', 'Kettle 1.5L', 3, 800, 2400]
+  ],
+
+  // A download that came back without any cells
+  'empty.xls': []
+};
+
+/**
+ * Write a fixture workbook (first sheet holds the rows as given)
+ * @param {string} filePath - Output .xls path
+ * @param {Array[]} rows - Sheet rows
+ */
+export function writeFixture(filePath, rows) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'PO');
+  fs.writeFileSync(filePath, XLSX.write(workbook, { type: 'buffer', bookType: 'xls' }));
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  fs.mkdirSync(FIXTURE_DIR, { recursive: true });
+  for (const [name, rows] of Object.entries(FIXTURES)) {
+    writeFixture(path.join(FIXTURE_DIR, name), rows);
+    console.log(`✅ ${path.join('test/fixtures/po-files', name)}`);
+  }
+}
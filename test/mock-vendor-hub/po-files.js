@@ -0,0 +1,100 @@
+/**
+ * Mock Vendor Hub PO Data
+ * Sample POs for the mock Vendor Hub and the XLS files it serves, laid out
+ * like the real PO download (header block, line items, Total row, terms)
+ */
+
+import XLSX from 'xlsx';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PRODUCTS = [
+  { fsn: 'MUGEY8GHZ2QF', sku: 'MUG-CER-350', title: 'Ceramic Mug 350ml', price: 149 },
+  { fsn: 'BTLFZ7HXKQ3T', sku: 'BTL-STL-750', title: 'Steel Bottle 750ml', price: 399 },
+  { fsn: 'LUNHB6YZP4MD', sku: 'LBX-3CMP', title: 'Lunch Box 3 Compartment', price: 299 },
+  { fsn: 'JARG9KQ2WX7N', sku: 'JAR-GLS-1L', title: 'Glass Jar 1L', price: 189 }
+];
+
+/**
+ * Format a date as in the Vendor Hub PO list ("05 Jan 2024")
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatListDate(date) {
+  return `${String(date.getUTCDate()).padStart(2, '0')} ${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+}
+
+/**
+ * Format a date as in a PO file header ("05-01-2024")
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatFileDate(date) {
+  return `${String(date.getUTCDate()).padStart(2, '0')}-${String(date.getUTCMonth() + 1).padStart(2, '0')}-${date.getUTCFullYear()}`;
+}
+
+/**
+ * Generate POs for one company and status, newest order date first (like the real list)
+ * @param {Object} options
+ * @param {string} options.company - Company the POs belong to
+ * @param {string} [options.status] - PO status (open, closed, ...)
+ * @param {number} [options.count] - Number of POs
+ * @param {number} [options.firstNumber] - Numeric part of the first PO number
+ * @param {string} [options.prefix] - PO number prefix (warehouse code)
+ * @param {Date} [options.newestOrderDate] - Order date of the first PO; each next one is a day older
+ * @returns {Object[]} { poNumber, company, status, orderDate, expiry, warehouse, lineItems }
+ */
+export function samplePOs({ company, status = 'open', count = 20, firstNumber = 7529700, prefix = 'FLGWN', newestOrderDate = new Date(Date.UTC(2024, 2, 31)) }) {
+  return Array.from({ length: count }, (_, index) => {
+    const orderDate = new Date(newestOrderDate.getTime() - index * DAY_MS);
+    return {
+      poNumber: `${prefix}${String(firstNumber + index).padStart(8, '0')}`,
+      company,
+      status,
+      orderDate,
+      expiry: new Date(orderDate.getTime() + 15 * DAY_MS),
+      warehouse: `${prefix.slice(2)}_WH1`,
+      lineItems: PRODUCTS.slice(0, 1 + (index % PRODUCTS.length)).map((product, line) => ({
+        ...product,
+        quantity: 10 * (line + 1) + index
+      }))
+    };
+  });
+}
+
+/**
+ * Build the XLS file of a PO
+ * @param {Object} po - From samplePOs()
+ * @returns {Buffer} XLS (BIFF8) file content
+ */
+export function buildPoWorkbook(po) {
+  const lines = po.lineItems.map((item, index) => [
+    index + 1,
+    item.fsn,
+    item.sku,
+    item.title,
+    item.quantity,
+    item.price,
+    item.quantity * item.price
+  ]);
+
+  const data = [
+    ['PURCHASE ORDER'],
+    ['PO#', po.poNumber, 'Nature Of Supply', 'Goods', 'CATEGORY', 'Kitchen', 'ORDER DATE', formatFileDate(po.orderDate), 'PO Expiry', formatFileDate(po.expiry)],
+    ['SUPPLIER NAME', po.company, 'SUPPLIER ADDRESS', '12 MG Road, Pune', 'SUPPLIER GSTIN', '27ABCDE1234F1Z5'],
+    ['BILLED BY', 'Flipkart India Pvt Ltd', 'BILLING ADDRESS', 'Bhiwandi, Maharashtra', 'BILLING GSTIN', '27AACCF0683K1ZD'],
+    ['SHIPPED FROM', 'Pune', 'SHIPPING ADDRESS', `${po.warehouse}, Bhiwandi`],
+    ['CONTACT PERSON', 'Vendor Desk', 'PHONE', '9999999999'],
+    ['CREDIT TERM', '30 days', 'WAREHOUSE', po.warehouse],
+    [],
+    ['S. no.', 'FSN/ISBN13', 'SKU Id', 'Title', 'Quantity', 'Supplier Price', 'Total Amount'],
+    ...lines,
+    ['Total', '', '', '', lines.reduce((sum, line) => sum + line[4], 0), '', lines.reduce((sum, line) => sum + line[6], 0)],
+    ['Important Notification', 'Deliver before the PO expiry date']
+  ];
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(data), 'PO');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xls' });
+}
@@ -0,0 +1,182 @@
+/**
+ * Mock Vendor Hub single page app
+ * Hash routes like the real site: #/welcome/login, #/welcome/select-account,
+ * #/dashboard and #/operations/po/list?status=open
+ */
+
+const app = document.getElementById('app');
+let renderId = 0; // drops renders overtaken by a newer hash change
+
+async function api(method, url, body) {
+  const response = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function parseHash() {
+  const [route, query = ''] = (location.hash.replace(/^#/, '') || '/').split('?');
+  return { route, params: new URLSearchParams(query) };
+}
+
+function header(session) {
+  return `<header>
+    <strong>Vendor Hub</strong>
+    <span>${escapeHtml(session.company || '')}</span>
+    <a href="#/operations/po/list?status=open">Purchase Orders</a>
+    <a href="#/welcome/select-account">Switch Account</a>
+  </header>`;
+}
+
+function renderLogin() {
+  app.innerHTML = `<form class="card" id="login-form">
+    <h1>Vendor Hub</h1>
+    <label>Email <input type="email" name="email" placeholder="Enter email" autocomplete="off"></label>
+    <label>Password <input type="password" name="password" placeholder="Enter password"></label>
+    <div class="captcha">&#9745; I'm not a robot (mock reCAPTCHA, solved automatically)</div>
+    <p class="error" hidden></p>
+    <button type="submit">Sign In</button>
+  </form>`;
+
+  const form = document.getElementById('login-form');
+  const error = form.querySelector('.error');
+  let timer = null;
+
+  const submit = async () => {
+    const email = form.email.value.trim();
+    const password = form.password.value;
+    if (!email || !password) return;
+
+    const { status, data } = await api('POST', '/api/login', { email, password });
+    if (status === 200) {
+      location.hash = '#/welcome/select-account';
+    } else {
+      error.textContent = data.error;
+      error.hidden = false;
+    }
+  };
+
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    submit();
+  });
+  // Stands in for the person solving the CAPTCHA and clicking Sign In
+  form.addEventListener('input', () => {
+    clearTimeout(timer);
+    timer = setTimeout(submit, 1000);
+  });
+}
+
+function renderAccountPicker(session) {
+  let step = 'account';
+  let selected = null;
+
+  const draw = () => {
+    const tiles = step === 'account' ? ['FKI'] : session.companies;
+    app.innerHTML = `<div class="card">
+      <h2>${step === 'account' ? 'Select Account' : 'Select Company'}</h2>
+      <div class="tiles">${tiles.map(name => `<div class="tile${name === selected ? ' selected' : ''}">${escapeHtml(name)}</div>`).join('')}</div>
+      <button id="next">Next</button>
+    </div>`;
+
+    app.querySelectorAll('.tile').forEach(tile => tile.addEventListener('click', () => {
+      selected = tile.textContent;
+      draw();
+    }));
+    document.getElementById('next').addEventListener('click', async () => {
+      if (!selected) return;
+      if (step === 'account') {
+        step = 'company';
+        selected = null;
+        return draw();
+      }
+      const { status } = await api('POST', '/api/account/company', { company: selected });
+      if (status === 200) location.hash = '#/dashboard';
+    });
+  };
+  draw();
+}
+
+function renderDashboard(session) {
+  app.innerHTML = `${header(session)}<main><h2>Welcome, ${escapeHtml(session.email)}</h2></main>`;
+}
+
+async function renderPoList(session, status, id) {
+  let page = 1;
+  app.innerHTML = `${header(session)}<main>
+    <div class="tabs">${['open', 'closed', 'expired'].map(s => `<a href="#/operations/po/list?status=${s}">${s[0].toUpperCase() + s.slice(1)}</a>`).join('')}</div>
+    <div id="po-table">Loading...</div>
+  </main>`;
+
+  const load = async () => {
+    const { data } = await api('GET', `/api/pos?status=${encodeURIComponent(status)}&page=${page}`);
+    if (id !== renderId) return;
+
+    const rows = data.rows.map(row => `<div role="row">
+      <div role="cell">${escapeHtml(row.poNumber)}</div>
+      <div role="cell">${escapeHtml(row.orderDate)}</div>
+      <div role="cell">${escapeHtml(row.expiry)}</div>
+      <div role="cell">${escapeHtml(row.warehouse)}</div>
+      <div role="cell">${row.quantity}</div>
+      <div role="cell">${escapeHtml(row.status)}</div>
+      <div role="cell"><button class="download-po" data-po="${escapeHtml(row.poNumber)}">Download</button></div>
+    </div>`);
+
+    document.getElementById('po-table').innerHTML = `<div role="grid" class="po-grid">
+      <div role="row">
+        <div role="columnheader">PO Number</div>
+        <div role="columnheader">Order Date</div>
+        <div role="columnheader">PO Expiry</div>
+        <div role="columnheader">Warehouse</div>
+        <div role="columnheader">Quantity</div>
+        <div role="columnheader">Status</div>
+        <div role="columnheader">Action</div>
+      </div>
+      ${rows.join('')}
+    </div>
+    ${data.total === 0 ? '<p>No purchase orders</p>' : ''}
+    <div class="pagination">
+      <span class="page-info">Showing ${data.from}-${data.to} of ${data.total}</span>
+      <button aria-label="Previous page" ${data.page <= 1 ? 'disabled' : ''}>&lt;</button>
+      <span>${data.page} of ${data.pages} pages</span>
+      <button aria-label="Next page" ${data.page >= data.pages ? 'disabled' : ''}>&gt;</button>
+    </div>`;
+
+    document.querySelectorAll('.download-po').forEach(button => button.addEventListener('click', () => {
+      const link = document.createElement('a');
+      link.href = `/download/${button.dataset.po}.xls`;
+      link.download = '';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    }));
+    document.querySelector('[aria-label="Previous page"]').addEventListener('click', () => { page--; load(); });
+    document.querySelector('[aria-label="Next page"]').addEventListener('click', () => { page++; load(); });
+  };
+  await load();
+}
+
+async function render() {
+  const id = ++renderId;
+  const { route, params } = parseHash();
+  const { data: session } = await api('GET', '/api/session');
+  if (id !== renderId) return;
+
+  if (route === '/welcome/login') return renderLogin();
+  if (!session.loggedIn) {
+    location.hash = '#/welcome/login';
+    return;
+  }
+  if (route === '/welcome/select-account' || !session.company) return renderAccountPicker(session);
+  if (route === '/operations/po/list') return renderPoList(session, params.get('status') || 'open', id);
+  return renderDashboard(session);
+}
+
+window.addEventListener('hashchange', render);
+render();
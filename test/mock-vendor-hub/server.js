@@ -0,0 +1,235 @@
+/**
+ * Mock Vendor Hub
+ * A local stand-in for Flipkart Vendor Hub to run the Playwright tasks against:
+ * login page (the CAPTCHA counts as solved), FKI/company picker, a paginated
+ * PO list in div[role="row"] markup and per-row XLS downloads.
+ *
+ * The pages are static (public/), the data comes from a small JSON API:
+ *   POST /api/login            { email, password } -> session cookie
+ *   GET  /api/session          logged-in account, selected company
+ *   POST /api/account/company  { company }
+ *   GET  /api/pos              ?status=open&page=1
+ *   GET  /download/<PO>.xls    PO file (session and company must match)
+ *
+ * Run it on its own with `npm run mock-hub` and point the bot at it with VENDOR_HUB_URL.
+ */
+
+import http from 'http';
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { samplePOs, buildPoWorkbook, formatListDate } from './po-files.js';
+
+const PUBLIC_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'public');
+const STATIC_FILES = {
+  '/': { file: 'index.html', type: 'text/html; charset=utf-8' },
+  '/app.js': { file: 'app.js', type: 'text/javascript; charset=utf-8' }
+};
+
+export const MOCK_ACCOUNT = {
+  email: 'vendor@example.com',
+  password: 'mock-password',
+  companies: ['ACME RETAIL PVT LTD', 'ACME HOME PVT LTD']
+};
+
+/**
+ * Default data: 20 open POs (two pages) for the first company, 12 for the second
+ */
+function defaultPOs() {
+  return [
+    ...samplePOs({ company: MOCK_ACCOUNT.companies[0], count: 20 }),
+    ...samplePOs({ company: MOCK_ACCOUNT.companies[1], count: 12, prefix: 'FLBLR', firstNumber: 7531200 })
+  ];
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read a JSON request body ({} if empty or invalid)
+ * @returns {Promise<Object>}
+ */
+function readJsonBody(req) {
+  return new Promise(resolve => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        resolve({});
+      }
+    });
+  });
+}
+
+/**
+ * Read a cookie from the request
+ */
+function readCookie(req, name) {
+  const match = (req.headers.cookie || '').match(new RegExp(`(?:^|;\\s*)${name}=([^;]+)`));
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Start the mock Vendor Hub
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port to listen on (0 = any free port)
+ * @param {string} [options.host] - Interface to listen on (default 127.0.0.1)
+ * @param {Object[]} [options.accounts] - { email, password, companies } that can log in
+ * @param {Object[]} [options.pos] - POs to list (see po-files.js samplePOs())
+ * @param {number} [options.perPage] - Rows per PO list page (the real list shows 10)
+ * @param {number} [options.latencyMs] - Delay before API responses, like a slow backend
+ * @returns {Promise<Object>} { url, server, pos, sessions, downloads, logins, expireSessions(), close() }
+ */
+export async function startMockVendorHub(options = {}) {
+  const accounts = options.accounts || [MOCK_ACCOUNT];
+  const pos = options.pos || defaultPOs();
+  const perPage = options.perPage || 10;
+  const latencyMs = options.latencyMs ?? 150;
+
+  const hub = {
+    url: null,
+    pos, // edit in place to change what the site lists
+    sessions: new Map(), // token -> { email, company }
+    downloads: [], // { poNumber, company } per file served
+    logins: 0
+  };
+
+  const currentSession = req => {
+    const token = readCookie(req, 'vh_session');
+    return token ? hub.sessions.get(token) || null : null;
+  };
+
+  const routes = {
+    'POST /api/login': async (req, res) => {
+      const { email, password } = await readJsonBody(req);
+      const account = accounts.find(a => a.email === email && a.password === password);
+      if (!account) {
+        return sendJson(res, 401, { error: 'Invalid email or password' });
+      }
+      const token = crypto.randomBytes(16).toString('hex');
+      hub.sessions.set(token, { email, company: null });
+      hub.logins++;
+      sendJson(res, 200, { ok: true }, { 'Set-Cookie': `vh_session=${token}; Path=/; HttpOnly; SameSite=Lax` });
+    },
+
+    'GET /api/session': (req, res) => {
+      const session = currentSession(req);
+      if (!session) {
+        return sendJson(res, 200, { loggedIn: false });
+      }
+      const account = accounts.find(a => a.email === session.email);
+      sendJson(res, 200, { loggedIn: true, email: session.email, company: session.company, companies: account.companies });
+    },
+
+    'POST /api/account/company': async (req, res) => {
+      const session = currentSession(req);
+      if (!session) {
+        return sendJson(res, 401, { error: 'Not logged in' });
+      }
+      const { company } = await readJsonBody(req);
+      if (!accounts.find(a => a.email === session.email).companies.includes(company)) {
+        return sendJson(res, 400, { error: `Unknown company: ${company}` });
+      }
+      session.company = company;
+      sendJson(res, 200, { ok: true, company });
+    },
+
+    'GET /api/pos': (req, res, url) => {
+      const session = currentSession(req);
+      if (!session?.company) {
+        return sendJson(res, 401, { error: 'Select a company first' });
+      }
+      const status = url.searchParams.get('status') || 'open';
+      const matching = pos.filter(po => po.company === session.company && po.status === status);
+      const pages = Math.max(1, Math.ceil(matching.length / perPage));
+      const page = Math.min(Math.max(1, parseInt(url.searchParams.get('page')) || 1), pages);
+
+      sendJson(res, 200, {
+        status,
+        page,
+        pages,
+        total: matching.length,
+        from: matching.length > 0 ? (page - 1) * perPage + 1 : 0,
+        to: Math.min(page * perPage, matching.length),
+        rows: matching.slice((page - 1) * perPage, page * perPage).map(po => ({
+          poNumber: po.poNumber,
+          orderDate: formatListDate(po.orderDate),
+          expiry: formatListDate(po.expiry),
+          warehouse: po.warehouse,
+          status: po.status,
+          quantity: po.lineItems.reduce((sum, item) => sum + item.quantity, 0)
+        }))
+      });
+    }
+  };
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && STATIC_FILES[url.pathname]) {
+      const { file, type } = STATIC_FILES[url.pathname];
+      res.writeHead(200, { 'Content-Type': type });
+      return res.end(fs.readFileSync(path.join(PUBLIC_DIR, file)));
+    }
+
+    const download = req.method === 'GET' && url.pathname.match(/^\/download\/([A-Z0-9]+)\.xls$/);
+    if (download) {
+      const session = currentSession(req);
+      const po = pos.find(p => p.poNumber === download[1]);
+      if (!session || !po || po.company !== session.company) {
+        return sendJson(res, session ? 404 : 401, { error: 'PO not available' });
+      }
+      hub.downloads.push({ poNumber: po.poNumber, company: po.company });
+      res.writeHead(200, {
+        'Content-Type': 'application/vnd.ms-excel',
+        'Content-Disposition': `attachment; filename="PO_${po.poNumber}.xls"`
+      });
+      return res.end(buildPoWorkbook(po));
+    }
+
+    const route = routes[`${req.method} ${url.pathname}`];
+    if (!route) {
+      return sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+    }
+    await new Promise(resolve => setTimeout(resolve, latencyMs));
+    await route(req, res, url);
+  };
+
+  hub.server = http.createServer((req, res) => {
+    handle(req, res).catch(error => sendJson(res, 500, { error: error.message }));
+  });
+
+  await new Promise((resolve, reject) => {
+    hub.server.once('error', reject);
+    hub.server.listen(options.port ?? 0, options.host || '127.0.0.1', resolve);
+  });
+  const { address, port } = hub.server.address();
+  hub.url = `http://${address}:${port}`;
+
+  // Logs every session out, like an expired session on the real site
+  hub.expireSessions = () => hub.sessions.clear();
+  hub.close = () => new Promise(resolve => {
+    hub.server.closeAllConnections();
+    hub.server.close(() => resolve());
+  });
+
+  return hub;
+}
+
+// Started directly: serve the default data until stopped
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const hub = await startMockVendorHub({ port: parseInt(process.env.MOCK_HUB_PORT) || 4010 });
+  console.log(`🧪 Mock Vendor Hub running at ${hub.url}`);
+  console.log(`   Login: ${MOCK_ACCOUNT.email} / ${MOCK_ACCOUNT.password}`);
+  console.log(`   Companies: ${MOCK_ACCOUNT.companies.join(', ')}`);
+  console.log(`   Try: VENDOR_HUB_URL=${hub.url} npm run download-po -- --no-headless`);
+}
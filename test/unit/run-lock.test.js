@@ -0,0 +1,75 @@
+/**
+ * Unit tests: run lock (utils/run-lock.js)
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import { acquireLock, readLock, releaseLock } from '../../src/utils/run-lock.js';
+import { configureLogger } from '../../src/utils/logger.js';
+
+configureLogger({ level: 'error' });
+
+describe('run lock', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'filflo-lock-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Lock file written some seconds ago
+   */
+  const writeLockFile = (name, content, ageSeconds = 0) => {
+    const lockPath = path.join(dir, name);
+    fs.writeFileSync(lockPath, content);
+    const mtime = new Date(Date.now() - ageSeconds * 1000);
+    fs.utimesSync(lockPath, mtime, mtime);
+    return lockPath;
+  };
+
+  test('takes and releases the lock', () => {
+    const lockPath = path.join(dir, 'nested', 'run.lock');
+
+    const lock = acquireLock(lockPath, 'download-po');
+    assert.equal(lock.pid, process.pid);
+    assert.deepEqual(readLock(lockPath), lock);
+
+    releaseLock(lockPath);
+    assert.equal(fs.existsSync(lockPath), false);
+  });
+
+  test('is refused while another live process holds it', () => {
+    const lockPath = writeLockFile('held.lock', JSON.stringify({ pid: process.ppid, label: 'schedule' }));
+
+    assert.equal(acquireLock(lockPath, 'download-po'), null);
+    assert.equal(readLock(lockPath).label, 'schedule');
+  });
+
+  test('clears the lock of a process that has died', () => {
+    const lockPath = writeLockFile('dead.lock', JSON.stringify({ pid: 2 ** 22 + 1, label: 'schedule' }));
+
+    assert.equal(acquireLock(lockPath, 'download-po').label, 'download-po');
+  });
+
+  test('clears an empty or half-written lock file once it is a few seconds old', () => {
+    const emptyPath = writeLockFile('empty.lock', '', 60);
+    const cutOffPath = writeLockFile('cut-off.lock', '{ "pid": 12', 60);
+
+    assert.equal(acquireLock(emptyPath, 'download-po').pid, process.pid);
+    assert.equal(acquireLock(cutOffPath, 'download-po').pid, process.pid);
+  });
+
+  test('leaves a lock file alone that may still be being written', () => {
+    const lockPath = writeLockFile('writing.lock', '');
+
+    assert.equal(acquireLock(lockPath, 'download-po'), null);
+    assert.equal(fs.readFileSync(lockPath, 'utf8'), '');
+  });
+});
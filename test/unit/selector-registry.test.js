@@ -0,0 +1,123 @@
+/**
+ * Unit tests: selector registry (config/selectors.js, core/SelectorRegistry.js)
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import { DEFAULT_SELECTORS, SELECTORS_VERSION, loadSelectors } from '../../src/config/selectors.js';
+import { SelectorRegistry } from '../../src/core/SelectorRegistry.js';
+import { configureLogger } from '../../src/utils/logger.js';
+
+configureLogger({ level: 'error' });
+
+describe('loadSelectors', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'filflo-selectors-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeOverride = (name, content) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, JSON.stringify(content));
+    return filePath;
+  };
+
+  test('returns the defaults without an override file', () => {
+    assert.equal(loadSelectors(''), DEFAULT_SELECTORS);
+  });
+
+  test('replaces the strategies of overridden keys only', () => {
+    const emailStrategies = [{ name: 'login-id', selector: '#loginId' }, ...DEFAULT_SELECTORS['login.email']];
+    const selectors = loadSelectors(writeOverride('valid.json', {
+      version: SELECTORS_VERSION,
+      selectors: { 'login.email': emailStrategies }
+    }));
+
+    assert.deepEqual(selectors['login.email'], emailStrategies);
+    assert.equal(selectors['login.password'], DEFAULT_SELECTORS['login.password']);
+    assert.equal(DEFAULT_SELECTORS['login.email'][0].name, 'email-type', 'defaults are not modified');
+  });
+
+  test('rejects files for another registry version', () => {
+    assert.throws(
+      () => loadSelectors(writeOverride('old.json', { version: SELECTORS_VERSION - 1, selectors: {} })),
+      new RegExp(`is for registry version ${SELECTORS_VERSION - 1}, this bot uses version ${SELECTORS_VERSION}`)
+    );
+    assert.throws(() => loadSelectors(writeOverride('unversioned.json', { selectors: {} })), /version unknown/);
+  });
+
+  test('rejects unknown keys and invalid strategies', () => {
+    assert.throws(
+      () => loadSelectors(writeOverride('typo.json', { version: SELECTORS_VERSION, selectors: { 'login.mail': [{ name: 'a', selector: 'b' }] } })),
+      /Unknown selector key "login.mail"/
+    );
+    assert.throws(
+      () => loadSelectors(writeOverride('empty.json', { version: SELECTORS_VERSION, selectors: { 'login.email': [] } })),
+      /non-empty array of \{ name, selector \}/
+    );
+    assert.throws(
+      () => loadSelectors(writeOverride('unnamed.json', { version: SELECTORS_VERSION, selectors: { 'login.email': [{ selector: '#email' }] } })),
+      /non-empty array of \{ name, selector \}/
+    );
+  });
+
+  test('fails for a missing file', () => {
+    assert.throws(() => loadSelectors(path.join(dir, 'missing.json')), /Selector file not found/);
+  });
+});
+
+describe('SelectorRegistry', () => {
+  test('every default key has uniquely named strategies', () => {
+    for (const [key, strategies] of Object.entries(DEFAULT_SELECTORS)) {
+      const names = strategies.map(strategy => strategy.name);
+      assert.equal(new Set(names).size, names.length, `${key} has duplicate strategy names`);
+    }
+  });
+
+  test('reports which strategies matched and where a fallback was needed', () => {
+    const registry = new SelectorRegistry();
+    registry.recordMatch('login.email', 'email-type');
+    registry.recordMatch('poList.rowDownload', 'button-text');
+    registry.recordMatch('poList.rowDownload', 'link-text');
+    registry.recordMatch('poList.rowDownload', 'link-text');
+    registry.recordMiss('poList.pageSize');
+
+    assert.deepEqual(registry.report(), {
+      version: SELECTORS_VERSION,
+      keys: {
+        'login.email': { primary: 'email-type', matched: { 'email-type': 1 }, misses: 0, fallback: false },
+        'poList.rowDownload': { primary: 'button-text', matched: { 'button-text': 1, 'link-text': 2 }, misses: 0, fallback: true },
+        'poList.pageSize': { primary: 'select-with-50', matched: {}, misses: 1, fallback: false }
+      }
+    });
+    assert.deepEqual(registry.fallbacks(), ['poList.rowDownload: link-text (primary "button-text" did not match)']);
+  });
+
+  test('warns once per key when a fallback matches', () => {
+    const registry = new SelectorRegistry();
+    const warnings = [];
+    registry.log = { warn: message => warnings.push(message) };
+
+    registry.recordMatch('login.password', 'password-type');
+    registry.recordMatch('login.password', 'password-name');
+    registry.recordMatch('login.password', 'password-id');
+
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /"login.password": primary strategy "password-type" no longer matches, found via fallback "password-name"/);
+  });
+
+  test('uses the strategies it was given', () => {
+    const registry = new SelectorRegistry({ ...DEFAULT_SELECTORS, 'login.email': [{ name: 'login-id', selector: '#loginId' }] });
+
+    assert.deepEqual(registry.strategies('login.email'), [{ name: 'login-id', selector: '#loginId' }]);
+    assert.throws(() => registry.strategies('login.mail'), /Unknown selector key: login.mail/);
+  });
+});
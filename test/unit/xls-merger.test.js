@@ -0,0 +1,380 @@
+/**
+ * Unit tests: PO flattening in utils/xls-merger.js
+ * Runs against the anonymised workbooks in test/fixtures/po-files/
+ * (see test/fixtures/make-po-fixtures.js for their content).
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import XLSX from 'xlsx';
+import {
+  getLineItemHeaders,
+  extractPoMetadata,
+  extractPoDataWithMapping,
+  parsePoFiles,
+  flattenAndMergePoFiles
+} from '../../src/utils/xls-merger.js';
+import { DEFAULT_PO_FIELDS } from '../../src/config/po-fields.js';
+import { configureLogger } from '../../src/utils/logger.js';
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'po-files');
+
+const V1 = path.join(FIXTURE_DIR, 'template-v1.xls');
+const V0 = path.join(FIXTURE_DIR, 'template-v0.xls');
+const MISSING_METADATA = path.join(FIXTURE_DIR, 'missing-metadata.xls');
+const EMPTY = path.join(FIXTURE_DIR, 'empty.xls');
+
+const METADATA_HEADERS = [
+  'PO_Number', 'Category', 'Order_Date', 'PO_Expiry', 'Supplier_Name', 'Payment_Term',
+  'Nature_Of_Supply', 'Supplier_Address', 'Supplier_GSTIN', 'Billing_Address', 'Billing_GSTIN',
+  'Shipping_Address', 'Shipping_GSTIN', 'Warehouse', 'Contact_Person', 'Contact_Phone', 'Contact_Email'
+];
+const SUMMARY_HEADERS = [
+  'PO_Total_Quantity', 'PO_Taxable_Value', 'PO_Tax_Amount', 'PO_Grand_Total',
+  'Important_Terms', 'Reconciled', 'Reconcile_Notes'
+];
+const LINE_ITEM_HEADERS = [
+  'S. no.', 'FSN/ISBN13', 'SKU Id', 'Title', 'HSN/SA Code', 'Quantity', 'Supplier Price', 'Taxable Value',
+  'IGST Rate', 'IGST Amount', 'Tax Amount', 'Total Amount', 'Brand', 'Colour'
+];
+
+const V1_TERMS = 'Important Notification\n1. Deliver before the PO expiry date\n2. Quote the PO number on the invoice';
+
+configureLogger({ level: 'error' });
+
+/**
+ * Raw rows of a fixture's first sheet, read the way the merger reads them
+ */
+function readFixture(filePath) {
+  const workbook = XLSX.readFile(filePath);
+  return XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1 });
+}
+
+/**
+ * UTC midnight date, as the date columns are typed
+ */
+function day(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`);
+}
+
+describe('getLineItemHeaders', () => {
+  test('returns the "S. no." row as found in the file', () => {
+    assert.deepEqual(getLineItemHeaders(readFixture(V1)), [
+      'S. no.', 'FSN/ISBN13', 'SKU Id', 'Title', 'HSN/SA Code', 'Quantity', 'Supplier Price',
+      'Taxable Value', 'IGST Rate', 'IGST Amount', 'Tax Amount', 'Total Amount'
+    ]);
+  });
+
+  test('finds older serial headers and keeps unmapped names', () => {
+    assert.deepEqual(getLineItemHeaders(readFixture(V0)), [
+      'Sr No', 'FSN', 'Seller SKU', 'Product Name', 'Qty', 'Unit Price', 'Amount', 'Brand', 'Colour'
+    ]);
+  });
+
+  test('returns no headers for empty sheets or sheets without a line item table', () => {
+    assert.deepEqual(getLineItemHeaders([]), []);
+    assert.deepEqual(getLineItemHeaders(readFixture(EMPTY)), []);
+    assert.deepEqual(getLineItemHeaders([['PO#', 'FLGWN07500001'], ['Item', 'Qty']]), []);
+  });
+});
+
+describe('extractPoMetadata', () => {
+  test('reads every header field of the current template', () => {
+    const { metadata, missing } = extractPoMetadata(readFixture(V1));
+
+    assert.deepEqual(metadata, {
+      PO_Number: 'FLGWN07500001',
+      Nature_Of_Supply: 'Goods',
+      Category: 'Kitchen',
+      Order_Date: '05-01-2024',
+      PO_Expiry: '20-01-2024',
+      Supplier_Name: 'SAMPLE TRADERS PVT LTD',
+      Supplier_Address: '1 Test Street, Pune',
+      Supplier_GSTIN: '27AAAAA0000A1Z5',
+      Billing_Address: 'Plot 2, Bhiwandi',
+      Billing_GSTIN: '27BBBBB1111B1Z5',
+      Shipping_Address: 'Plot 2, Bhiwandi',
+      Shipping_GSTIN: '27BBBBB1111B1Z5',
+      Contact_Person: 'Vendor Desk',
+      Contact_Phone: '9000000001',
+      Contact_Email: 'desk@example.com',
+      Payment_Term: '30 days',
+      Warehouse: 'GWN_WH1'
+    });
+    assert.deepEqual(missing, []);
+  });
+
+  test('matches label variants, case and trailing colons of older templates', () => {
+    const { metadata, missing } = extractPoMetadata(readFixture(V0));
+
+    assert.deepEqual(metadata, {
+      PO_Number: 'FLBLR07500002',
+      Order_Date: '2024-01-08',
+      PO_Expiry: '23 Jan 2024',
+      Category: 'Home',
+      Supplier_Name: 'SAMPLE TRADERS PVT LTD',
+      Payment_Term: '45 days',
+      Warehouse: 'BLR_WH2'
+    });
+    assert.deepEqual(missing, []);
+  });
+
+  test('lists missing required fields', () => {
+    const { metadata, missing } = extractPoMetadata(readFixture(MISSING_METADATA));
+
+    assert.deepEqual(metadata, {
+      PO_Number: 'FLGWN07500003',
+      Order_Date: '10-01-2024',
+      PO_Expiry: '25-01-2024',
+      Supplier_Name: 'SAMPLE TRADERS PVT LTD'
+    });
+    assert.deepEqual(missing, ['Category', 'Payment_Term']);
+  });
+
+  test('does not read labels below the line item header', () => {
+    const { metadata } = extractPoMetadata([
+      ['PO#', 'FLGWN07500001'],
+      ['S. no.', 'Title'],
+      ['CATEGORY', 'Kitchen']
+    ]);
+    assert.deepEqual(metadata, { PO_Number: 'FLGWN07500001' });
+  });
+
+  test('leaves a field empty when the next cell is another label', () => {
+    const { metadata, missing } = extractPoMetadata([['PO#', 'FLGWN07500001', 'CATEGORY', 'ORDER DATE', '05-01-2024']]);
+    assert.equal(metadata.Category, '');
+    assert.equal(metadata.Order_Date, '05-01-2024');
+    assert.ok(missing.includes('Category'));
+  });
+
+  test('uses the given field map', () => {
+    const fieldMap = [...DEFAULT_PO_FIELDS, { column: 'Buyer', labels: ['BILLED BY'] }];
+    assert.equal(extractPoMetadata(readFixture(V1), fieldMap).metadata.Buyer, 'Buyer India Pvt Ltd');
+  });
+
+  test('reports every required field missing for an empty sheet', () => {
+    const required = DEFAULT_PO_FIELDS.filter(field => field.required).map(field => field.column);
+    assert.deepEqual(extractPoMetadata([]), { metadata: {}, missing: required });
+  });
+});
+
+describe('extractPoDataWithMapping', () => {
+  test('returns raw line items and the "Total" row and "Important" block totals', () => {
+    const { metadata, lineItems, summary } = extractPoDataWithMapping(readFixture(V1));
+
+    assert.equal(metadata.PO_Number, 'FLGWN07500001');
+    assert.deepEqual(lineItems, [
+      [1, 'FSNAAAA00001', 'SKU-001', 'Steel Bottle 750ml', '73239390', 10, 200, 2000, 18, 360, 360, 2360],
+      [2, 'FSNAAAA00002', 'SKU-002', 'Glass Jar 1L', '70133700', 5, '1,000.00', '5,000.00', 12, 600, 600, 5600]
+    ]);
+    assert.deepEqual(summary, {
+      totals: { PO_Total_Quantity: 15, PO_Taxable_Value: 7000, PO_Tax_Amount: 960, PO_Grand_Total: 7960 },
+      importantTerms: V1_TERMS
+    });
+  });
+
+  test('accepts numeric-string serials, skips blank rows and reads label/value totals', () => {
+    const { lineItems, summary } = extractPoDataWithMapping(readFixture(V0));
+
+    assert.deepEqual(lineItems, [
+      ['1', 'FSNBBBB00001', 'SKU-101', 'Lunch Box 3 Compartment', '4', 250, 1000, 'Acme', 'Blue'],
+      ['2', 'FSNBBBB00002', 'SKU-102', 'Ceramic Mug 350ml', 6, 150, 900, 'Acme', '']
+    ]);
+    assert.deepEqual(summary, {
+      totals: { PO_Total_Quantity: 10, PO_Grand_Total: 1900 },
+      importantTerms: ''
+    });
+  });
+
+  test('stops at the summary block', () => {
+    const { lineItems } = extractPoDataWithMapping([
+      ['S. no.', 'Title', 'Quantity'],
+      [1, 'Mug', 2],
+      ['Note', 'rows without a serial are skipped'],
+      [2, 'Jar', 3],
+      ['Total', '', 5],
+      [3, 'Not a line item', 1]
+    ]);
+    assert.deepEqual(lineItems, [[1, 'Mug', 2], [2, 'Jar', 3]]);
+  });
+
+  test('returns empty line items and summary without a line item table', () => {
+    assert.deepEqual(extractPoDataWithMapping(readFixture(MISSING_METADATA)).summary, { totals: {}, importantTerms: '' });
+
+    const { metadata, lineItems, summary } = extractPoDataWithMapping([['PO#', 'FLGWN07500001']]);
+    assert.equal(metadata.PO_Number, 'FLGWN07500001');
+    assert.deepEqual(lineItems, []);
+    assert.deepEqual(summary, { totals: {}, importantTerms: '' });
+  });
+});
+
+describe('parsePoFiles', () => {
+  const V1_METADATA = [
+    'FLGWN07500001', 'Kitchen', day('2024-01-05'), day('2024-01-20'), 'SAMPLE TRADERS PVT LTD', '30 days',
+    'Goods', '1 Test Street, Pune', '27AAAAA0000A1Z5', 'Plot 2, Bhiwandi', '27BBBBB1111B1Z5',
+    'Plot 2, Bhiwandi', '27BBBBB1111B1Z5', 'GWN_WH1', 'Vendor Desk', '9000000001', 'desk@example.com'
+  ];
+  const V0_METADATA = [
+    'FLBLR07500002', 'Home', day('2024-01-08'), day('2024-01-23'), 'SAMPLE TRADERS PVT LTD', '45 days',
+    '', '', '', '', '', '', '', 'BLR_WH2', '', '', ''
+  ];
+  const MISSING_METADATA_VALUES = [
+    'FLGWN07500003', '', day('2024-01-10'), day('2024-01-25'), 'SAMPLE TRADERS PVT LTD', '',
+    '', '', '', '', '', '', '', '', '', '', ''
+  ];
+
+  const V1_ROWS = [
+    [...V1_METADATA, 15, 7000, 960, 7960, V1_TERMS, 'Yes', '',
+      1, 'FSNAAAA00001', 'SKU-001', 'Steel Bottle 750ml', '73239390', 10, 200, 2000, 18, 360, 360, 2360, '', ''],
+    [...V1_METADATA, 15, 7000, 960, 7960, V1_TERMS, 'Yes', '',
+      2, 'FSNAAAA00002', 'SKU-002', 'Glass Jar 1L', '70133700', 5, 1000, 5000, 12, 600, 600, 5600, '', '']
+  ];
+  const V0_ROWS = [
+    [...V0_METADATA, 10, '', '', 1900, '', 'Yes', '',
+      1, 'FSNBBBB00001', 'SKU-101', 'Lunch Box 3 Compartment', '', 4, 250, '', '', '', '', 1000, 'Acme', 'Blue'],
+    [...V0_METADATA, 10, '', '', 1900, '', 'Yes', '',
+      2, 'FSNBBBB00002', 'SKU-102', 'Ceramic Mug 350ml', '', 6, 150, '', '', '', '', 900, 'Acme', '']
+  ];
+  const MISSING_METADATA_ROWS = [
+    [...MISSING_METADATA_VALUES, '', '', '', '', '', '', 'No PO totals found',
+      1, 'FSNAAAA00003', 'SKU-003', 'Kettle 1.5L', '', 3, 800, '', '', '', '', 2400, '', '']
+  ];
+
+  test('aligns files of different templates to one set of columns', () => {
+    const parsed = parsePoFiles([V1, V0, MISSING_METADATA, EMPTY]);
+
+    assert.deepEqual(parsed.headers, [...METADATA_HEADERS, ...SUMMARY_HEADERS, ...LINE_ITEM_HEADERS]);
+    assert.deepEqual(parsed.metadataHeaders, [...METADATA_HEADERS, ...SUMMARY_HEADERS]);
+    assert.deepEqual(parsed.lineItemHeaders, LINE_ITEM_HEADERS);
+    assert.deepEqual(parsed.unknownHeaders, ['Brand', 'Colour']);
+    assert.deepEqual(parsed.rows, [...V1_ROWS, ...V0_ROWS, ...MISSING_METADATA_ROWS]);
+  });
+
+  test('column order does not depend on file order', () => {
+    const parsed = parsePoFiles([MISSING_METADATA, V0, V1]);
+
+    assert.deepEqual(parsed.headers, [...METADATA_HEADERS, ...SUMMARY_HEADERS, ...LINE_ITEM_HEADERS]);
+    assert.deepEqual(parsed.rows, [...MISSING_METADATA_ROWS, ...V0_ROWS, ...V1_ROWS]);
+  });
+
+  test('only adds optional and summary columns found in some file', () => {
+    const parsed = parsePoFiles([MISSING_METADATA]);
+
+    assert.deepEqual(parsed.headers, [
+      'PO_Number', 'Category', 'Order_Date', 'PO_Expiry', 'Supplier_Name', 'Payment_Term',
+      'S. no.', 'FSN/ISBN13', 'SKU Id', 'Title', 'Quantity', 'Supplier Price', 'Total Amount'
+    ]);
+    assert.deepEqual(parsed.rows, [
+      ['FLGWN07500003', '', day('2024-01-10'), day('2024-01-25'), 'SAMPLE TRADERS PVT LTD', '',
+        1, 'FSNAAAA00003', 'SKU-003', 'Kettle 1.5L', 3, 800, 2400]
+    ]);
+  });
+
+  test('nests line items per PO and skips empty files', () => {
+    const parsed = parsePoFiles([V1, EMPTY, V0]);
+
+    assert.deepEqual(parsed.pos.map(po => [po.file, po.metadata.PO_Number, po.lineItems.length]), [
+      ['template-v1.xls', 'FLGWN07500001', 2],
+      ['template-v0.xls', 'FLBLR07500002', 2]
+    ]);
+    assert.deepEqual(parsed.pos[1].lineItems[0], {
+      'S. no.': 1,
+      'FSN/ISBN13': 'FSNBBBB00001',
+      'SKU Id': 'SKU-101',
+      'Title': 'Lunch Box 3 Compartment',
+      'HSN/SA Code': '',
+      'Quantity': 4,
+      'Supplier Price': 250,
+      'Taxable Value': '',
+      'IGST Rate': '',
+      'IGST Amount': '',
+      'Tax Amount': '',
+      'Total Amount': 1000,
+      'Brand': 'Acme',
+      'Colour': 'Blue'
+    });
+  });
+
+  test('reports missing fields and reconciles each PO against its totals', () => {
+    const parsed = parsePoFiles([V1, V0, MISSING_METADATA, EMPTY]);
+
+    assert.deepEqual(parsed.warnings, [
+      { file: 'missing-metadata.xls', message: 'Missing required PO field(s): Category, Payment_Term' }
+    ]);
+    assert.deepEqual(parsed.reconciliation, [
+      { file: 'template-v1.xls', poNumber: 'FLGWN07500001', status: 'ok', notes: '' },
+      { file: 'template-v0.xls', poNumber: 'FLBLR07500002', status: 'ok', notes: '' },
+      { file: 'missing-metadata.xls', poNumber: 'FLGWN07500003', status: 'unchecked', notes: 'No PO totals found' }
+    ]);
+    assert.deepEqual(parsed.typeFailures, []);
+  });
+
+  test('places extra per-file columns between the PO and line item columns', () => {
+    const parsed = parsePoFiles([MISSING_METADATA], { fileColumns: { [MISSING_METADATA]: { PO_Status: 'open' } } });
+
+    assert.deepEqual(parsed.headers.slice(5, 8), ['Payment_Term', 'PO_Status', 'S. no.']);
+    assert.deepEqual(parsed.rows[0].slice(5, 8), ['', 'open', 1]);
+  });
+
+  test('keeps raw values when column types are off', () => {
+    const parsed = parsePoFiles([V0], { columnTypes: false });
+    const row = parsed.rows[0];
+    const value = column => row[parsed.headers.indexOf(column)];
+
+    assert.equal(value('Order_Date'), '2024-01-08');
+    assert.equal(value('S. no.'), '1');
+    assert.equal(value('Quantity'), '4');
+  });
+
+  test('fails without files or without any line items', () => {
+    assert.throws(() => parsePoFiles([]), /No files provided/);
+    assert.throws(() => parsePoFiles([EMPTY]), /No data found in any of the files/);
+  });
+});
+
+describe('flattenAndMergePoFiles', () => {
+  let outputDir;
+
+  before(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'filflo-merger-'));
+  });
+
+  after(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  test('writes the flattened rows to the "All POs" sheet', () => {
+    const outputPath = flattenAndMergePoFiles([V1, V0], path.join(outputDir, 'merged.xlsx'));
+
+    const workbook = XLSX.readFile(outputPath);
+    assert.deepEqual(workbook.SheetNames, ['All POs']);
+
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets['All POs'], { header: 1, raw: false, defval: '' });
+    assert.deepEqual(rows[0], [...METADATA_HEADERS, ...SUMMARY_HEADERS, ...LINE_ITEM_HEADERS]);
+    const columns = ['PO_Number', 'Order_Date', 'S. no.', 'Title'].map(h => rows[0].indexOf(h));
+    assert.deepEqual(rows.slice(1).map(row => columns.map(idx => row[idx])), [
+      ['FLGWN07500001', '2024-01-05', '1', 'Steel Bottle 750ml'],
+      ['FLGWN07500001', '2024-01-05', '2', 'Glass Jar 1L'],
+      ['FLBLR07500002', '2024-01-08', '1', 'Lunch Box 3 Compartment'],
+      ['FLBLR07500002', '2024-01-08', '2', 'Ceramic Mug 350ml']
+    ]);
+  });
+
+  test('adds the normalized sheets when asked', () => {
+    const outputPath = flattenAndMergePoFiles([V1, V0], path.join(outputDir, 'normalized.xlsx'), { normalized: true });
+
+    const workbook = XLSX.readFile(outputPath);
+    assert.deepEqual(workbook.SheetNames, ['All POs', 'POs', 'Line Items']);
+
+    const poRows = XLSX.utils.sheet_to_json(workbook.Sheets.POs, { header: 1 });
+    const header = poRows[0];
+    assert.deepEqual(poRows.slice(1).map(row => ['PO_Number', 'Line_Count', 'Total_Quantity', 'Total_Value'].map(h => row[header.indexOf(h)])), [
+      ['FLGWN07500001', 2, 15, 7960],
+      ['FLBLR07500002', 2, 10, 1900]
+    ]);
+  });
+});